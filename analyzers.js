@@ -0,0 +1,266 @@
+// src/analyzers.js
+import path from 'path';
+import { cleanStdout, CONTAINER_PROJECT_DIR, CONTAINER_SOURCE_DIR, CONTAINER_SCRATCH_DIR } from './audit-tools.js';
+import { extractSlitherDetectors, classIdForText, FINDING_CLASSES } from './finding-normalizer.js';
+
+/*
+ * Adapters of the static analyzers that runAuditToolInDocker runs in the audit tool image.
+ * Each adapter declares:
+ *
+ *   name          name the model and request options use
+ *   description   one line for the model
+ *   compiles      whether the analyzer compiles the sources with solc: the version is then selected
+ *                 and cached for it (see selectSolcVersion() in audit-tools.js), and the settings of
+ *                 the verification metadata are passed on
+ *   files(ctx)    optional files written to the scratch directory before the run (name -> content)
+ *   command(ctx)  argv in the container
+ *   parse(run)    { output } from the exec result ({ statusCode, stdout, stderr }), or { error }
+ *   findings(output)  detector results in the common format of finding-normalizer.js:
+ *                 { tool, check, impact, confidence, description, file, lines, class_id? }
+ *
+ * The command context is { target, args, compiler, solcFlags, remappings, timeoutMs }: the main
+ * file in the container, extra arguments the model passed after the tool name, the metadata
+ * settings (or null) as solc flags and source-rooted remappings, and the sandbox time limit.
+ * Sources are read-only at CONTAINER_SOURCE_DIR; tools run in CONTAINER_SCRATCH_DIR. The writable
+ * Foundry project around the sources (CONTAINER_PROJECT_DIR, see container-pool.js) pins the cached
+ * solc and forbids downloads, for tools that compile through Foundry.
+ */
+
+const MAX_DESCRIPTION_LENGTH = 300; // As for Slither detector results
+const SEMGREP_RULES_DIR = '/opt/semgrep-smart-contracts/solidity'; // Cloned in the Dockerfile
+
+// Tool paths (absolute in the container, or relative to the sources) -> paths relative to the sources.
+function sourcePath(file) {
+    if (!file) return null;
+    const normalized = String(file).replace(/\\/g, '/');
+    return normalized.startsWith(`${CONTAINER_SOURCE_DIR}/`) ? normalized.slice(CONTAINER_SOURCE_DIR.length + 1) : normalized.replace(/^\.\//, '');
+}
+
+function detectorResult({ tool, check, impact, confidence, description, file, line, endLine = line, classId = null }) {
+    return {
+        tool,
+        check,
+        impact,
+        confidence,
+        description: String(description || '').trim().slice(0, MAX_DESCRIPTION_LENGTH),
+        file: sourcePath(file),
+        lines: Number.isInteger(line) && line > 0 ? [line, Math.max(line, endLine || line)] : null,
+        ...(classId ? { class_id: classId } : {}),
+    };
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+}
+
+function failedRun(run) {
+    return { error: `Execution failed with status code ${run.statusCode}. ${run.stderr ? `Stderr: ${run.stderr}` : ''} Raw Output: ${run.stdout}`.trim() };
+}
+
+const slither = {
+    name: 'slither',
+    description: 'Slither static analysis: ~90 detectors (reentrancy, access control, unchecked calls, ...); the default first step',
+    compiles: true,
+    command({ target, args, solcFlags, remappings }) {
+        const command = ['slither', target, ...args];
+        if (!command.includes('--json')) command.push('--json', '-');
+        // Sources are read-only: solc runs in their directory, Slither in the scratch directory.
+        command.push('--solc-working-dir', CONTAINER_SOURCE_DIR);
+        // Compile with the verified settings (optimizer, EVM version, remappings) rather than solc's defaults.
+        if (solcFlags.length > 0) command.push('--solc-args', solcFlags.join(' '));
+        if (remappings.length > 0) command.push('--solc-remaps', remappings.join(' '));
+        return command;
+    },
+    parse(run) {
+        const cleaned = cleanStdout(run.stdout);
+        const json = parseJson(cleaned);
+        // Slither exits non-zero when detectors fire; valid JSON with success: true is still a result.
+        if (run.statusCode === 0 || json?.success === true) return { output: json || cleaned || run.stderr };
+        return failedRun(run);
+    },
+    findings(output) {
+        return extractSlitherDetectors(output, null).map(({ contract_id, ...result }) => ({ tool: 'slither', ...result }));
+    },
+};
+
+const mythril = {
+    name: 'mythril',
+    description: 'Mythril symbolic execution: finds exploitable transaction sequences (SWC classes); slow, run it on the main contract only',
+    compiles: true,
+    files({ compiler, remappings }) {
+        if (!compiler) return {};
+        // Standard JSON settings for --solc-json
+        return {
+            'solc-settings.json': JSON.stringify({
+                remappings,
+                ...(compiler.optimizer ? { optimizer: { enabled: true, runs: compiler.optimizer.runs } } : {}),
+                ...(compiler.evmVersion ? { evmVersion: compiler.evmVersion } : {}),
+                ...(compiler.viaIR ? { viaIR: true } : {}),
+            }),
+        };
+    },
+    command({ target, args, compiler, timeoutMs }) {
+        // Leave Mythril time to report before the sandbox kills the container.
+        const executionTimeout = timeoutMs > 0 ? Math.max(30, Math.floor(timeoutMs * 0.8 / 1000)) : 600;
+        return [
+            'myth', 'analyze', target, '-o', 'json', '--execution-timeout', String(executionTimeout),
+            ...(compiler ? ['--solc-json', `${CONTAINER_SCRATCH_DIR}/solc-settings.json`] : []),
+            ...args,
+        ];
+    },
+    parse(run) {
+        const json = parseJson(cleanStdout(run.stdout));
+        if (json?.success === true) return { output: json };
+        return json?.error ? { error: `Mythril failed: ${json.error}` } : failedRun(run);
+    },
+    findings(output) {
+        return (output?.issues || []).map(issue => {
+            const swc = issue['swc-id'] ? `SWC-${issue['swc-id']}` : null;
+            return detectorResult({
+                tool: 'mythril',
+                check: swc || issue.title,
+                impact: issue.severity,
+                confidence: 'Medium',
+                description: `${issue.title}${issue.function ? ` in ${issue.function}` : ''}: ${issue.description}`,
+                file: issue.filename,
+                line: issue.lineno,
+                classId: swc && FINDING_CLASSES.some(cls => cls.id === swc) ? swc : classIdForText(issue.title, issue.description),
+            });
+        });
+    },
+};
+
+const aderyn = {
+    name: 'aderyn',
+    description: 'Aderyn (Cyfrin) AST analysis: fast high/low issue detectors, complements Slither',
+    compiles: true,
+    command({ args }) {
+        // Aderyn compiles through the Foundry project, whose foundry.toml selects the cached solc offline;
+        // its build output goes to the project, not to the read-only sources. It writes its report to a
+        // file: its progress output goes to stderr, the report is printed afterwards.
+        const report = `${CONTAINER_SCRATCH_DIR}/aderyn.json`;
+        return ['sh', '-c', `aderyn "$@" --output ${report} >&2 && cat ${report}`, 'aderyn', CONTAINER_PROJECT_DIR, '--src', 'src', '--skip-update-check', ...args];
+    },
+    parse(run) {
+        const json = run.statusCode === 0 ? parseJson(cleanStdout(run.stdout)) : null;
+        return json ? { output: json } : failedRun(run);
+    },
+    findings(output) {
+        return [['high_issues', 'High'], ['low_issues', 'Low']].flatMap(([key, impact]) => (output?.[key]?.issues || []).flatMap(issue =>
+            (issue.instances?.length ? issue.instances : [{}]).map(instance => detectorResult({
+                tool: 'aderyn',
+                check: issue.detector_name || issue.title,
+                impact,
+                confidence: 'Medium',
+                description: `${issue.title}: ${issue.description}`,
+                file: instance.contract_path && path.posix.resolve(CONTAINER_PROJECT_DIR, instance.contract_path), // Relative to the project
+                line: instance.line_no,
+                classId: classIdForText(issue.title, issue.description),
+            }))
+        ));
+    },
+};
+
+// Solhint rules -> finding classes (rules not listed are classified from their message).
+const SOLHINT_CLASSES = {
+    'avoid-tx-origin': 'SWC-115',
+    'avoid-suicide': 'SWC-106',
+    'reentrancy': 'SWC-107',
+    'check-send-result': 'SWC-104',
+    'multiple-sends': 'SWC-113',
+    'not-rely-on-time': 'SWC-116',
+    'not-rely-on-block-hash': 'SWC-120',
+    'compiler-version': 'SWC-102',
+    'avoid-sha3': 'SWC-111',
+    'avoid-throw': 'SWC-111',
+    'no-unused-vars': 'SWC-131',
+    'avoid-low-level-calls': 'HAI-9',
+    'no-inline-assembly': 'HAI-9',
+};
+
+const solhint = {
+    name: 'solhint',
+    description: 'Solhint linter (recommended rules): security and best-practice warnings, no compilation needed',
+    compiles: false,
+    files() {
+        return { '.solhint.json': JSON.stringify({ extends: 'solhint:recommended' }) };
+    },
+    command({ args }) {
+        return ['solhint', '--formatter', 'json', '--config', `${CONTAINER_SCRATCH_DIR}/.solhint.json`, ...args, `${CONTAINER_SOURCE_DIR}/**/*.sol`];
+    },
+    parse(run) {
+        // Solhint exits 1 when it reports errors; its output is a JSON array.
+        const start = run.stdout.indexOf('[');
+        const json = start === -1 ? null : parseJson(run.stdout.slice(start, run.stdout.lastIndexOf(']') + 1));
+        return Array.isArray(json) ? { output: json.filter(entry => entry?.ruleId) } : failedRun(run);
+    },
+    findings(output) {
+        return (output || []).map(entry => detectorResult({
+            tool: 'solhint',
+            check: entry.ruleId,
+            impact: entry.severity === 'Error' ? 'Low' : 'Informational',
+            confidence: 'High',
+            description: entry.message,
+            file: entry.filePath,
+            line: entry.line,
+            classId: SOLHINT_CLASSES[entry.ruleId] || (entry.ruleId.startsWith('gas-') ? 'HAI-8' : classIdForText(entry.message)),
+        }));
+    },
+};
+
+const SEMGREP_IMPACT = { ERROR: 'High', WARNING: 'Medium', INFO: 'Low' };
+const SEMGREP_CONFIDENCE = { HIGH: 'High', MEDIUM: 'Medium', LOW: 'Low' };
+
+const semgrep = {
+    name: 'semgrep',
+    description: 'Semgrep with the semgrep-smart-contracts Solidity rules: known exploit patterns (DeFi, ERC20/721, proxies)',
+    compiles: false,
+    command({ args }) {
+        return ['semgrep', 'scan', '--config', SEMGREP_RULES_DIR, '--json', '--metrics=off', '--disable-version-check', '--quiet', ...args, CONTAINER_SOURCE_DIR];
+    },
+    parse(run) {
+        const json = parseJson(cleanStdout(run.stdout));
+        return Array.isArray(json?.results) ? { output: json } : failedRun(run);
+    },
+    findings(output) {
+        return (output?.results || []).map(result => {
+            const rule = String(result.check_id || '').split('.').pop(); // Local rule IDs are prefixed with their directory
+            return detectorResult({
+                tool: 'semgrep',
+                check: rule,
+                impact: SEMGREP_IMPACT[result.extra?.severity] || 'Low',
+                confidence: SEMGREP_CONFIDENCE[String(result.extra?.metadata?.confidence || '').toUpperCase()] || 'Medium',
+                description: result.extra?.message,
+                file: result.path,
+                line: result.start?.line,
+                endLine: result.end?.line,
+                classId: classIdForText(rule.replace(/-/g, ' '), result.extra?.message),
+            });
+        });
+    },
+};
+
+export const ANALYZERS = [slither, mythril, aderyn, solhint, semgrep];
+export const ANALYZER_NAMES = ANALYZERS.map(analyzer => analyzer.name);
+
+// Tool names in a report's tools_used -> key in getToolVersions() (see audit-tools.js).
+export const TOOL_VERSION_KEYS = [
+    [/slither/i, 'slither'],
+    [/forge|foundry/i, 'forge'],
+    [/mythril|\bmyth\b/i, 'mythril'],
+    [/aderyn/i, 'aderyn'],
+    [/solhint/i, 'solhint'],
+    [/semgrep/i, 'semgrep'],
+];
+
+export function toolVersionKey(tool) {
+    return TOOL_VERSION_KEYS.find(([pattern]) => pattern.test(tool))?.[1] || null;
+}
+
+export function getAnalyzer(name) {
+    return ANALYZERS.find(analyzer => analyzer.name === String(name || '').toLowerCase()) || null;
+}
@@ -0,0 +1,92 @@
+// src/audit-budget.js
+import { config } from './config.js';
+
+// Resource name -> human-readable label used in budget notices.
+const RESOURCES = {
+    inputTokens: 'model input tokens',
+    outputTokens: 'model output tokens',
+    wallClockMs: 'wall-clock ms',
+    dockerMs: 'Docker ms (tool CPU time)',
+    hbarTinybars: 'HBAR spent on topics (tinybars)',
+};
+
+export function defaultBudgetLimits() {
+    return {
+        inputTokens: config.budgetMaxInputTokens,
+        outputTokens: config.budgetMaxOutputTokens,
+        wallClockMs: config.budgetMaxWallClockMs,
+        dockerMs: config.budgetMaxDockerMs,
+        hbarTinybars: config.budgetMaxHbarTinybars,
+    };
+}
+
+/**
+ * Tracks what one audit has consumed and compares it against its limits.
+ * A limit of 0 (or missing) means unlimited. Wall-clock time only counts while
+ * this tracker is alive, so time spent down between a crash and a resume is not billed.
+ *
+ * @param {object} [limits] - Per-resource limits, see defaultBudgetLimits().
+ * @param {object} [restored] - A previous snapshot() to continue from (e.g. from a checkpoint).
+ * @param {object} [options]
+ * @param {() => number} [options.now] - Clock of the wall-clock budget, in ms (replay.js uses the recorded times).
+ */
+export function createAuditBudget(limits = defaultBudgetLimits(), restored = null, { now = Date.now } = {}) {
+    const consumed = { inputTokens: 0, outputTokens: 0, wallClockMs: 0, dockerMs: 0, hbarTinybars: 0, ...(restored?.consumed || {}) };
+    const wallClockOffsetMs = consumed.wallClockMs;
+    const trackingStartedAt = now();
+    const warnRatio = config.budgetWarnRatio;
+
+    function current() {
+        return { ...consumed, wallClockMs: wallClockOffsetMs + (now() - trackingStartedAt) };
+    }
+
+    function usageRatios() {
+        const now = current();
+        return Object.keys(RESOURCES)
+            .filter(name => limits[name] > 0)
+            .map(name => ({ name, used: now[name], limit: limits[name], ratio: now[name] / limits[name] }));
+    }
+
+    return {
+        recordModelUsage(usage) {
+            consumed.inputTokens += usage?.inputTokens || 0;
+            consumed.outputTokens += usage?.outputTokens || 0;
+        },
+
+        recordDockerTime(ms) {
+            consumed.dockerMs += ms || 0;
+        },
+
+        recordHbar(tinybars) {
+            consumed.hbarTinybars += Number(tinybars) || 0;
+        },
+
+        /**
+         * @returns {{exhausted: string[], nearlyExhausted: string[]}} Resource names at/over their limit,
+         * and those past the warning ratio but not yet exhausted.
+         */
+        status() {
+            const ratios = usageRatios();
+            return {
+                exhausted: ratios.filter(r => r.ratio >= 1).map(r => r.name),
+                nearlyExhausted: ratios.filter(r => r.ratio >= warnRatio && r.ratio < 1).map(r => r.name),
+            };
+        },
+
+        // One line per limited resource, e.g. "model input tokens: 81234/100000 used, 18766 left".
+        remainingSummary() {
+            return usageRatios()
+                .map(r => `${RESOURCES[r.name]}: ${Math.round(r.used)}/${r.limit} used, ${Math.max(0, Math.round(r.limit - r.used))} left`)
+                .join('\n');
+        },
+
+        describe(names) {
+            return names.map(name => RESOURCES[name] || name).join(', ');
+        },
+
+        // Serializable view for checkpoints and the final report.
+        snapshot() {
+            return { limits: { ...limits }, consumed: current() };
+        },
+    };
+}
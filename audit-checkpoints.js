@@ -0,0 +1,68 @@
+// src/audit-checkpoints.js
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from './config.js';
+import { logger } from './utils.js';
+
+const CHECKPOINT_VERSION = 1;
+
+function checkpointPath(jobId) {
+    // Job IDs are UUIDs; strip anything else so a crafted ID can't escape the directory.
+    const safeId = String(jobId).replace(/[^a-zA-Z0-9_-]/g, '_');
+    return path.resolve(config.checkpointDir, `${safeId}.json`);
+}
+
+/**
+ * Loads the last saved step of an audit conversation.
+ * A checkpoint holds the provider chat history (including the latest model turn),
+ * that turn's normalized response, the function responses already computed for it,
+ * the loop counter and the tool plugins' state (fetched sources, report repair turns).
+ * @param {string} jobId
+ * @returns {Promise<object|null>} The checkpoint, or null if none (or unreadable).
+ */
+export async function loadCheckpoint(jobId) {
+    const filePath = checkpointPath(jobId);
+    try {
+        const checkpoint = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        if (checkpoint.version !== CHECKPOINT_VERSION) {
+            logger.warn(`[Checkpoint] Ignoring checkpoint for job ${jobId} with unsupported version ${checkpoint.version}.`);
+            return null;
+        }
+        logger.info(`[Checkpoint] Loaded checkpoint for job ${jobId} at loop ${checkpoint.loopCount}.`);
+        return checkpoint;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error(`[Checkpoint] Failed to load checkpoint ${filePath}: ${error.message}`);
+        }
+        return null;
+    }
+}
+
+/**
+ * Atomically writes the checkpoint for a job (write to temp file, then rename).
+ * @param {string} jobId
+ * @param {object} checkpoint
+ */
+export async function saveCheckpoint(jobId, checkpoint) {
+    const filePath = checkpointPath(jobId);
+    const tmpPath = `${filePath}.tmp`;
+    try {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const data = { ...checkpoint, version: CHECKPOINT_VERSION, jobId, updatedAt: new Date().toISOString() };
+        await fs.writeFile(tmpPath, JSON.stringify(data), 'utf8');
+        await fs.rename(tmpPath, filePath);
+        logger.debug(`[Checkpoint] Saved checkpoint for job ${jobId} (loop ${checkpoint.loopCount}).`);
+    } catch (error) {
+        // A failed checkpoint only costs us resumability, never the audit itself.
+        logger.error(`[Checkpoint] Failed to save checkpoint ${filePath}: ${error.message}`);
+    }
+}
+
+export async function deleteCheckpoint(jobId) {
+    try {
+        await fs.rm(checkpointPath(jobId), { force: true });
+        logger.debug(`[Checkpoint] Deleted checkpoint for job ${jobId}.`);
+    } catch (error) {
+        logger.warn(`[Checkpoint] Failed to delete checkpoint for job ${jobId}: ${error.message}`);
+    }
+}
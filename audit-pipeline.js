@@ -0,0 +1,374 @@
+// src/audit-pipeline.js
+import { config } from './config.js';
+import { systemInstruction } from './prompts.js';
+import { sendAuditResult } from './hedera-hcs.js';
+import { logger } from './utils.js';
+import { FINISH_REASONS } from './llm-providers.js';
+import { loadCheckpoint, saveCheckpoint } from './audit-checkpoints.js';
+import { REPORT_SCHEMA_VERSION } from './report-schema.js';
+import { createAuditBudget, defaultBudgetLimits } from './audit-budget.js';
+import { QuotaExhaustedError } from './rate-limiter.js';
+import { NOOP_TRACE, TRACE_VERSION } from './audit-trace.js';
+import { normalizeReport } from './finding-normalizer.js';
+import { renderReport, RENDER_FORMATS } from './report-renderer.js';
+import { getToolVersions } from './audit-tools.js';
+import { loadPreviousAudit, previousFindingsPrompt, reauditSection } from './report-diff.js';
+import { getAnalyzer } from './analyzers.js';
+
+/**
+ * Runs one audit conversation: model turns, tool calls through the registry, report validation and delivery.
+ * Every non-throwing exit delivers exactly one final payload (report or error) through `deliver`.
+ *
+ * @param {object} requestData - { user_query, contract_id_from_user, contract_ids_from_user?, reply_topic_id, requestor_account_id, previous_report_hrl?, analyzers? }
+ * @param {object} options
+ * @param {string} [options.jobId] - Queue job ID; enables checkpointing and resume.
+ * @param {object} options.llm - Provider from createLLMProvider().
+ * @param {object} options.toolRegistry - Registry from createToolRegistry().
+ * @param {(payload: object, meta: {connectionTopicId, contractId, budget, toolState}) => Promise<void>} options.deliver - Sends the final payload.
+ * @param {object} [options.trace] - Trace from createAuditTrace().
+ * @param {object} [options.fetchedSources] - Sources loaded up front (e.g. local files), keyed like getSourceCode results.
+ * @param {object} [options.previousAudit] - Preloaded loadPreviousAudit() result of a re-audit (replay); loaded from previous_report_hrl otherwise.
+ * @param {(budget: object) => void} [options.onBudget] - Called with the audit's budget when it is created or restored from a checkpoint.
+ * @param {() => number} [options.clock] - Clock of the wall-clock budget (see createAuditBudget()).
+ */
+export async function processAuditRequest(requestData, { jobId = null, llm, toolRegistry, deliver, trace = NOOP_TRACE, fetchedSources = {}, previousAudit = null, onBudget = () => {}, clock = Date.now } = {}) {
+    const { contract_id_from_user, user_query, reply_topic_id, requestor_account_id } = requestData;
+    const contractIdsFromUser = requestData.contract_ids_from_user || (contract_id_from_user ? [contract_id_from_user] : []);
+    logger.info(`[Agent] Starting process for user query: "${user_query}" from ${requestor_account_id}`);
+
+    const checkpoint = jobId ? await loadCheckpoint(jobId) : null;
+    if (checkpoint?.completed) {
+        logger.info(`[Agent] Job ${jobId} already delivered its final report before the restart. Nothing to resume.`);
+        return;
+    }
+
+    let chat;
+    let result;
+    let loopCount = 0;
+    const MAX_LOOPS = config.maxAuditSteps;
+    let completedResponses = []; // Function responses already produced for the pending model turn
+    let budget = createAuditBudget(defaultBudgetLimits(), null, { now: clock });
+    let budgetGraceTurns = 0; // Model turns granted after a budget ran out, to let it finalize
+    onBudget(budget);
+
+    // Shared with tool plugins. `state` is checkpointed: fetchedSources maps contractId -> { files, mainFilePath, namespace },
+    // reportRepairTurns counts finalizeAuditReport calls rejected by schema validation so far,
+    // detectorResults collects the analyzers' detector results for the report normalizer, pocTests the Forge tests for rendered reports,
+    // previousAudit holds the previous report of a re-audit (see report-diff.js).
+    const toolContext = {
+        request: requestData,
+        state: { fetchedSources: { ...fetchedSources }, reportRepairTurns: 0 },
+        budget,
+        outcome: null,
+    };
+
+    const deliverAndTrace = async (payload, meta) => {
+        await trace.record('final', { payload });
+        await deliver(payload, meta);
+    };
+    const finishWithError = (errorMessage) => reportFinalError(reply_topic_id, contract_id_from_user, errorMessage, deliverAndTrace, { budget, toolState: toolContext.state });
+
+    const sendToModel = async (input) => {
+        // Function responses are already in the trace as tool_result events; only their IDs are repeated here.
+        const text = typeof input === 'string' ? input : input.text;
+        const functionResponses = typeof input === 'string' ? [] : input.functionResponses;
+        await trace.record('model_request', { input: { text, functionResponses: functionResponses.map(({ id, name }) => ({ id, name })) } });
+        const requestStartedAt = Date.now();
+        const response = await chat.sendMessage(input);
+        await trace.record('model_response', { response, durationMs: Date.now() - requestStartedAt });
+        budget.recordModelUsage(response?.usage);
+        return response;
+    };
+
+    const runTool = async (fnCall) => {
+        await trace.record('tool_call', { id: fnCall.id, name: fnCall.name, args: fnCall.args });
+        const stateBefore = JSON.stringify(toolContext.state);
+        const callStartedAt = Date.now();
+        const functionResult = await toolRegistry.dispatch(fnCall.name, fnCall.args, toolContext);
+        const stateAfter = JSON.stringify(toolContext.state);
+        await trace.record('tool_result', {
+            id: fnCall.id,
+            name: fnCall.name,
+            result: functionResult,
+            durationMs: Date.now() - callStartedAt,
+            ...(stateAfter !== stateBefore ? { state: toolContext.state } : {}),
+        });
+        return functionResult;
+    };
+
+    // Persists the current step so a restarted job resumes here instead of repeating model turns or tool runs.
+    // The saved loopCount counts finished loop iterations: a resumed job re-enters the pending one, which
+    // the loop increments again, so a turn interrupted mid-way is saved with the value from before its increment.
+    const checkpointStep = async ({ turnPending = false } = {}) => {
+        if (!jobId) return;
+        await saveCheckpoint(jobId, {
+            history: await chat.getHistory(),
+            lastResult: result,
+            completedResponses,
+            loopCount: turnPending ? loopCount - 1 : loopCount,
+            toolState: toolContext.state,
+            budget: budget.snapshot(),
+            budgetGraceTurns,
+            completed: false,
+        });
+    };
+
+    let failed = false;
+    try {
+        if (checkpoint) {
+            logger.info(`[Agent] Resuming job ${jobId} from checkpoint at loop ${checkpoint.loopCount} (${checkpoint.completedResponses.length} function call(s) of the pending turn already done).`);
+            chat = llm.startChat({ history: checkpoint.history });
+            result = checkpoint.lastResult;
+            loopCount = checkpoint.loopCount;
+            toolContext.state = checkpoint.toolState;
+            completedResponses = checkpoint.completedResponses;
+            budget = createAuditBudget(defaultBudgetLimits(), checkpoint.budget, { now: clock });
+            toolContext.budget = budget;
+            onBudget(budget);
+            budgetGraceTurns = checkpoint.budgetGraceTurns || 0;
+            await trace.record('resume', { loopCount });
+        } else {
+            chat = llm.startChat();
+            if (requestData.previous_report_hrl) {
+                toolContext.state.previousAudit = previousAudit || await loadPreviousAudit(requestData.previous_report_hrl, contractIdsFromUser);
+            }
+            await trace.record('start', {
+                version: TRACE_VERSION,
+                jobId,
+                request: requestData,
+                provider: llm.name,
+                model: llm.model,
+                systemInstruction: systemInstruction.parts.map(part => part.text).join('\n'),
+                tools: toolRegistry.toTools(),
+                toolState: toolContext.state,
+            });
+            let initialUserPrompt = `"${user_query}"`;
+            if (contractIdsFromUser.length > 1) {
+                initialUserPrompt += `\n\nThis request names ${contractIdsFromUser.length} contracts (${contractIdsFromUser.join(', ')}). Fetch each with getSourceCode and audit them together as one system, including their cross-contract interactions.`;
+            }
+            initialUserPrompt += previousFindingsPrompt(toolContext.state.previousAudit);
+            if (toolRegistry.get('runAuditToolInDocker')) {
+                const analyzers = (requestData.analyzers || config.analyzers).map(getAnalyzer).filter(Boolean);
+                initialUserPrompt += `\n\nStatic analyzers available through runAuditToolInDocker:\n${analyzers.map(analyzer => `- ${analyzer.name}: ${analyzer.description}`).join('\n')}`;
+            }
+
+            logger.info(`[Agent] Sending initial prompt to ${llm.name}: ${initialUserPrompt}`);
+            result = await sendToModel(initialUserPrompt);
+            await checkpointStep();
+        }
+
+        while (loopCount < MAX_LOOPS) {
+            loopCount++;
+            if (!result) {
+                logger.error("[Agent] Model response was empty or undefined.");
+                await finishWithError("AI response was empty.");
+                return;
+            }
+            const finishReason = result.finishReason;
+            if (finishReason !== FINISH_REASONS.TOOL_CALLS && finishReason !== FINISH_REASONS.STOP) {
+                logger.error(`[Agent] Model stopped unexpectedly. Reason: ${result.rawFinishReason || finishReason || 'Unknown'}. Text: ${result.text}`);
+                await finishWithError(`AI processing error: ${result.rawFinishReason || finishReason || 'Unknown'}`);
+                return;
+            }
+
+            if (result.text) {
+                logger.info(`[Agent] Model Text Response:\n${result.text}`);
+            }
+
+            const functionCalls = result.functionCalls;
+
+            if (finishReason === FINISH_REASONS.STOP && functionCalls.length === 0) {
+                logger.info("[Agent] Model finished processing (STOP reason with no function calls).");
+                if (Object.keys(toolContext.state.fetchedSources).length === 0 && !toolContext.state.bytecodeAnalyses) {
+                    logger.warn("[Agent] Model stopped before source code could be fetched successfully.");
+                    await finishWithError("AI stopped before source code could be fetched.");
+                } else {
+                    logger.warn("[Agent] Model stopped without calling finalizeAuditReport. Sending error.");
+                    await finishWithError("AI stopped unexpectedly before generating final report.");
+                }
+                return;
+            }
+
+            if (finishReason === FINISH_REASONS.TOOL_CALLS && functionCalls.length === 0) {
+                logger.error("[Agent] Model indicated TOOL_CALLS but provided no function calls. Stopping.");
+                await finishWithError("AI tool call error: No function calls provided.");
+                break;
+            }
+
+            const functionResponses = [];
+            for (const [callIndex, fnCall] of functionCalls.entries()) {
+                const functionName = fnCall.name;
+                const functionArgs = fnCall.args;
+                if (completedResponses[callIndex]) {
+                    logger.info(`[Agent] Reusing checkpointed result for ${functionName} (call ${callIndex + 1}/${functionCalls.length}).`);
+                    functionResponses.push(completedResponses[callIndex]);
+                    continue;
+                }
+                logger.info(`[Agent] Model called function: ${functionName}`);
+                logger.debug(`[Agent] Arguments for ${functionName}: ${JSON.stringify(functionArgs)}`);
+
+                const exhaustedBudgets = budget.status().exhausted;
+                if (exhaustedBudgets.length > 0 && !toolRegistry.get(functionName)?.allowedWhenBudgetExhausted) {
+                    logger.warn(`[Agent] Refusing ${functionName}: audit budget exhausted (${budget.describe(exhaustedBudgets)}).`);
+                    functionResponses.push({ id: fnCall.id, name: functionName, response: { success: false, error: `Audit budget exhausted (${budget.describe(exhaustedBudgets)}). No more tools can run. Call finalizeAuditReport now with the findings gathered so far.` } });
+                } else {
+                    const functionResult = await runTool(fnCall);
+                    functionResponses.push({ id: fnCall.id, name: functionName, response: functionResult });
+                }
+
+                if (toolContext.outcome?.type === 'report') {
+                    const report = normalizeReport(toolContext.outcome.report, { detectorResults: toolContext.state.detectorResults });
+                    logger.info(`[Agent] Normalized report: ${toolContext.outcome.report.findings.length} finding(s) -> ${report.findings.length}, score ${report.model_score} -> ${report.score}.`);
+                    if (toolContext.state.previousAudit) {
+                        report.reaudit = reauditSection(toolContext.state.previousAudit, report, toolContext.state.fetchedSources);
+                        logger.info(`[Agent] Re-audit: ${report.reaudit.summary || report.reaudit.error}`);
+                    }
+                    const finalContractId = report.contract_id || contract_id_from_user || "Unknown";
+                    await reportFinalResult(reply_topic_id, finalContractId, { ...report, usage: budget.snapshot() }, deliverAndTrace, { budget, toolState: toolContext.state });
+                    return;
+                }
+                if (toolContext.outcome?.type === 'error') {
+                    await finishWithError(toolContext.outcome.message);
+                    return;
+                }
+
+                budget.recordDockerTime(functionResponses[functionResponses.length - 1]?.response?.metrics?.containerTimeMs);
+                completedResponses = [...functionResponses];
+                await checkpointStep({ turnPending: true });
+            }
+
+            if (functionResponses.length > 0) {
+                const budgetStatus = budget.status();
+                let stepText = `Step ${loopCount+1}/${MAX_LOOPS}`;
+                if (budgetStatus.exhausted.length > 0) {
+                    if (budgetGraceTurns >= 1) {
+                        logger.error(`[Agent] Audit budget exhausted (${budget.describe(budgetStatus.exhausted)}) and the model did not finalize.`);
+                        await finishWithError(`Audit budget exhausted (${budget.describe(budgetStatus.exhausted)}) before a final report was produced.`);
+                        return;
+                    }
+                    budgetGraceTurns++;
+                    stepText += `\nBUDGET EXHAUSTED (${budget.describe(budgetStatus.exhausted)}). Tools are disabled. You MUST call finalizeAuditReport in this turn with the findings gathered so far.\n${budget.remainingSummary()}`;
+                } else if (budgetStatus.nearlyExhausted.length > 0) {
+                    stepText += `\nBUDGET WARNING: nearly used up (${budget.describe(budgetStatus.nearlyExhausted)}). Wrap up and call finalizeAuditReport now.\n${budget.remainingSummary()}`;
+                }
+                if (budgetStatus.exhausted.length > 0 || budgetStatus.nearlyExhausted.length > 0) {
+                    logger.warn(`[Agent] Budget notice sent to model:\n${budget.remainingSummary()}`);
+                }
+
+                result = await sendToModel({ text: stepText, functionResponses });
+                completedResponses = [];
+                await checkpointStep();
+            } else {
+                logger.warn("[Agent] No function calls processed or responses generated in loop. Breaking.");
+                break;
+            }
+
+        }
+
+        if (loopCount >= MAX_LOOPS) {
+            logger.error(`[Agent] Audit process failed: Exceeded maximum agent loops (${MAX_LOOPS}).`);
+            await finishWithError('Audit process timed out (max loops reached).');
+        }
+    } catch (error) {
+        if (error instanceof QuotaExhaustedError) {
+            logger.error(`[Agent] ${error.message}`);
+            await reportFinalError(reply_topic_id, contract_id_from_user, `The AI model's request quota is exhausted: ${error.message}`, deliverAndTrace, { budget, errorType: 'model_quota_exhausted', toolState: toolContext.state });
+            return;
+        }
+        failed = true;
+        throw error;
+    } finally {
+        // Every non-throwing exit has sent a final report; remember that so a retry doesn't send another.
+        if (jobId && !failed) {
+            await saveCheckpoint(jobId, { loopCount, completed: true });
+        }
+        await trace.flush();
+    }
+}
+
+const ERROR_TITLES = {
+    audit_process_error: "Audit Process Error",
+    model_quota_exhausted: "Model Quota Exhausted",
+};
+
+export async function reportFinalError(connectionTopicId, contractId, errorMessage, deliver, { budget = null, errorType = 'audit_process_error', toolState = null } = {}) {
+    logger.info(`[Agent] Entered reportFinalError for ${contractId || 'Unknown'} (Connection Topic: ${connectionTopicId}). Error: ${errorMessage}`);
+    const effectiveContractId = contractId || "Unknown";
+
+    const errorReportObject = {
+        schema_version: REPORT_SCHEMA_VERSION,
+        contract_id: effectiveContractId,
+        score: 0,
+        summary: `Audit failed for ${effectiveContractId}: ${errorMessage}`,
+        error_type: errorType,
+        findings: [{
+            title: ERROR_TITLES[errorType] || ERROR_TITLES.audit_process_error,
+            severity: "Critical",
+            description: `The automated audit process encountered an error: ${errorMessage}`,
+            recommendation: "Review agent logs for details. The audit may be incomplete.",
+            details: `Error occurred during processing for contract ${effectiveContractId}.`,
+            confirmation: "N/A"
+        }],
+        tools_used: [],
+        ...(budget ? { usage: budget.snapshot() } : {})
+    };
+
+    const finalPayload = { status: 'error', report: errorReportObject };
+    await deliver(finalPayload, { connectionTopicId, contractId: effectiveContractId, budget, toolState });
+}
+
+export async function reportFinalResult(connectionTopicId, contractId, report, deliver, { budget = null, toolState = null } = {}) {
+    logger.info(`[Agent] Entered reportFinalResult for ${contractId} (Connection Topic: ${connectionTopicId})`);
+    if (!report) {
+        await reportFinalError(connectionTopicId, contractId, "Internal error: Final report object was missing.", deliver, { budget, toolState });
+        return;
+    }
+    await deliver({ status: 'success', report: report }, { connectionTopicId, contractId, budget, toolState });
+}
+
+/**
+ * Delivers a final payload to the requester's HCS-10 connection topic (HCS-1 inscription + HRL message).
+ * Delivery failures are logged, not thrown: the audit itself is over at this point.
+ */
+export async function deliverViaHcs(payload, { connectionTopicId, contractId, budget = null, toolState = null }) {
+    const label = payload.status === 'error' ? 'ERROR' : 'SUCCESS';
+    if (!connectionTopicId) {
+        logger.error(`[Agent] Cannot send ${label} report via HCS-10: No Connection Topic ID was established for ${contractId}.`);
+        return;
+    }
+    try {
+        logger.info(`[Agent] Sending ${label} report for ${contractId} via HCS-10 to Connection Topic ${connectionTopicId}`);
+        const attachments = await renderAttachments(payload, toolState);
+        await sendAuditResult(connectionTopicId, contractId, payload, { onFee: budget?.recordHbar, attachments });
+        if (budget) {
+            logger.info(`[Agent] Resources consumed by audit of ${contractId} including report delivery: ${JSON.stringify(budget.snapshot().consumed)}`);
+        }
+    } catch (e) {
+        logger.error(`[Agent] Failed to send final ${label} result via HCS-10: ${e.message}`);
+    }
+}
+
+// Rendered reports configured with REPORT_ATTACHMENTS, for successful audits only.
+async function renderAttachments(payload, toolState) {
+    const formats = config.reportAttachments.filter(format => RENDER_FORMATS.includes(format));
+    if (payload.status !== 'success' || formats.length === 0) return {};
+    const context = { sources: toolState?.fetchedSources, pocTests: toolState?.pocTests, toolVersions: await getToolVersions() };
+    const attachments = {};
+    for (const format of formats) {
+        try {
+            attachments[format] = renderReport(payload, format, context);
+        } catch (error) {
+            logger.warn(`[Agent] Could not render the ${format} report: ${error.message}`);
+        }
+    }
+    return attachments;
+}
+
+// Simulation mode: print the payload instead of sending it.
+export async function deliverToConsole(payload, { contractId }) {
+    const label = payload.status === 'error' ? 'ERROR ' : '';
+    logger.info(`[Agent Simulation] Final ${label}report generated for ${contractId}. Would send HCS message here.`);
+    logger.info(`--- SIMULATED FINAL ${label}REPORT OUTPUT ---`);
+    console.log(JSON.stringify(payload, null, 2));
+    logger.info(`--- END SIMULATED FINAL ${label}REPORT OUTPUT ---`);
+}
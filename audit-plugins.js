@@ -0,0 +1,401 @@
+// src/audit-plugins.js
+import { config } from './config.js';
+import { runAuditToolInDocker, runForgeTestInDocker } from './audit-tools.js';
+import { logger, fetchVerifiedSource } from './utils.js';
+import { validateAuditReport, formatSchemaErrors, REPORT_SCHEMA_VERSION } from './report-schema.js';
+import { createToolRegistry, loadToolPlugins } from './tool-registry.js';
+import { mergeDetectorResults } from './finding-normalizer.js';
+import { getAnalyzer } from './analyzers.js';
+import { detectProxy } from './proxy-detection.js';
+import { analyzeBytecode, describeBytecodeAnalysis, labelBytecodeOnlyReport } from './bytecode-analyzer.js';
+import { verifyDeployedBytecode, applySourceVerification } from './source-verification.js';
+import { applyPragmaConflicts } from './solc-versions.js';
+import { labelMissingCompilers } from './solc-cache.js';
+
+// Directory prefix used when several contracts' sources share one project (e.g. 0.0.123 -> 'c0_0_123').
+function contractNamespace(contractId) {
+    return `c${contractId.replace(/\./g, '_')}`;
+}
+
+const MAX_POC_TESTS = 10;
+const MAX_POC_TEST_LENGTH = 20000;
+
+// Keeps the latest run of each test file (the model often re-runs a test after fixing it), for rendered reports.
+function recordPocTest(pocTests = [], test) {
+    const others = pocTests.filter(existing => existing.file !== test.file);
+    return [...others, { ...test, code: test.code.slice(0, MAX_POC_TEST_LENGTH) }].slice(-MAX_POC_TESTS);
+}
+
+function storeSources(fetchedSources, contractId, result, extra = {}) {
+    fetchedSources[contractId] = {
+        files: result.files,
+        mainFilePath: result.mainFileName,
+        compiler: result.compiler || null,
+        namespace: contractNamespace(contractId),
+        ...extra,
+    };
+}
+
+/**
+ * Recompiles freshly fetched sources and compares them with the deployed bytecode (see source-verification.js).
+ * The result is kept in `state.sourceVerification`; container time is added to `metrics`.
+ * @returns {Promise<object|null>} The verification, or null when disabled.
+ */
+async function verifyFetchedSource(contractId, { files, metadata, runtimeBytecode }, context, metrics) {
+    if (!config.sourceVerification) return null;
+    const { metrics: verificationMetrics, ...verification } = await verifyDeployedBytecode({ files, metadata, runtimeBytecode });
+    metrics.containerTimeMs += verificationMetrics.containerTimeMs;
+    context.state.sourceVerification = { ...context.state.sourceVerification, [contractId]: verification };
+    return verification;
+}
+
+/**
+ * Records a detected proxy in `state.proxies` and fetches the verified source of its current
+ * implementation next to it, so that the audit covers both.
+ * @returns {Promise<object>} Fields added to the getSourceCode result.
+ */
+async function resolveProxyImplementation(proxy, context, metrics) {
+    const { fetchedSources } = context.state;
+    context.state.proxies = { ...context.state.proxies, [proxy.contract_id]: proxy };
+    const implementationId = proxy.implementation?.contract_id;
+    if (!implementationId) {
+        return { proxy, implementation: { success: false, error: `The implementation of this ${proxy.kind} proxy could not be resolved to a Hedera contract.` } };
+    }
+    if (implementationId === proxy.contract_id) return { proxy };
+    let sourceVerification = context.state.sourceVerification?.[implementationId];
+    if (!fetchedSources[implementationId]) {
+        const { runtimeBytecode, metadata, ...implementationResult } = await fetchVerifiedSource(implementationId);
+        if (!implementationResult.success) {
+            logger.warn(`[Agent] Verified source of implementation ${implementationId} (behind proxy ${proxy.contract_id}) could not be fetched.`);
+            return { proxy, implementation: { contract_id: implementationId, ...implementationResult } };
+        }
+        storeSources(fetchedSources, implementationId, implementationResult, { proxyOf: proxy.contract_id });
+        logger.info(`[Agent] ${proxy.contract_id} is a ${proxy.kind} proxy; fetched implementation ${implementationId} as well.`);
+        sourceVerification = await verifyFetchedSource(implementationId, { files: implementationResult.files, metadata, runtimeBytecode }, context, metrics);
+    }
+    const implementation = fetchedSources[implementationId];
+    const note = fetchedSources[proxy.contract_id]
+        ? 'Both sources were fetched: audit them as one system (multi-contract), covering the proxy\'s admin and upgrade surface as well as the implementation\'s logic.'
+        : 'The proxy itself has no verified source: audit the implementation, and report the proxy only from its detected pattern.';
+    return {
+        proxy,
+        implementation: { contract_id: implementationId, success: true, files: implementation.files, mainFileName: implementation.mainFilePath, ...(sourceVerification ? { sourceVerification } : {}) },
+        note: `${proxy.contract_id} is a ${proxy.kind} proxy for ${implementationId}. ${note}`,
+    };
+}
+
+// Tool runs that could not start for want of a compiler are kept for the report: conflicting pragmas in
+// `state.pragmaConflicts`, compilers missing from the offline cache in `state.missingCompilers`.
+function recordCompilerProblem(contractId, result, context) {
+    if (result.solcResolution?.conflict) {
+        context.state.pragmaConflicts = { ...context.state.pragmaConflicts, [contractId]: result.solcResolution };
+    }
+    if (result.solcUnavailable) {
+        context.state.missingCompilers = { ...context.state.missingCompilers, [contractId]: result.solcUnavailable };
+    }
+}
+
+/**
+ * Falls back to a bytecode-only analysis of an unverified contract, kept in `state.bytecodeAnalyses`.
+ * @returns {object|null} Fields that replace the failed getSourceCode result, or null if the bytecode cannot be analyzed.
+ */
+function bytecodeFallback(contractId, runtimeBytecode, context) {
+    let analysis;
+    try {
+        analysis = analyzeBytecode(runtimeBytecode);
+    } catch (error) {
+        logger.warn(`[Agent] Bytecode of ${contractId} could not be analyzed: ${error.message}`);
+        return null;
+    }
+    context.state.bytecodeAnalyses = { ...context.state.bytecodeAnalyses, [contractId]: analysis };
+    logger.info(`[Agent] ${contractId} is not verified; analyzed its bytecode instead: ${describeBytecodeAnalysis(analysis)}.`);
+    return {
+        success: true,
+        verified: false,
+        bytecodeAnalysis: analysis,
+        note: `${contractId} has no verified source. This is a bytecode-only, lower-confidence audit: source-level tools cannot run on it. Base findings on the exposed functions (unidentified selectors are unknown functions), dangerous opcodes and Hedera system contract calls above, state what could not be checked, and attribute the findings to ${contractId}.`,
+    };
+}
+
+// Flattens every fetched contract into one file list, tagging each file with its contract's namespace.
+function namespacedFiles(fetchedSources) {
+    return Object.values(fetchedSources).flatMap(source =>
+        source.files.map(file => ({ ...file, namespace: source.namespace }))
+    );
+}
+
+export const getSourceCodePlugin = {
+    name: "getSourceCode",
+    description: `Fetches the verified Solidity source code for a given Hedera contract ID from the verification service.
+Returns { success: boolean, sourceCode?: string, mainFileName?: string, error?: string, proxy?: object, implementation?: object, verified?: boolean, bytecodeAnalysis?: object, note?: string }.
+'success' is true if verified source code was found and fetched.
+'sourceCode' contains the combined source code of all .sol files.
+'mainFileName' provides a best guess for the primary contract file name.
+'error' contains a message if the source code was not found or an API error occurred.
+If the contract is a proxy (EIP-1967, transparent, beacon, EIP-1822 or EIP-1167 minimal proxy), 'proxy' describes it ({ kind, implementation, admin, beacon, evidence }) and the verified source of its current implementation is fetched too and returned in 'implementation' ({ contract_id, success, files, mainFileName, error }).
+Verified sources are recompiled with the compiler version and settings they were verified with, and compared with the deployed bytecode: 'sourceVerification.status' is 'full' or 'partial' (only the metadata hash differs) when they match, 'mismatch' when the source is not the deployed code, or 'unchecked' (see 'detail').
+If the contract has no verified source, its runtime bytecode is analyzed instead: 'verified' is false and 'bytecodeAnalysis' lists its function selectors (named where known), dangerous opcodes (SELFDESTRUCT, DELEGATECALL, CALLCODE) and Hedera system contract calls.`,
+    parameters: {
+        type: "object",
+        properties: {
+            contractId: {
+                type: "string",
+                description: "The Hedera contract ID in '0.0.X' format."
+            }
+        },
+        required: ["contractId"]
+    },
+    async handler({ contractId }, context) {
+        const { fetchedSources } = context.state;
+        if (!contractId.match(/^0\.0\.\d+$/)) {
+            return { success: false, error: `Invalid contractId format: ${JSON.stringify(contractId)}` };
+        }
+
+        // The bytecode and compiler metadata are used here, not sent to the model.
+        const { runtimeBytecode, metadata, ...functionResult } = await fetchVerifiedSource(contractId);
+        const metrics = { containerTimeMs: 0 };
+        const withMetrics = result => (metrics.containerTimeMs > 0 ? { ...result, metrics } : result);
+        let result = functionResult;
+        if (functionResult.success) {
+            storeSources(fetchedSources, contractId, functionResult);
+            logger.info(`[Agent] Successfully stored fetched file data for ${contractId} (${Object.keys(fetchedSources).length} contract(s) fetched).`);
+            const sourceVerification = await verifyFetchedSource(contractId, { files: functionResult.files, metadata, runtimeBytecode }, context, metrics);
+            if (sourceVerification) result = { ...result, sourceVerification };
+        } else {
+            logger.warn(`[Agent] Source code fetch failed for ${contractId}. Error will be sent to the model.`);
+            delete fetchedSources[contractId];
+        }
+        if (config.proxyResolution) {
+            // Minimal proxies are rarely verified themselves, so detection also runs without a source.
+            const proxy = await detectProxy(contractId, { files: functionResult.files, mainFilePath: functionResult.mainFileName });
+            if (proxy.is_proxy) {
+                const resolution = await resolveProxyImplementation(proxy, context, metrics);
+                if (!functionResult.success && resolution.implementation?.success) {
+                    const { error, ...rest } = functionResult;
+                    return withMetrics({ ...rest, success: true, proxySourceError: error, ...resolution });
+                }
+                result = { ...result, ...resolution };
+            }
+        }
+        if (result.success || !runtimeBytecode || !config.bytecodeFallback) return withMetrics(result);
+        const fallback = bytecodeFallback(contractId, runtimeBytecode, context);
+        if (!fallback) return withMetrics(result);
+        const { error, ...rest } = result;
+        return withMetrics({ ...rest, sourceError: error, ...fallback });
+    },
+};
+
+export const runAuditToolPlugin = {
+    name: "runAuditToolInDocker",
+    description: `Executes a static analyzer within a Docker container: 'slither', 'mythril', 'aderyn', 'solhint' or 'semgrep' (only the analyzers enabled for this audit run).
+Pass the analyzer's name as 'toolName', optionally followed by extra arguments; JSON output is requested automatically.
+The analyzer runs on the source code fetched via 'getSourceCode' (or loaded up front), targeting the contract's main file.
+When several contracts were fetched, pass 'contractId' to analyze one of them, or omit it (or pass "all") to analyze each of them.
+Returns { success: boolean, tool: string, output?: string | object, findings?: object[], error?: string, contract_id: string } for a single contract, or { success: boolean, results: { [contractId]: result } } for several. 'findings' are the analyzer's detector results in a common format ({ tool, check, impact, confidence, description, file, lines }); report a finding with its 'check' as 'detector'. Analyze 'output' for details.`,
+    parameters: {
+        type: "object",
+        properties: {
+            toolName: { type: "string", description: "The analyzer to run ('slither', 'mythril', 'aderyn', 'solhint' or 'semgrep'), optionally followed by extra arguments." },
+            contractId: { type: "string", description: "Optional: The '0.0.X' ID of the fetched contract to analyze, or 'all' (the default) for every fetched contract." },
+        },
+        required: ["toolName"],
+    },
+    preconditions: ['sourcesFetched'],
+    async handler({ toolName, contractId }, context) {
+        const { fetchedSources } = context.state;
+        const fetchedIds = Object.keys(fetchedSources);
+        const requestedId = contractId && contractId !== 'all' ? contractId : null;
+        if (requestedId && !fetchedSources[requestedId]) {
+            throw new Error(`Source code for contract ${requestedId} has not been fetched. Fetched contracts: ${fetchedIds.join(', ')}.`);
+        }
+        const targetIds = requestedId ? [requestedId] : fetchedIds;
+        const analyzerName = String(toolName).trim().split(/\s+/)[0].toLowerCase();
+        const enabled = context.request?.analyzers || config.analyzers;
+        if (getAnalyzer(analyzerName) && !enabled.includes(analyzerName)) {
+            throw new Error(`Analyzer '${analyzerName}' is not enabled for this audit. Enabled analyzers: ${enabled.join(', ')}.`);
+        }
+
+        // Tools run once per contract; 'all' (or no contractId) runs them over every fetched contract.
+        const results = {};
+        for (const targetId of targetIds) {
+            const modifiedArgs = {
+                toolName,
+                files: fetchedSources[targetId].files,
+                mainFilePath: fetchedSources[targetId].mainFilePath,
+                compiler: fetchedSources[targetId].compiler
+            };
+            logger.debug(`[Agent] Final modified args for runAuditToolInDocker on ${targetId} (files omitted from log): { toolName: "${modifiedArgs.toolName}", mainFilePath: "${modifiedArgs.mainFilePath}", files: [...] }`);
+            results[targetId] = { contract_id: targetId, ...await runAuditToolInDocker(modifiedArgs) };
+            recordCompilerProblem(targetId, results[targetId], context);
+        }
+
+        // Detector results are kept for the report normalizer (see finding-normalizer.js).
+        const detectorResults = Object.values(results).flatMap(result => (result.findings || []).map(finding => ({ contract_id: result.contract_id, ...finding })));
+        if (detectorResults.length > 0) {
+            context.state.detectorResults = mergeDetectorResults(context.state.detectorResults, detectorResults);
+        }
+
+        if (targetIds.length === 1) return results[targetIds[0]];
+        return {
+            success: Object.values(results).some(r => r.success),
+            results,
+            metrics: { containerTimeMs: Object.values(results).reduce((sum, r) => sum + (r.metrics?.containerTimeMs || 0), 0) },
+        };
+    },
+};
+
+export const executeSolidityTestPlugin = {
+    name: "executeSolidityTest",
+    description: `Compiles and executes a Solidity test contract using Foundry (forge test).
+Requires the test contract code.
+If the main contract source code has already been fetched via 'getSourceCode', you MAY omit 'originalContractCode'; the agent will use the fetched code.
+Requires the test filename (ending in .t.sol) and the original contract's filename.
+When several contracts were fetched, all of them are placed under 'src/<namespace>/' (e.g., 'src/c0_0_123/'); pass 'contractId' for the contract that 'originalContractFileName' belongs to.
+Returns { success: boolean, output?: string, error?: string }. Analyze 'output' for PASS/FAIL/errors.`,
+    parameters: {
+        type: "object",
+        properties: {
+            testContractCode: {
+                type: "string",
+                description: "The full Solidity code for the test contract (must contain 'test...' functions)."
+            },
+            testContractFileName: {
+                type: "string",
+                description: "The filename for the test contract (e.g., 'XXXTest.t.sol'). MUST end with '.t.sol'. Do NOT include 'src/' or any other directory paths; the file will be placed directly in the 'test/' directory."
+            },
+            originalContractCode: {
+                type: "string",
+                description: "Optional: The source code of the main contract being audited. Omit if already fetched."
+            },
+            originalContractFileName: {
+                type: "string",
+                description: "The filename of the main contract being audited (e.g., 'SimpleCounter.sol'). Required."
+            },
+            contractId: {
+                type: "string",
+                description: "Optional: The '0.0.X' ID of the fetched contract that contains 'originalContractFileName'. Needed when several contracts were fetched."
+            }
+        },
+        required: ["testContractCode", "testContractFileName", "originalContractFileName"]
+    },
+    preconditions: ['sourcesFetched'],
+    async handler(args, context) {
+        const { fetchedSources } = context.state;
+        const fetchedIds = Object.keys(fetchedSources);
+        const isMultiContract = fetchedIds.length > 1;
+        const targetId = args.contractId
+            || fetchedIds.find(id => fetchedSources[id].files.some(f => f.path.includes(args.originalContractFileName)))
+            || fetchedIds[0];
+        const targetSource = fetchedSources[targetId];
+        if (!targetSource) {
+            throw new Error(`Source code for contract ${targetId} has not been fetched. Fetched contracts: ${fetchedIds.join(', ')}.`);
+        }
+        const originalFile = targetSource.files.find(f => f.path.includes(args.originalContractFileName));
+        if (!originalFile?.content) {
+            throw new Error(`Could not find original contract content for '${args.originalContractFileName}' in fetched files of ${targetId} for executeSolidityTest.`);
+        }
+
+        // With several contracts, every contract is placed under src/<namespace>/ so tests can deploy all of them.
+        const modifiedArgs = {
+            testContractCode: args.testContractCode,
+            testContractFileName: args.testContractFileName,
+            originalContractFileName: args.originalContractFileName,
+            originalContractNamespace: isMultiContract ? targetSource.namespace : null,
+            files: isMultiContract ? namespacedFiles(fetchedSources) : targetSource.files,
+            compiler: targetSource.compiler
+        };
+
+        const logArgs = { ...modifiedArgs, testContractCode: '...', files: `[${modifiedArgs.files.length} files]` };
+        logger.debug(`[Agent] Final modified args for executeSolidityTest (code/files omitted): ${JSON.stringify(logArgs)}`);
+        const result = await runForgeTestInDocker(modifiedArgs);
+        recordCompilerProblem(targetId, result, context);
+        context.state.pocTests = recordPocTest(context.state.pocTests, {
+            file: args.testContractFileName,
+            contract_id: targetId,
+            code: args.testContractCode,
+            passed: result.success,
+        });
+        return result;
+    },
+};
+
+export const finalizeAuditReportPlugin = {
+    name: "finalizeAuditReport",
+    description: `Call this function ONLY when the full audit process is complete and you have synthesized all findings into the final, structured JSON report object.
+The report is validated against audit report schema v${REPORT_SCHEMA_VERSION} before it is published. On violations you receive { success: false, error, violations: string[] } and must call this function again with a corrected report.`,
+    parameters: {
+        type: "object",
+        properties: {
+            report: {
+                type: "object",
+                description: "The final audit report as a JSON object. It MUST contain 'score' (number 0-100), 'summary' (non-empty string), 'findings' array (with objects having 'title', 'severity' (one of Critical, High, Medium, Low, Informational, Optimization), 'description', 'recommendation', 'confirmation', optional 'details', and 'contract_id' when several contracts are audited), and 'tools_used' array (string[]). Multi-contract audits MUST also include 'cross_contract_interactions' (string).",
+            }
+        },
+        required: ["report"]
+    },
+    allowedWhenBudgetExhausted: true,
+    deterministic: true,
+    async handler({ report }, context) {
+        const bytecodeAnalyses = context.state.bytecodeAnalyses || {};
+        const contractIds = [...new Set([...Object.keys(context.state.fetchedSources), ...Object.keys(bytecodeAnalyses)])];
+        const validation = validateAuditReport(report, { contractIds });
+        if (!validation.valid) {
+            const violations = formatSchemaErrors(validation.errors);
+            logger.warn(`[Agent] Final report failed schema v${validation.schemaVersion} validation (${violations.length} violation(s)): ${violations.join('; ')}`);
+            const repairTurns = context.state.reportRepairTurns || 0;
+            if (repairTurns >= config.reportMaxRepairTurns) {
+                context.outcome = {
+                    type: 'error',
+                    message: `AI produced a report that does not conform to the report schema after ${repairTurns} repair attempt(s): ${violations.slice(0, 5).join('; ')}`,
+                };
+                return { success: false, error: 'Report rejected.', violations };
+            }
+            context.state.reportRepairTurns = repairTurns + 1;
+            return {
+                success: false,
+                error: `The report does not conform to audit report schema v${validation.schemaVersion}. Fix every violation and call finalizeAuditReport again with the complete corrected report (repair attempt ${context.state.reportRepairTurns}/${config.reportMaxRepairTurns}).`,
+                violations,
+            };
+        }
+
+        logger.info(`[Agent] Audit complete. Received final report (valid against schema v${validation.schemaVersion}).`);
+        const proxies = Object.values(context.state.proxies || {});
+        // Proxies without a verified source of their own are still covered through their implementation.
+        const coveredIds = [...new Set([...proxies.map(proxy => proxy.contract_id), ...contractIds])];
+        // Contracts that were verified in the end (e.g. fetched again as an implementation) are not bytecode-only.
+        const bytecodeOnly = Object.fromEntries(Object.entries(bytecodeAnalyses).filter(([id]) => !context.state.fetchedSources[id]));
+        context.outcome = {
+            type: 'report',
+            // Locally loaded sources (see cli.js) are not Hedera contracts and are left out of contract_ids.
+            report: {
+                ...labelMissingCompilers(
+                    applyPragmaConflicts(
+                        applySourceVerification(
+                            labelBytecodeOnlyReport(report, bytecodeOnly, Object.keys(context.state.fetchedSources).length > 0),
+                            context.state.sourceVerification || {},
+                        ),
+                        context.state.pragmaConflicts || {},
+                    ),
+                    context.state.missingCompilers || {},
+                ),
+                contract_ids: report.contract_ids || coveredIds.filter(id => /^0\.0\.\d+$/.test(id)),
+                ...(proxies.length > 0 ? { proxies } : {}),
+                schema_version: REPORT_SCHEMA_VERSION,
+            },
+        };
+        return { success: true };
+    },
+};
+
+export const corePlugins = [getSourceCodePlugin, runAuditToolPlugin, executeSolidityTestPlugin, finalizeAuditReportPlugin];
+
+/**
+ * Builds the registry used by the agent: the core tools plus any third-party plugins listed in TOOL_PLUGINS.
+ * @param {object} [options]
+ * @param {string[]} [options.pluginSpecifiers]
+ * @param {(plugin: object) => boolean} [options.filter] - Keeps only matching plugins (e.g. the tools selected on the CLI).
+ */
+export async function createAuditToolRegistry({ pluginSpecifiers = config.toolPlugins, filter = () => true } = {}) {
+    const externalPlugins = await loadToolPlugins(pluginSpecifiers);
+    return createToolRegistry([...corePlugins, ...externalPlugins].filter(filter));
+}
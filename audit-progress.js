@@ -0,0 +1,95 @@
+// src/audit-progress.js
+import { logger } from './utils.js';
+
+/*
+ * Compact, machine-readable progress events for live consumers of a running audit
+ * (the HTTP API's Server-Sent Events, HCS-10 progress messages). They are derived from the audit trace
+ * (see audit-trace.js), so the pipeline only has one place that reports what it does.
+ *
+ * Every event has { stage } plus stage-specific fields:
+ *   started        {}                                          (first attempt of the audit)
+ *   resumed        { step }                                    (job restored from a checkpoint)
+ *   model_turn     { step }                                    (a message was sent to the model)
+ *   model_response { step, functionCalls: string[], finishReason, durationMs }
+ *   tool_started   { tool, target? }
+ *   tool_finished  { tool, success, error?, durationMs }
+ *   finished       { status, score?, findings? }               (final payload delivered)
+ */
+
+const MAX_ERROR_LENGTH = 300;
+
+// Small, non-sensitive argument that identifies what a tool call works on.
+function toolTarget(args = {}) {
+    return args.toolName || args.testContractFileName || args.contractId || undefined;
+}
+
+/**
+ * Maps one trace event to a progress event, or null if it isn't interesting to live consumers.
+ * @param {object} event - { type, ...data } as passed to trace.record().
+ * @param {number} step - Number of model turns so far.
+ */
+export function progressFromTraceEvent(event, step) {
+    switch (event.type) {
+        case 'start':
+            return { stage: 'started' };
+        case 'resume':
+            return { stage: 'resumed', step: event.loopCount };
+        case 'model_request':
+            return { stage: 'model_turn', step };
+        case 'model_response':
+            return {
+                stage: 'model_response',
+                step,
+                functionCalls: (event.response?.functionCalls || []).map(call => call.name),
+                finishReason: event.response?.finishReason,
+                durationMs: event.durationMs,
+            };
+        case 'tool_call':
+            return { stage: 'tool_started', tool: event.name, target: toolTarget(event.args) };
+        case 'tool_result': {
+            const success = event.result?.success !== false;
+            const error = !success && event.result?.error ? String(event.result.error).slice(0, MAX_ERROR_LENGTH) : undefined;
+            return { stage: 'tool_finished', tool: event.name, success, error, durationMs: event.durationMs };
+        }
+        case 'final':
+            return {
+                stage: 'finished',
+                status: event.payload?.status,
+                score: event.payload?.report?.score,
+                findings: event.payload?.report?.findings?.length,
+            };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Wraps an audit trace so every recorded event is also reported as a progress event.
+ * Listener errors are logged and never affect the audit or the trace.
+ * @param {object} trace - Trace from createAuditTrace().
+ * @param {(event: object) => void} onProgress
+ * @returns {object} Trace with the same interface.
+ */
+export function withProgress(trace, onProgress) {
+    let step = 0;
+    return {
+        path: trace.path,
+
+        async record(type, data = {}) {
+            await trace.record(type, data);
+            if (type === 'resume') step = data.loopCount || step;
+            if (type === 'model_request') step++;
+            const progress = progressFromTraceEvent({ type, ...data }, step);
+            if (!progress) return;
+            try {
+                onProgress(progress);
+            } catch (error) {
+                logger.error(`[Progress] Progress listener failed on '${progress.stage}': ${error.message}`);
+            }
+        },
+
+        flush() {
+            return trace.flush();
+        },
+    };
+}
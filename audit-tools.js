@@ -1,27 +1,16 @@
 import Docker from 'dockerode';
 import fs from 'fs/promises';
 import path from 'path';
-import crypto from 'crypto';
 import { config } from './config.js';
-import { logger } from './utils.js';
+import { logger, calculateRelativePath } from './utils.js';
+import { resolvePragmaVersion } from './solc-versions.js';
+import { solcCacheBind, solcCacheDir, cachedSolcVersions, solcAvailability } from './solc-cache.js';
+import { acquireToolContainer } from './container-pool.js';
+import { getAnalyzer, ANALYZER_NAMES } from './analyzers.js';
 
 const docker = new Docker(); // Auto-detects connection
-const TEMP_DIR = config.tempContractDir;
-
-async function ensureTempDirExists() {
-    try {
-        await fs.access(TEMP_DIR);
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            await fs.mkdir(TEMP_DIR, { recursive: true });
-        } else {
-            throw error;
-        }
-    }
-}
-
 // Helper to clean stdout before JSON parsing
-function cleanStdout(data) {
+export function cleanStdout(data) {
     const jsonStartIndex = data.indexOf('{');
     if (jsonStartIndex === -1) {
         return data;
@@ -34,100 +23,212 @@ function cleanStdout(data) {
     return data.substring(jsonStartIndex, jsonEndIndex + 1);
 }
 
-// ****** NEW HELPER FUNCTION ******
-function calculateRelativePath(fullPath, logPrefix = "[PathHelper]") {
-    if (!fullPath || typeof fullPath !== 'string') {
-        logger.warn(`${logPrefix} Invalid input path: ${fullPath}`);
-        return path.basename(fullPath || 'unknown_file'); // Fallback
-    }
+export const CONTAINER_PROJECT_DIR = '/app';
+export const CONTAINER_SOURCE_DIR = '/app/src'; // Read-only sources (the src/ of the Foundry project)
+export const CONTAINER_SCRATCH_DIR = '/scratch'; // Writable working directory next to read-only sources
+const CONTAINER_HOME = '/home/auditor'; // Home of the sandbox user in the audit tool image, writable by any uid
+export const CONTAINER_SOLC_BIN = '/usr/local/bin/solc'; // solc-select's shim; SOLC_VERSION picks the cached compiler
 
-    // Pattern 1: Look for '/sources/' and take everything after it
-    const sourcesIndex = fullPath.indexOf('/sources/');
-    if (sourcesIndex !== -1) {
-        let relative = fullPath.substring(sourcesIndex + '/sources/'.length);
-        // Remove potential leading 'project_/' often found after '/sources/'
-        if (relative.startsWith('project_/')) {
-            relative = relative.substring('project_/'.length);
+/**
+ * User tool containers run as: TOOL_USER, else the agent's own uid:gid, so files the tools write
+ * into scratch directories can be cleaned up. An agent running as root runs them as 'auditor'.
+ */
+function sandboxUser() {
+    if (config.toolUser) return config.toolUser;
+    const uid = process.getuid?.();
+    return uid ? `${uid}:${process.getgid()}` : 'auditor';
+}
+
+export function bind(hostDir, containerDir, { readOnly = false } = {}) {
+    return `${path.resolve(hostDir)}:${containerDir}${readOnly ? ':ro' : ''}`;
+}
+
+// Host directory a sandboxed container may write to, whatever uid it runs as.
+export async function makeScratchDir(dir) {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.chmod(dir, 0o777);
+}
+
+/**
+ * createContainer() options of a sandboxed audit tool container.
+ *
+ * Tool containers run third-party contracts and model-written tests, so they have no network
+ * (unless `network`), run as an unprivileged user without capabilities and get the memory, CPU and
+ * process limits of the config. The solc cache (see solc-cache.js) is mounted read-only unless
+ * `writableSolcCache`.
+ * @param {object} options
+ * @param {string[]} options.command
+ * @param {string[]} options.binds - Host mounts, see bind().
+ * @param {string} [options.workingDir]
+ * @param {string[]} [options.env] - Extra environment ('NAME=value').
+ */
+export async function sandboxContainerOptions({ command, binds, workingDir = CONTAINER_PROJECT_DIR, env = [], network = false, writableSolcCache = false }) {
+    return {
+        Image: config.auditToolImage,
+        Cmd: command,
+        WorkingDir: workingDir,
+        User: sandboxUser(),
+        Env: [`HOME=${CONTAINER_HOME}`, ...env],
+        HostConfig: {
+            Binds: [...binds, await solcCacheBind({ readOnly: !writableSolcCache })],
+            AutoRemove: false,
+            ...(network ? {} : { NetworkMode: 'none' }),
+            ...(config.toolMemoryMb > 0 ? { Memory: config.toolMemoryMb * 1024 * 1024, MemorySwap: config.toolMemoryMb * 1024 * 1024 } : {}),
+            ...(config.toolCpus > 0 ? { NanoCpus: Math.round(config.toolCpus * 1e9) } : {}),
+            ...(config.toolPidsLimit > 0 ? { PidsLimit: config.toolPidsLimit } : {}),
+            CapDrop: ['ALL'],
+            SecurityOpt: ['no-new-privileges'],
+        },
+        Tty: false,
+        AttachStdout: true,
+        AttachStderr: true,
+    };
+}
+
+/**
+ * Runs one command in a fresh, sandboxed audit tool container (see sandboxContainerOptions()) and
+ * collects stdout and stderr separately. The container is killed after `timeoutMs` (TOOL_TIMEOUT_MS by
+ * default) and always removed. Tool calls use warm containers from the pool instead (see container-pool.js).
+ * @param {object} options - See sandboxContainerOptions().
+ * @returns {Promise<{ statusCode: number, stdout: string, stderr: string, containerTimeMs: number, timedOut: boolean, oomKilled: boolean }>}
+ */
+export async function runToolContainer({ logPrefix = '[DockerRunner]', timeoutMs = config.toolTimeoutMs, ...options }) {
+    const container = await docker.createContainer(await sandboxContainerOptions(options));
+    let killTimer = null;
+    let timedOut = false;
+    try {
+        const startedAt = Date.now();
+        await container.start();
+        logger.debug(`${logPrefix} Container ${container.id.substring(0,12)} started.`);
+        if (timeoutMs > 0) {
+            killTimer = setTimeout(() => {
+                timedOut = true;
+                logger.warn(`${logPrefix} Container ${container.id.substring(0,12)} exceeded ${timeoutMs} ms; killing it.`);
+                container.kill().catch(killError => logger.warn(`${logPrefix} Failed to kill container: ${killError.message}`));
+            }, timeoutMs);
         }
-        logger.debug(`${logPrefix} Path matched '/sources/': Original='${fullPath}' -> Relative='${relative}'`);
-        return relative;
-    }
 
-    // Pattern 2: Look for an EVM address-like segment (e.g., /0x.../) and take everything after it
-    // Regex matches '/0x' followed by 40 hex characters followed by '/'
-    const evmPathMatch = fullPath.match(/\/0x[a-fA-F0-9]{40}\/(.+)$/);
-    if (evmPathMatch && evmPathMatch[1]) {
-        let relative = evmPathMatch[1];
-         // Remove potential leading 'sources/' or 'project_/' after the EVM address part
-         if (relative.startsWith('sources/')) {
-             relative = relative.substring('sources/'.length);
-         }
-         if (relative.startsWith('project_/')) {
-             relative = relative.substring('project_/'.length);
-         }
-        logger.debug(`${logPrefix} Path matched EVM address pattern: Original='${fullPath}' -> Relative='${relative}'`);
-        return relative;
+        const stream = await container.logs({ follow: true, stdout: true, stderr: true });
+        let stdout = ''; let stderr = '';
+        const demuxPromise = new Promise((resolve, reject) => {
+            if (!container.modem) return reject(new Error("Docker container or modem is not available for demuxing."));
+            // Use the modem to separate stdout and stderr
+            container.modem.demuxStream(stream,
+                { write: (chunk) => { stdout += chunk.toString('utf8'); } },
+                { write: (chunk) => { stderr += chunk.toString('utf8'); } }
+            );
+            stream.on('end', () => { logger.debug(`${logPrefix} Log stream ended.`); resolve(); });
+            stream.on('error', (err) => { logger.error(`${logPrefix} Log stream error:`, err); reject(err); });
+        });
+
+        const [runResult] = await Promise.all([ container.wait(), demuxPromise ]);
+        const containerTimeMs = Date.now() - startedAt;
+        const { State: state } = await container.inspect();
+        return { statusCode: runResult.StatusCode, stdout, stderr, containerTimeMs, timedOut, oomKilled: Boolean(state?.OOMKilled) };
+    } finally {
+        clearTimeout(killTimer);
+        try {
+            await container.remove({ force: true }); // Force remove container
+            logger.debug(`${logPrefix} Removed container ${container.id.substring(0,12)}`);
+        } catch (removeError) {
+            logger.warn(`${logPrefix} Failed to remove container ${container.id.substring(0,12)}: ${removeError.message}`);
+        }
     }
+}
 
-    // Pattern 3: Fallback - Look for 'project_/' anywhere
-    const projectIndex = fullPath.indexOf('/project_/');
-     if (projectIndex !== -1) {
-         let relative = fullPath.substring(projectIndex + '/project_/'.length);
-         logger.debug(`${logPrefix} Path matched '/project_/': Original='${fullPath}' -> Relative='${relative}'`);
-         return relative;
-     }
-
-    // Ultimate Fallback: Use basename
-    logger.warn(`${logPrefix} Could not determine structured relative path for '${fullPath}'. Using basename.`);
-    return path.basename(fullPath);
+/**
+ * Distinct failure of a container that was killed by the sandbox, or null.
+ * @returns {{ errorType: 'timeout'|'out_of_memory', error: string }|null}
+ */
+function sandboxFailure(run, what) {
+    if (run.timedOut) return { errorType: 'timeout', error: `${what} did not finish within ${config.toolTimeoutMs} ms (TOOL_TIMEOUT_MS) and was killed.` };
+    if (run.oomKilled) return { errorType: 'out_of_memory', error: `${what} exceeded the ${config.toolMemoryMb} MB memory limit (TOOL_MEMORY_MB) and was killed.` };
+    return null;
 }
-// ****** END HELPER FUNCTION ******
-
-// --- Helper function to parse Solidity version ---
-function parseSolidityVersion(sourceCode) {
-    if (!sourceCode) return null;
-    // Match 'pragma solidity ... ;'
-    const pragmaMatch = sourceCode.match(/pragma solidity ([^;]+);/);
-    if (!pragmaMatch || !pragmaMatch[1]) return null;
-
-    const versionConstraint = pragmaMatch[1].trim();
-
-    // Try to find a specific version (e.g., =0.6.12)
-    const specificVersionMatch = versionConstraint.match(/=\s*(\d+\.\d+\.\d+)/);
-    if (specificVersionMatch && specificVersionMatch[1]) {
-        logger.debug(`[VersionParser] Found specific version: ${specificVersionMatch[1]}`);
-        return specificVersionMatch[1];
-    }
 
-    // Try to find a caret version lower bound (e.g., ^0.6.0) -> use 0.6.0
-    const caretVersionMatch = versionConstraint.match(/\^\s*(\d+\.\d+\.\d+)/);
-    if (caretVersionMatch && caretVersionMatch[1]) {
-        logger.debug(`[VersionParser] Found caret version, using lower bound: ${caretVersionMatch[1]}`);
-        return caretVersionMatch[1]; // Use the specified lower bound
+/**
+ * solc version for a run: the exact version of the verification metadata (see
+ * compilerSettingsFromMetadata() in utils.js) or, without metadata, the newest release that
+ * satisfies the pragmas of every file (see solc-versions.js), preferring cached compilers.
+ * @returns {Promise<{ version: string|null, cached?: boolean, unavailable?: object, resolution?: object }>}
+ *   `resolution` explains a pragma conflict, `unavailable` a compiler that is missing offline (see solcAvailability()).
+ */
+async function selectSolcVersion(compiler, files, logPrefix) {
+    const cached = await cachedSolcVersions();
+    if (compiler?.version) {
+        logger.info(`${logPrefix} Using solc ${compiler.version} from the verification metadata.`);
+        return solcAvailability(compiler.version, cached);
     }
+    const resolution = resolvePragmaVersion(files, { available: cached });
+    if (resolution.conflict) return { version: null, resolution };
+    logger.info(`${logPrefix} Resolved Solidity version from ${resolution.constraints.length} pragma(s): ${resolution.version || 'Default'}`);
+    return resolution.version ? solcAvailability(resolution.version, cached) : { version: null };
+}
 
-    // Try to find a range lower bound (e.g., >=0.6.0 <0.7.0) -> use 0.6.0
-    const rangeLowerBoundMatch = versionConstraint.match(/>=\s*(\d+\.\d+\.\d+)/);
-     if (rangeLowerBoundMatch && rangeLowerBoundMatch[1]) {
-         logger.debug(`[VersionParser] Found range, using lower bound: ${rangeLowerBoundMatch[1]}`);
-         return rangeLowerBoundMatch[1];
-     }
+function pragmaConflictResult(resolution) {
+    return { success: false, error: `Cannot select a solc version: ${resolution.conflict.message}`, solcResolution: resolution, metrics: { containerTimeMs: 0 } };
+}
+
+function unavailableSolcResult(unavailable) {
+    return { success: false, error: unavailable.message, solcUnavailable: unavailable, metrics: { containerTimeMs: 0 } };
+}
 
-    // Add more complex range parsing if needed
-    logger.warn(`[VersionParser] Could not reliably parse specific version from pragma: '${versionConstraint}'. Using default.`);
-    return null; // Indicate fallback to default
+/**
+ * Makes sure the selected compiler is cached before a sandboxed run, which has no network: it is
+ * downloaded first (see installSolcVersions()) unless SOLC_OFFLINE is set.
+ * @returns {Promise<{ failure: object|null, containerTimeMs: number }>} `failure` is the tool result to return instead of running.
+ */
+async function ensureSolcCached(solc, logPrefix) {
+    if (solc.unavailable) return { failure: unavailableSolcResult(solc.unavailable), containerTimeMs: 0 };
+    if (!solc.version || solc.cached) return { failure: null, containerTimeMs: 0 };
+    logger.info(`${logPrefix} solc ${solc.version} is not cached yet; installing it.`);
+    const install = await installSolcVersions([solc.version]);
+    const containerTimeMs = install.metrics.containerTimeMs;
+    if (install.success) return { failure: null, containerTimeMs };
+    return { failure: { success: false, error: `Could not install solc ${solc.version}: ${install.error}`, metrics: { containerTimeMs } }, containerTimeMs };
 }
 
-export async function runAuditToolInDocker({ toolName, files, mainFilePath }) {
+// solc flags for the optimizer, EVM version and IR pipeline of the verification metadata.
+function solcSettingFlags(compiler) {
+    if (!compiler) return [];
+    return [
+        ...(compiler.optimizer ? ['--optimize', '--optimize-runs', String(compiler.optimizer.runs)] : []),
+        ...(compiler.evmVersion ? ['--evm-version', compiler.evmVersion] : []),
+        ...(compiler.viaIR ? ['--via-ir'] : []),
+    ];
+}
+
+/**
+ * Metadata remappings ('[context:]prefix=target', relative to the source root) for sources
+ * written under `root` (e.g. 'src/' in a Foundry project). Scoped remappings only apply to imports
+ * from inside `root`, as for sources namespaced under src/<namespace>/.
+ */
+function rootedRemappings(remappings = [], root = '', scoped = false) {
+    return remappings.flatMap(remapping => {
+        const match = remapping.match(/^(?:([^:=]*):)?([^=]+)=(.*)$/);
+        if (!match) return [];
+        const [, context = '', prefix, target] = match;
+        const rootedContext = context ? `${root}${context}` : (scoped ? root : '');
+        return [`${rootedContext ? `${rootedContext}:` : ''}${prefix}=${root}${target}`];
+    });
+}
+
+/**
+ * Runs a static analyzer (see analyzers.js) over fetched sources in a pooled audit tool container
+ * (see container-pool.js). `toolName` is the analyzer's name, optionally followed by extra arguments.
+ * @param {object} [compiler] - Settings from the verification metadata (fetchVerifiedSource().compiler);
+ *   without them, the solc version is resolved from the pragmas of the files and solc's defaults apply.
+ * @returns {Promise<object>} On success { success, tool, output, findings, metrics }: the analyzer's parsed
+ *   output and its detector results in the common format of finding-normalizer.js.
+ */
+export async function runAuditToolInDocker({ toolName, files, mainFilePath, compiler = null }) {
     if (!files || !Array.isArray(files) || files.length === 0) return { success: false, error: "Missing 'files' array." };
     if (!mainFilePath) return { success: false, error: "Missing 'mainFilePath'." };
+    const [analyzerName, ...toolArgs] = String(toolName || '').trim().split(/\s+/);
+    const analyzer = getAnalyzer(analyzerName);
+    if (!analyzer) return { success: false, error: `Unknown analyzer '${analyzerName}'. Available analyzers: ${ANALYZER_NAMES.join(', ')}.` };
 
-    await ensureTempDirExists();
-    const uniqueId = crypto.randomBytes(8).toString('hex');
-    const hostProjectDir = path.join(TEMP_DIR, uniqueId);
-    const containerProjectDir = '/app';
-
-    let container = null;
+    let lease = null;
     try {
         // --- Find Main File Content ---
         const mainFile = files.find(f => f.path.includes(mainFilePath)); // Find by unique path segment
@@ -135,18 +236,34 @@ export async function runAuditToolInDocker({ toolName, files, mainFilePath }) {
              throw new Error(`Could not find content for main file path '${mainFilePath}' in fetched files.`);
         }
 
-        // --- Parse Solidity Version ---
-        const requiredVersion = parseSolidityVersion(mainFile.content);
-        logger.info(`[DockerRunner] Parsed Solidity version requirement: ${requiredVersion || 'Default'}`);
+        // --- Solidity Version (analyzers that compile) ---
+        let requiredVersion = null;
+        let installTimeMs = 0;
+        if (analyzer.compiles) {
+            const solc = await selectSolcVersion(compiler, files, '[DockerRunner]');
+            if (solc.resolution) return pragmaConflictResult(solc.resolution);
+            requiredVersion = solc.version;
+            // The container has no network, so the compiler has to be cached first.
+            const cached = await ensureSolcCached(solc, '[DockerRunner]');
+            if (cached.failure) return cached.failure;
+            installTimeMs = cached.containerTimeMs;
+            if (requiredVersion) {
+                logger.info(`[DockerRunner] Will use solc ${requiredVersion}`);
+            } else {
+                logger.info(`[DockerRunner] No specific version parsed. Using default solc in image.`);
+            }
+        }
+        lease = await acquireToolContainer(requiredVersion, { logPrefix: '[DockerRunner]' });
+        const hostSourceDir = lease.workspace.sourceDir; // Mounted read-only at /app/src
 
         // --- Recreate Directory Structure ---
-        logger.info(`[DockerRunner] Recreating directory structure in ${hostProjectDir}`);
+        logger.info(`[DockerRunner] Recreating directory structure in ${hostSourceDir}`);
         for (const file of files) {
             // ****** USE HELPER FUNCTION ******
             const relativePath = calculateRelativePath(file.path, "[DockerRunner]");
             // *******************************
 
-            const hostFilePath = path.join(hostProjectDir, relativePath); // Write to root of temp dir
+            const hostFilePath = path.join(hostSourceDir, relativePath); // Write to root of the sources dir
             const hostDirPath = path.dirname(hostFilePath);
 
             logger.debug(`[DockerRunner] Writing file: Host='${hostFilePath}'`); // Simplified log
@@ -155,133 +272,44 @@ export async function runAuditToolInDocker({ toolName, files, mainFilePath }) {
         }
         logger.info(`[DockerRunner] Finished writing ${files.length} source files.`);
 
-        // --- Prepare Command with Version Selection ---
-        const containerTargetPath = path.join(containerProjectDir, mainFilePath).replace(/\\/g, '/');
-        let baseCommand = [toolName]; // e.g., ['slither']
-        let finalCommand = [];
-
-        // Handle args embedded in toolName (like --json -)
-        const toolParts = toolName.split(' ');
-        baseCommand[0] = toolParts[0]; // Base tool command
-        baseCommand.push(containerTargetPath); // Target the main file
-        if (toolParts.length > 1) {
-             baseCommand.push(...toolParts.slice(1)); // Add args like --json, -
-        }
-
-        // Ensure JSON output if Slither
-        if (baseCommand[0] === 'slither' && !baseCommand.includes('--json')) {
-             baseCommand.push('--json', '-');
-             logger.info("[DockerRunner] Auto-added '--json -' to slither command.");
-        }
-
-        if (requiredVersion && baseCommand[0] === 'slither') {
-            const installCmd = `solc-select install ${requiredVersion}`;
-            const useCmd = `solc-select use ${requiredVersion}`;
-            const slitherCmd = `slither ${containerTargetPath} --json -`;
-            logger.info(`[DockerRunner] Will install and use solc ${requiredVersion}`);
-            // ****** SIMPLIFIED sh -c ******
-            // Explicitly install (stdout/stderr silenced), then use (stdout silenced), then run slither
-            finalCommand = ['sh', '-c',
-                `${installCmd} >/dev/null 2>&1 ; ${useCmd} >/dev/null 2>&1 && ${slitherCmd}`
-            ];
-            // *****************************
-        } else {
-             finalCommand = baseCommand; // Use the base command directly
-             if (baseCommand[0] === 'slither') {
-                logger.info(`[DockerRunner] No specific version parsed or tool is not Slither. Using default solc in image.`);
-             }
+        // --- Prepare Command ---
+        const commandContext = {
+            target: path.posix.join(CONTAINER_SOURCE_DIR, mainFilePath.replace(/\\/g, '/')),
+            args: toolArgs,
+            compiler: analyzer.compiles ? compiler : null,
+            solcFlags: analyzer.compiles ? solcSettingFlags(compiler) : [],
+            remappings: analyzer.compiles ? rootedRemappings(compiler?.remappings) : [],
+            timeoutMs: config.toolTimeoutMs,
+        };
+        for (const [name, content] of Object.entries(analyzer.files?.(commandContext) || {})) {
+            await fs.writeFile(path.join(lease.workspace.scratchDir, name), content);
         }
+        const finalCommand = analyzer.command(commandContext);
 
         logger.info(`[DockerRunner] Running command in container: ${finalCommand.join(' ')}`);
 
-        // --- Create and Run Container ---
-        const containerOptions = {
-            Image: config.auditToolImage,
-            Cmd: finalCommand,
-            WorkingDir: containerProjectDir, // Important: Run from the project root
-            HostConfig: {
-                Binds: [`${path.resolve(hostProjectDir)}:${containerProjectDir}`],
-                AutoRemove: false,
-            },
-            Tty: false,
-            AttachStdout: true,
-            AttachStderr: true,
-        };
-
-        container = await docker.createContainer(containerOptions);
-        await container.start();
-        logger.debug(`[DockerRunner] Container ${container.id.substring(0,12)} started.`);
-
-        const stream = await container.logs({ follow: true, stdout: true, stderr: true });
-        let stdoutData = ''; let stderrData = '';
-        const demuxPromise = new Promise((resolve, reject) => {
-            if (!container || !container.modem) {
-                 // Safety check in case container object is unexpected
-                 return reject(new Error("Docker container or modem is not available for demuxing."));
-            }
-            // Use the modem to separate stdout and stderr
-            container.modem.demuxStream(stream,
-                { write: (chunk) => { stdoutData += chunk.toString('utf8'); } }, // Write stdout chunks to stdoutData
-                { write: (chunk) => { stderrData += chunk.toString('utf8'); } }  // Write stderr chunks to stderrData
-            );
-            // Handle stream events
-            stream.on('end', () => {
-                logger.debug('[DockerRunner] Log stream ended.');
-                resolve(); // Resolve the promise when the stream ends
-            });
-            stream.on('error', (err) => {
-                logger.error('[DockerRunner] Log stream error:', err);
-                reject(err); // Reject the promise if the stream errors
-            });
-             // Optional: Add a timeout in case the stream hangs unexpectedly
-             // const streamTimeout = setTimeout(() => {
-             //     logger.warn('[DockerRunner] Log stream timed out. Forcing rejection.');
-             //     reject(new Error('Docker log stream timeout'));
-             // }, 300000); // e.g., 5 minutes timeout
-             // stream.on('end', () => clearTimeout(streamTimeout)); // Clear timeout on normal end
-             // stream.on('error', () => clearTimeout(streamTimeout)); // Clear timeout on error
-        });
+        // --- Run in the Container ---
+        const run = await lease.exec({ command: finalCommand, workingDir: CONTAINER_SCRATCH_DIR });
+        const metrics = { containerTimeMs: installTimeMs + lease.startupMs + run.cpuTimeMs };
+        const killed = sandboxFailure(run, analyzer.name);
+        if (killed) {
+            logger.warn(`[DockerRunner] ${killed.error}`);
+            return { success: false, tool: analyzer.name, ...killed, metrics };
+        }
 
-        const [runResult] = await Promise.all([ container.wait(), demuxPromise ]);
+        logger.info(`[DockerRunner] Container finished with status code: ${run.statusCode} after ${run.containerTimeMs} ms (${run.cpuTimeMs} ms CPU)`);
+        logger.debug(`[DockerRunner] Raw Stdout:\n${run.stdout}`);
+        if (run.stderr) logger.debug(`[DockerRunner] Raw Stderr:\n${run.stderr}`);
 
-        logger.info(`[DockerRunner] Container finished with status code: ${runResult.StatusCode}`);
-        logger.debug(`[DockerRunner] Raw Stdout:\n${stdoutData}`);
-        if (stderrData) logger.debug(`[DockerRunner] Raw Stderr:\n${stderrData}`);
-
-       // --- Process Results ---
-       let parsedJson = null;
-       let parseError = null;
-       let cleanedStdout = '';
-
-       if (stdoutData && baseCommand.includes('--json')) { // Check if JSON was requested
-           cleanedStdout = cleanStdout(stdoutData); // Use helper to remove junk
-           try {
-               parsedJson = JSON.parse(cleanedStdout);
-               logger.info('[DockerRunner] Successfully parsed cleaned Slither JSON output.');
-               logger.debug('[DockerRunner] Parsed Slither JSON:', JSON.stringify(parsedJson, null, 2)); // Log parsed JSON
-           } catch (e) {
-               parseError = e;
-               logger.warn(`[DockerRunner] Failed to parse cleaned Slither JSON output: ${parseError.message}`);
-               logger.debug(`[DockerRunner] Cleaned stdout that failed parsing:\n${cleanedStdout}`);
-           }
-       }
-
-       // Decision Logic (Treat non-zero exit but valid JSON as success with findings)
-       if (runResult.StatusCode === 0 || (parsedJson && parsedJson.success === true)) {
-           if (runResult.StatusCode !== 0) {
-               logger.warn(`[DockerRunner] Slither exited non-zero (${runResult.StatusCode}) but produced valid success JSON. Treating as success with findings.`);
-           } else {
-                logger.info(`[DockerRunner] ${toolParts[0]} executed successfully (Exit Code 0).`);
-           }
-           const resultOutput = parsedJson || cleanedStdout || stderrData;
-           logger.debug(`[DockerRunner] Returning success with output type: ${parsedJson ? 'JSON' : 'string'}`);
-           return { success: true, output: resultOutput };
-       } else {
-           // Definite failure (non-zero exit AND no valid success JSON parsed)
-           logger.error(`[DockerRunner] ${toolParts[0]} execution failed. Status code: ${runResult.StatusCode}`);
-           const errorMessage = `Execution failed with status code ${runResult.StatusCode}. ${stderrData ? `Stderr: ${stderrData}` : ''} ${parseError ? `ParseError: ${parseError.message}` : ''} Raw Output: ${stdoutData}`;
-           return { success: false, error: errorMessage };
-       }
+        // --- Process Results ---
+        const parsed = analyzer.parse(run);
+        if (parsed.error) {
+            logger.error(`[DockerRunner] ${analyzer.name} execution failed. Status code: ${run.statusCode}`);
+            return { success: false, tool: analyzer.name, error: parsed.error, metrics };
+        }
+        const findings = analyzer.findings(parsed.output);
+        logger.info(`[DockerRunner] ${analyzer.name} finished (exit code ${run.statusCode}) with ${findings.length} detector result(s).`);
+        return { success: true, tool: analyzer.name, output: parsed.output, findings, metrics };
 
     } catch (error) {
         logger.error(`[DockerRunner] Error executing ${toolName}: ${error.message}`);
@@ -291,78 +319,96 @@ export async function runAuditToolInDocker({ toolName, files, mainFilePath }) {
         }
         return { success: false, error: `Internal Docker runner error: ${error.message}` };
     } finally {
-        // Cleanup container and temp directory
-        if (container) {
-             try {
-                 await container.remove({ force: true }); // Force remove container
-                 logger.debug(`[DockerRunner] Removed container ${container.id.substring(0,12)}`);
-             } catch (removeError) {
-                 logger.warn(`[DockerRunner] Failed to remove container ${container?.id?.substring(0,12)}: ${removeError.message}`);
-             }
-         }
-         try { await fs.rm(hostProjectDir, { recursive: true, force: true }); logger.info(`[DockerRunner] Cleaned up temp directory ${hostProjectDir}`); }
-         catch (cleanupError) { logger.error(`[DockerRunner] Failed to cleanup temp directory: ${cleanupError.message}`); }
+        // Reset the workspace and return the container to the pool
+         try { await lease?.release(); }
+         catch (cleanupError) { logger.error(`[DockerRunner] Failed to release the tool container: ${cleanupError.message}`); }
     }
 }
 
 /**
- * Runs a Solidity test contract using Foundry (forge test) inside a Docker container.
+ * Remappings for the top-level directories of the written sources, so tests can import them as
+ * "<dir>/..." (e.g. "src/Vault.sol" from a local Foundry project, or "@openzeppelin/..." from verified sources).
+ * Sources namespaced under src/<namespace>/ (multi-contract tests) are importable as "<namespace>/...",
+ * and imports inside a namespace resolve within that namespace via context remappings.
+ * forge-std is left to the copy installed by 'forge init'.
+ */
+function sourceRemappings(files) {
+    const topLevelDirs = new Map(); // namespace ('' for none) -> Set of first path segments
+    for (const file of files) {
+        const namespace = file.namespace || '';
+        const segments = calculateRelativePath(file.path, "[ForgeRunner]").split('/');
+        if (!topLevelDirs.has(namespace)) topLevelDirs.set(namespace, new Set());
+        if (segments.length > 1 && segments[0] !== 'forge-std') topLevelDirs.get(namespace).add(segments[0]);
+    }
+    const remappings = [];
+    for (const [namespace, dirs] of topLevelDirs) {
+        if (!namespace) {
+            for (const dir of dirs) {
+                if (dir !== 'contracts') remappings.push(`${dir}/=src/${dir}/`); // contracts/ is always remapped
+            }
+            continue;
+        }
+        remappings.push(`${namespace}/=src/${namespace}/`);
+        for (const dir of dirs) {
+            remappings.push(`src/${namespace}/:${dir}/=src/${namespace}/${dir}/`);
+        }
+    }
+    return remappings;
+}
+
+/**
+ * Runs a Solidity test contract using Foundry (forge test) in a pooled audit tool container, whose
+ * project already has forge-std and a sandboxed foundry.toml (see container-pool.js).
+ * `compiler` holds the verification metadata settings of the original contract (see runAuditToolInDocker);
+ * with several contracts, they apply to the whole project.
  */
 export async function runForgeTestInDocker({
     testContractCode,
     testContractFileName,
-    files
+    originalContractFileName,
+    originalContractNamespace = null, // Set when files from several contracts are namespaced under src/<namespace>/
+    files,
+    compiler = null
 }) {
     // Input Validation
     if (!testContractFileName?.endsWith('.t.sol')) return { success: false, error: "Test filename must end with '.t.sol'." };
+    // The name is written on the host under the project's test/ directory: no directories, no '..'.
+    if (path.basename(testContractFileName) !== testContractFileName || testContractFileName.includes('\\')) {
+        return { success: false, error: "Test filename must be a plain file name (e.g. 'Exploit.t.sol'), without directories." };
+    }
     if (!files || !Array.isArray(files) || files.length === 0) {
         return { success: false, error: "Missing or invalid 'files' array argument for Forge test." };
     }
 
     // Find the original contract code from the files array
-    const originalFile = files.find(f => f.path.includes(originalContractFileName));
+    const originalFile = files.find(f =>
+        f.path.includes(originalContractFileName) && (!originalContractNamespace || f.namespace === originalContractNamespace)
+    );
     if (!originalFile || !originalFile.content) {
         return { success: false, error: `Could not find content for original contract '${originalContractFileName}' in fetched files.` };
     }
-    const originalContractCode = originalFile.content; // Get code for version parsing
-
-    await ensureTempDirExists();
-    const uniqueId = crypto.randomBytes(8).toString('hex');
-    const hostProjectDir = path.join(TEMP_DIR, uniqueId);
-    const hostTestDirPath = path.join(hostProjectDir, 'test');
-    const hostSrcDirPath = path.join(hostProjectDir, 'src'); // Base source directory
-    const hostTestFilePath = path.join(hostTestDirPath, testContractFileName);
-    // We don't need hostSrcFilePath explicitly anymore, the loop handles it
-    const containerProjectDir = '/app';
 
-    let container = null;
+    const containerProjectDir = CONTAINER_PROJECT_DIR;
+    let lease = null;
+    let containerTimeMs = 0; // Compiler installation, container startup and the test run
 
     try {
-        // Parse Solidity Version from the actual original contract content
-        const requiredVersion = parseSolidityVersion(originalContractCode);
-        logger.info(`[ForgeRunner] Parsed Solidity version requirement: ${requiredVersion || 'Default'}`);
-
-        // Initialize Foundry Project Structure (forge init)
-        // We run forge init *inside the container* as it might rely on git/env vars
-        // We need a preliminary container just for init
-        logger.info(`[ForgeRunner] Initializing temporary Foundry project in ${hostProjectDir}`);
-        const initCommand = ['forge', 'init', '--force', containerProjectDir]; // Keep --force
-        const initContainerOptions = {
-             Image: config.auditToolImage,
-             Cmd: initCommand,
-             WorkingDir: '/', // Start at root to init in /app
-             HostConfig: {
-                 Binds: [`${path.resolve(hostProjectDir)}:${containerProjectDir}`],
-                 AutoRemove: true, // Remove after init
-             },
-             Tty: false,
-        };
-
-        try {
-             const [initRunResult] = await docker.run(config.auditToolImage, initCommand, process.stdout, initContainerOptions);
-             if (initRunResult.StatusCode !== 0) throw new Error(`'forge init' failed with status code ${initRunResult.StatusCode}.`);
-             logger.info(`[ForgeRunner] 'forge init' completed successfully.`);
-        } catch (initErr) { /* ... handle init error ... */ throw initErr; }
+        // Solidity version of the verification metadata, else resolved from the original contract's pragmas
+        const contractFiles = files.filter(file => !originalContractNamespace || file.namespace === originalContractNamespace);
+        const solc = await selectSolcVersion(compiler, contractFiles, '[ForgeRunner]');
+        if (solc.resolution) return pragmaConflictResult(solc.resolution);
+        const requiredVersion = solc.version;
+        // The test container has no network, so the compiler has to be cached first.
+        const { failure: solcFailure, containerTimeMs: installTimeMs } = await ensureSolcCached(solc, '[ForgeRunner]');
+        if (solcFailure) return solcFailure;
+        containerTimeMs += installTimeMs;
+
+        // Warm container with an initialized Foundry project (forge-std in lib/)
+        lease = await acquireToolContainer(requiredVersion, { foundry: true, logPrefix: '[ForgeRunner]' });
+        containerTimeMs += lease.startupMs;
+        const hostProjectDir = lease.workspace.projectDir; // Mounted at /app
+        const hostSrcDirPath = lease.workspace.sourceDir; // Mounted read-only as the project's src/
+        const hostTestFilePath = path.join(hostProjectDir, 'test', testContractFileName);
 
         // --- Write ALL Source Contracts AND Test Contract ---
         logger.info(`[ForgeRunner] Writing source files and test file to ${hostProjectDir}`);
@@ -371,8 +417,8 @@ export async function runForgeTestInDocker({
             // Use the same robust relative path calculation as in runAuditToolInDocker
             let relativePath = calculateRelativePath(file.path, "[ForgeRunner]");
 
-            // Prepend 'src/' to the relative path for writing within Foundry structure
-            const hostFilePath = path.join(hostSrcDirPath, relativePath); // Write inside src/
+            // Prepend the contract's namespace, if any; the sources directory is the project's src/
+            const hostFilePath = path.join(hostSrcDirPath, file.namespace || '', relativePath);
             const hostDirPath = path.dirname(hostFilePath);
 
             logger.debug(`[ForgeRunner] Writing source file: Host='${hostFilePath}'`);
@@ -389,80 +435,193 @@ export async function runForgeTestInDocker({
 
         // --- Prepare Forge Test Command with RUNTIME Version Selection & Remappings ---
         // Define the necessary remapping: "contracts/" should point to "src/contracts/"
-        const remapping = "contracts/=src/contracts/";
-        // Base command now includes remappings
-        const baseTestCommand = ['forge', 'test', '--root', containerProjectDir, '--remappings', remapping].join(' '); // Add remapping flag
-
-        let finalTestCommand;
+        const remappings = [
+            "contracts/=src/contracts/",
+            ...sourceRemappings(files),
+            ...rootedRemappings(compiler?.remappings, originalContractNamespace ? `src/${originalContractNamespace}/` : 'src/', Boolean(originalContractNamespace)),
+        ];
+        // forge spells the optimizer runs flag differently from solc
+        const settingFlags = solcSettingFlags(compiler).map(flag => flag === '--optimize-runs' ? '--optimizer-runs' : flag);
+        // Base command now includes remappings and the verified compiler settings
+        const finalTestCommand = ['forge', 'test', '--root', containerProjectDir, ...remappings.flatMap(r => ['--remappings', r]), ...settingFlags];
 
         if (requiredVersion) {
-            const installCmd = `solc-select install ${requiredVersion}`;
-            const useCmd = `solc-select use ${requiredVersion}`;
-            // baseTestCommand already includes remappings
-            logger.info(`[ForgeRunner] Will install and use solc ${requiredVersion} for tests`);
-             // ****** SIMPLIFIED sh -c ******
-            finalTestCommand = ['sh', '-c',
-                 `${installCmd} >/dev/null 2>&1 ; ${useCmd} >/dev/null 2>&1 && ${baseTestCommand}`
-            ];
+            logger.info(`[ForgeRunner] Will use solc ${requiredVersion} for tests`);
         } else {
             logger.info(`[ForgeRunner] No specific version parsed. Using default solc for tests.`);
-            // Split the base command (with remappings) if no version selection needed
-            finalTestCommand = baseTestCommand.split(' ');
         }
 
         logger.info(`[ForgeRunner] Running final test command array in container: ${JSON.stringify(finalTestCommand)}`);
 
-        const testContainerOptions = {
-            Image: config.auditToolImage,
-            Cmd: finalTestCommand,
-            WorkingDir: containerProjectDir,
-            HostConfig: {
-                Binds: [`${path.resolve(hostProjectDir)}:${containerProjectDir}`],
-                AutoRemove: false,
-            },
-            Tty: false,
-            AttachStdout: true,
-            AttachStderr: true,
-        };
-
-        container = await docker.createContainer(testContainerOptions);
-        await container.start();
-        logger.debug(`[ForgeRunner] Test container ${container.id.substring(0,12)} started.`);
-
-        const stream = await container.logs({ follow: true, stdout: true, stderr: true });
-        let stdoutData = ''; let stderrData = '';
-        const demuxPromise = new Promise((resolve, reject) => {
-            if (!container || !container.modem) { return reject(new Error("Docker modem unavailable.")); }
-            container.modem.demuxStream(stream, { write: (chunk) => { stdoutData += chunk.toString('utf8'); } }, { write: (chunk) => { stderrData += chunk.toString('utf8'); } });
-            stream.on('end', () => { logger.debug('[ForgeRunner] Log stream ended.'); resolve(); });
-            stream.on('error', (err) => { logger.error('[ForgeRunner] Log stream error:', err); reject(err); });
-        });
-
-        const [runResult] = await Promise.all([ container.wait(), demuxPromise ]);
+        const run = await lease.exec({ command: finalTestCommand, workingDir: containerProjectDir });
+        const { statusCode, stdout: stdoutData, stderr: stderrData } = run;
+        const runResult = { StatusCode: statusCode };
+        containerTimeMs += run.cpuTimeMs;
+        const metrics = { containerTimeMs };
+        const killed = sandboxFailure(run, "'forge test'");
+        if (killed) {
+            logger.warn(`[ForgeRunner] ${killed.error}`);
+            return { success: false, ...killed, metrics };
+        }
         const combinedOutput = `${stdoutData}\n${stderrData}`.trim();
-        logger.info(`[ForgeRunner] Test container finished with status code: ${runResult.StatusCode}`);
+        logger.info(`[ForgeRunner] Forge test finished with status code: ${runResult.StatusCode}`);
         logger.debug(`[ForgeRunner] Combined Output:\n${combinedOutput}`);
 
         if (runResult.StatusCode === 0) {
             logger.info(`[ForgeRunner] Forge test completed successfully.`);
-            return { success: true, output: combinedOutput };
+            return { success: true, output: combinedOutput, metrics };
         } else {
             logger.warn(`[ForgeRunner] Forge test finished non-zero (${runResult.StatusCode}).`);
             // Include combined output in the error field as well for Gemini context
-            return { success: false, output: combinedOutput, error: `Forge test failed with exit code ${runResult.StatusCode}. See output for details.` };
+            return { success: false, output: combinedOutput, error: `Forge test failed with exit code ${runResult.StatusCode}. See output for details.`, metrics };
         }
 
     } catch (error) {
         logger.error(`[ForgeRunner] Error executing forge test: ${error.message}`);
         logger.error(error.stack);
-        return { success: false, error: `Internal Forge runner error: ${error.message}` };
+        return { success: false, error: `Internal Forge runner error: ${error.message}`, metrics: { containerTimeMs } };
     } finally {
-        // Cleanup
-         if (container) {
-             try { await container.remove({ force: true }); logger.debug(`[ForgeRunner] Removed test container ${container?.id?.substring(0,12)}`); }
-             catch (removeError) { logger.warn(`[ForgeRunner] Failed to remove container: ${removeError.message}`); }
-         }
-         try { await fs.rm(hostProjectDir, { recursive: true, force: true }); logger.info(`[ForgeRunner] Cleaned up temp directory ${hostProjectDir}`); }
-         catch (cleanupError) { logger.error(`[ForgeRunner] Failed to cleanup temp directory: ${cleanupError.message}`); }
+        // Reset the project and return the container to the pool
+         try { await lease?.release(); }
+         catch (cleanupError) { logger.error(`[ForgeRunner] Failed to release the tool container: ${cleanupError.message}`); }
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Compiles a solc standard JSON input with an exact compiler version inside the audit tool container.
+ * @param {object} options
+ * @param {object} options.input - Standard JSON input (language, sources with content, settings).
+ * @param {string} options.solcVersion - e.g. '0.8.19'.
+ * @returns {Promise<{ success: boolean, output?: object, error?: string, metrics: { containerTimeMs: number } }>}
+ *   `output` is solc's standard JSON output; compiler errors are in `output.errors`.
+ */
+export async function compileStandardJsonInDocker({ input, solcVersion }) {
+    if (!/^\d+\.\d+\.\d+$/.test(solcVersion || '')) return { success: false, error: `Invalid solc version: ${JSON.stringify(solcVersion)}`, metrics: { containerTimeMs: 0 } };
+    const solc = solcAvailability(solcVersion, await cachedSolcVersions());
+
+    let lease = null;
+    let containerTimeMs = 0;
+    try {
+        const { failure: solcFailure, containerTimeMs: installTimeMs } = await ensureSolcCached(solc, '[CompileRunner]');
+        if (solcFailure) return solcFailure;
+        containerTimeMs += installTimeMs;
+        lease = await acquireToolContainer(solcVersion, { logPrefix: '[CompileRunner]' });
+        containerTimeMs += lease.startupMs;
+        await fs.writeFile(path.join(lease.workspace.sourceDir, 'input.json'), JSON.stringify(input));
+        logger.info(`[CompileRunner] Compiling ${Object.keys(input.sources).length} source(s) with solc ${solcVersion}`);
+        const run = await lease.exec({ command: ['sh', '-c', 'solc --standard-json < input.json'], workingDir: CONTAINER_SOURCE_DIR });
+        containerTimeMs += run.cpuTimeMs;
+        const metrics = { containerTimeMs };
+        const killed = sandboxFailure(run, `solc ${solcVersion}`);
+        if (killed) return { success: false, ...killed, metrics };
+        let output;
+        try {
+            output = JSON.parse(cleanStdout(run.stdout));
+        } catch (parseError) {
+            return { success: false, error: `solc ${solcVersion} exited with status ${run.statusCode} without standard JSON output. ${run.stderr}`.trim(), metrics };
+        }
+        const errors = (output.errors || []).filter(entry => entry.severity === 'error');
+        if (errors.length > 0) {
+            return { success: false, output, error: errors.map(entry => entry.formattedMessage || entry.message).join('\n'), metrics };
+        }
+        return { success: true, output, metrics };
+    } catch (error) {
+        logger.error(`[CompileRunner] Error compiling with solc ${solcVersion}: ${error.message}`);
+        return { success: false, error: `Internal compile runner error: ${error.message}`, metrics: { containerTimeMs } };
+    } finally {
+        try { await lease?.release(); }
+        catch (cleanupError) { logger.error(`[CompileRunner] Failed to release the tool container: ${cleanupError.message}`); }
+    }
+}
+
+/**
+ * Downloads solc releases into the compiler cache (see solc-cache.js) with solc-select, in one container.
+ * It is the only container that can write the cache and, with 'forge init', the only one with network
+ * access (even when SOLC_OFFLINE is set); it runs no contract code. Versions already cached are skipped.
+ * @param {string[]} versions - Exact versions, e.g. ['0.8.19', '0.6.12'].
+ * @returns {Promise<{ success: boolean, installed: string[], missing: string[], output?: string, error?: string, metrics: { containerTimeMs: number } }>}
+ *   `missing` lists the versions that are still not cached afterwards.
+ */
+export async function installSolcVersions(versions) {
+    const invalid = versions.filter(version => !/^\d+\.\d+\.\d+$/.test(version));
+    if (invalid.length > 0) return { success: false, installed: [], missing: versions, error: `Invalid solc version(s): ${invalid.join(', ')}`, metrics: { containerTimeMs: 0 } };
+    const cachedBefore = await cachedSolcVersions();
+    const wanted = [...new Set(versions)].filter(version => !cachedBefore.includes(version));
+    if (wanted.length === 0) return { success: true, installed: [], missing: [], metrics: { containerTimeMs: 0 } };
+
+    try {
+        logger.info(`[SolcCache] Installing solc ${wanted.join(', ')} into the compiler cache`);
+        await makeScratchDir(solcCacheDir()); // The install container may run as another uid
+        const run = await runToolContainer({
+            command: ['solc-select', 'install', ...wanted],
+            binds: [],
+            workingDir: CONTAINER_HOME,
+            network: true,
+            writableSolcCache: true,
+            logPrefix: '[SolcCache]',
+        });
+        const metrics = { containerTimeMs: run.containerTimeMs };
+        const cachedAfter = await cachedSolcVersions();
+        const missing = wanted.filter(version => !cachedAfter.includes(version));
+        const output = `${run.stdout}\n${run.stderr}`.trim();
+        const killed = sandboxFailure(run, 'solc-select');
+        return {
+            success: missing.length === 0,
+            installed: wanted.filter(version => cachedAfter.includes(version)),
+            missing,
+            output,
+            ...(missing.length > 0 ? { error: killed?.error || `solc-select exited with status ${run.statusCode} without installing ${missing.join(', ')}.` } : {}),
+            metrics,
+        };
+    } catch (error) {
+        logger.error(`[SolcCache] Error installing solc ${wanted.join(', ')}: ${error.message}`);
+        return { success: false, installed: [], missing: wanted, error: `Internal solc cache error: ${error.message}`, metrics: { containerTimeMs: 0 } };
+    }
+}
+
+const TOOL_VERSION_PROBE_TIMEOUT_MS = 20000; // Report delivery waits for the probe
+let toolVersionsPromise = null;
+
+/**
+ * Versions of the analyzers in the audit tool image, for rendered reports. Probed with one
+ * short-lived sandboxed container (killed after TOOL_VERSION_PROBE_TIMEOUT_MS) and cached for the
+ * process; failed probes are retried next time.
+ * @returns {Promise<{image: string, slither?: string, forge?: string, mythril?: string, aderyn?: string, solhint?: string, semgrep?: string}>}
+ */
+export function getToolVersions() {
+    toolVersionsPromise ??= probeToolVersions().then(versions => {
+        if (!versions.slither && !versions.forge) toolVersionsPromise = null;
+        return versions;
+    });
+    return toolVersionsPromise;
+}
+
+async function probeToolVersions() {
+    const versions = { image: config.auditToolImage };
+    try {
+        const command = ['sh', '-c', [
+            'echo "slither $(slither --version 2>/dev/null)"',
+            'forge --version 2>/dev/null | head -n 1',
+            'echo "mythril $(myth version 2>/dev/null)"', // 'Mythril version v0.24.8'
+            'echo "aderyn $(aderyn --version 2>/dev/null)"', // 'aderyn 0.1.9'
+            'echo "solhint $(solhint --version 2>/dev/null)"',
+            'echo "semgrep $(semgrep --version --disable-version-check 2>/dev/null)"',
+        ].join('; ')];
+        const run = await runToolContainer({ logPrefix: '[ToolVersions]', command, binds: [], timeoutMs: TOOL_VERSION_PROBE_TIMEOUT_MS });
+        if (run.timedOut) {
+            logger.warn(`[ToolVersions] Probing ${config.auditToolImage} took longer than ${TOOL_VERSION_PROBE_TIMEOUT_MS} ms; reporting no tool versions.`);
+            return versions;
+        }
+        const output = run.stdout;
+        const forge = output.match(/^forge(?: Version:)? (\S+)/m);
+        if (forge) versions.forge = forge[1];
+        for (const tool of ANALYZER_NAMES) {
+            const version = output.match(new RegExp(`^${tool} \\D*?v?(\\d+\\.\\d+[\\w.-]*)`, 'm'));
+            if (version) versions[tool] = version[1];
+        }
+        logger.debug(`[ToolVersions] ${JSON.stringify(versions)}`);
+    } catch (error) {
+        logger.warn(`[ToolVersions] Could not read tool versions from ${config.auditToolImage}: ${error.message}`);
+    }
+    return versions;
+}
@@ -0,0 +1,114 @@
+// src/audit-trace.js
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { config } from './config.js';
+import { logger } from './utils.js';
+
+export const TRACE_VERSION = 1;
+
+/*
+ * Structured record of one audit, written as JSON Lines (one event per line) to
+ * `${config.auditTraceDir}/<jobId>.jsonl`. Unlike the console logs, traces keep full
+ * function arguments, tool results and source files, so a bad audit can be inspected
+ * and replayed later (see replay.js).
+ *
+ * Every event has { seq, type, at, elapsedMs } plus type-specific fields (`seq` continues across
+ * the appends of a resumed job, `elapsedMs` counts from the current attempt):
+ *   start          { version, jobId, request, provider, model, systemInstruction, tools, toolState }
+ *   resume         { loopCount }                              (job restored from a checkpoint)
+ *   model_request  { input: { text, functionResponses: [{ id, name }] } }
+ *   model_response { response, durationMs }                   (normalized LLM response)
+ *   tool_call      { id, name, args }
+ *   tool_result    { id, name, result, durationMs, state? }   (state: tool state after the call, if it changed)
+ *   final          { payload }                                (exactly what was delivered to the requester)
+ */
+
+// Used when tracing is disabled, so callers never need to check.
+export const NOOP_TRACE = Object.freeze({
+    path: null,
+    async record() {},
+    async flush() {},
+});
+
+// seq of the last event in an existing trace file, or 0. A crash may have left a partly written last line.
+async function lastRecordedSeq(filePath) {
+    let data;
+    try {
+        data = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+    const lines = data.split('\n').filter(line => line.trim());
+    for (let index = lines.length - 1; index >= 0; index--) {
+        try {
+            const { seq } = JSON.parse(lines[index]);
+            if (Number.isInteger(seq)) return seq;
+        } catch {
+            // Skip the partly written line
+        }
+    }
+    return 0;
+}
+
+/**
+ * Opens (or, for a resumed job, appends to) the trace file of an audit.
+ * @param {object} options
+ * @param {string} [options.jobId] - Queue job ID; ad-hoc audits get a random trace ID.
+ * @param {string} [options.dir]
+ * @returns {object} Trace with record(type, data) and flush().
+ */
+export function createAuditTrace({ jobId = null, dir = config.auditTraceDir } = {}) {
+    if (!config.auditTraceEnabled || !dir) return NOOP_TRACE;
+
+    const traceId = jobId || `adhoc-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const safeId = String(traceId).replace(/[^a-zA-Z0-9_-]/g, '_');
+    const filePath = path.resolve(dir, `${safeId}.jsonl`);
+    const startedAt = Date.now();
+    let seq = 0;
+    let writeChain = fs.mkdir(path.dirname(filePath), { recursive: true })
+        .then(() => lastRecordedSeq(filePath))
+        .then(lastSeq => { seq = lastSeq; })
+        .catch(error => {
+            logger.error(`[Trace] Failed to open trace file ${filePath}: ${error.message}`);
+        });
+
+    return {
+        path: filePath,
+
+        // Appends are chained so events stay in order; seq is assigned in the chain, after the existing
+        // file was read. A failed write only loses trace data, never the audit.
+        record(type, data = {}) {
+            const event = { type, at: new Date().toISOString(), elapsedMs: Date.now() - startedAt, ...data };
+            writeChain = writeChain.then(async () => {
+                try {
+                    await fs.appendFile(filePath, `${JSON.stringify({ seq: ++seq, ...event })}\n`, 'utf8');
+                } catch (error) {
+                    logger.error(`[Trace] Failed to write ${type} event to ${filePath}: ${error.message}`);
+                }
+            });
+            return writeChain;
+        },
+
+        flush() {
+            return writeChain;
+        },
+    };
+}
+
+/**
+ * Reads a trace file back into its list of events.
+ * @param {string} filePath
+ * @returns {Promise<object[]>}
+ */
+export async function readAuditTrace(filePath) {
+    const data = await fs.readFile(filePath, 'utf8');
+    return data.split('\n').filter(line => line.trim()).map((line, index) => {
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            throw new Error(`Invalid trace event on line ${index + 1} of ${filePath}: ${error.message}`);
+        }
+    });
+}
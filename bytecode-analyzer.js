@@ -0,0 +1,178 @@
+// src/bytecode-analyzer.js
+import { FUNCTION_SIGNATURES, HEDERA_SYSTEM_SIGNATURES } from './function-signatures.js';
+
+/*
+ * Bytecode-only analysis of contracts without a verified source, from the runtime bytecode the
+ * Mirror Node returns. It is a fallback, not a decompiler: it recovers what a contract exposes
+ * and which risky instructions it contains, and the audit built on it is labelled low-confidence.
+ *
+ *   - function selectors: the PUSH4 constants compared (EQ) by Solidity's dispatcher, named from
+ *     the bundled signature database (function-signatures.js)
+ *   - dangerous opcodes: SELFDESTRUCT, DELEGATECALL and CALLCODE, with their offsets
+ *   - Hedera system contracts: references to 0x167 (HTS), 0x168 (exchange rate) and 0x169 (PRNG),
+ *     and the system functions whose selectors appear outside the dispatcher
+ *   - the compiler version from the CBOR metadata, which is stripped before disassembly
+ */
+
+export const BYTECODE_ANALYSIS_VERSION = 1;
+
+const OPCODES = {
+    EQ: 0x14,
+    JUMPDEST: 0x5b,
+    PUSH1: 0x60,
+    PUSH4: 0x63,
+    PUSH32: 0x7f,
+    CALLCODE: 0xf2,
+    DELEGATECALL: 0xf4,
+    SELFDESTRUCT: 0xff,
+};
+
+const DANGEROUS_OPCODES = {
+    [OPCODES.SELFDESTRUCT]: { name: 'SELFDESTRUCT', risk: 'The contract can be destroyed and its HBAR sent elsewhere.' },
+    [OPCODES.DELEGATECALL]: { name: 'DELEGATECALL', risk: 'Code of another contract runs with this contract\'s storage and balance.' },
+    [OPCODES.CALLCODE]: { name: 'CALLCODE', risk: 'Deprecated variant of DELEGATECALL, usually from old compilers or hand-written code.' },
+};
+
+const SYSTEM_CONTRACTS = {
+    0x167: 'Hedera Token Service',
+    0x168: 'Exchange Rate',
+    0x169: 'Pseudorandom Number Generator',
+};
+
+// Functions that usually move funds, change privileges or replace code.
+const SENSITIVE_FUNCTION = /^(mint|safeMint|burn|upgrade|changeAdmin|withdraw|emergencyWithdraw|sweep|rescue|set|pause|unpause|transferOwnership|renounceOwnership|grantRole|revokeRole|initialize|execute|multicall|kill|destroy)\w*\(/;
+
+const MAX_OFFSETS = 5;
+
+function toBytes(bytecode) {
+    const hex = String(bytecode || '').replace(/^0x/i, '');
+    if (!/^(?:[0-9a-f]{2})*$/i.test(hex)) throw new Error('Runtime bytecode is not valid hex.');
+    return Buffer.from(hex, 'hex');
+}
+
+// Splits off the CBOR metadata appended by solc (its length is in the last two bytes).
+export function splitMetadata(bytes) {
+    if (bytes.length < 2) return { code: bytes, metadata: null };
+    const length = bytes.readUInt16BE(bytes.length - 2);
+    const start = bytes.length - 2 - length;
+    if (length === 0 || start < 0 || (bytes[start] & 0xf0) !== 0xa0) return { code: bytes, metadata: null };
+    return { code: bytes.subarray(0, start), metadata: bytes.subarray(start, bytes.length - 2) };
+}
+
+function compilerVersion(metadata) {
+    if (!metadata) return null;
+    const index = metadata.indexOf(Buffer.from('64736f6c6343', 'hex')); // text(4) 'solc', bytes(3)
+    if (index === -1 || index + 9 > metadata.length) return null;
+    const [major, minor, patch] = metadata.subarray(index + 6, index + 9);
+    return `solc ${major}.${minor}.${patch}`;
+}
+
+/**
+ * Disassembles runtime code into instructions; PUSH data is kept as a hex string.
+ * @returns {{ offset: number, opcode: number, push?: string }[]}
+ */
+export function disassemble(code) {
+    const instructions = [];
+    for (let offset = 0; offset < code.length; offset++) {
+        const opcode = code[offset];
+        if (opcode >= OPCODES.PUSH1 && opcode <= OPCODES.PUSH32) {
+            const size = opcode - OPCODES.PUSH1 + 1;
+            instructions.push({ offset, opcode, push: code.subarray(offset + 1, offset + 1 + size).toString('hex') });
+            offset += size;
+        } else {
+            instructions.push({ offset, opcode });
+        }
+    }
+    return instructions;
+}
+
+/**
+ * Analyzes runtime bytecode.
+ * @param {string} bytecode - Hex runtime bytecode (Mirror Node `runtime_bytecode`).
+ * @returns {object} { analysis_version, code_size, compiler, functions, dangerous_opcodes, system_contracts, system_calls }
+ */
+export function analyzeBytecode(bytecode) {
+    const { code, metadata } = splitMetadata(toBytes(bytecode));
+    const instructions = disassemble(code);
+
+    const dispatched = new Set();
+    const otherPush4 = new Set();
+    const opcodeOffsets = new Map();
+    const systemReferences = new Map();
+    const jumpDestinations = new Set(instructions.filter(instruction => instruction.opcode === OPCODES.JUMPDEST).map(instruction => instruction.offset));
+    instructions.forEach((instruction, index) => {
+        if (instruction.opcode === OPCODES.PUSH4) {
+            const selector = `0x${instruction.push}`;
+            // Solidity's dispatcher: PUSH4 <selector> EQ, or PUSH4 <selector> DUPn EQ.
+            const compared = instructions.slice(index + 1, index + 3).some(next => next.opcode === OPCODES.EQ);
+            (compared && selector !== '0xffffffff' ? dispatched : otherPush4).add(selector);
+        }
+        if (instruction.push !== undefined && instruction.push.length <= 4) {
+            const address = parseInt(instruction.push, 16);
+            if (SYSTEM_CONTRACTS[address]) systemReferences.set(address, (systemReferences.get(address) || 0) + 1);
+        }
+        if (DANGEROUS_OPCODES[instruction.opcode]) {
+            const offsets = opcodeOffsets.get(instruction.opcode) || [];
+            offsets.push(instruction.offset);
+            opcodeOffsets.set(instruction.opcode, offsets);
+        }
+    });
+
+    // 0x167-0x169 are also plausible jump targets; those only count when system functions are called.
+    const systemCalls = [...otherPush4].filter(selector => HEDERA_SYSTEM_SIGNATURES[selector]).sort().map(selector => HEDERA_SYSTEM_SIGNATURES[selector]);
+    const systemContracts = [...systemReferences]
+        .filter(([address]) => !jumpDestinations.has(address) || systemCalls.length > 0)
+        .map(([address, references]) => ({ address: `0x${address.toString(16)}`, name: SYSTEM_CONTRACTS[address], references }));
+
+    const functions = [...dispatched].sort().map(selector => {
+        const signature = FUNCTION_SIGNATURES[selector] || null;
+        return { selector, signature, sensitive: Boolean(signature && SENSITIVE_FUNCTION.test(signature)) };
+    });
+    return {
+        analysis_version: BYTECODE_ANALYSIS_VERSION,
+        code_size: code.length,
+        compiler: compilerVersion(metadata),
+        functions,
+        dangerous_opcodes: [...opcodeOffsets].map(([opcode, offsets]) => ({
+            opcode: DANGEROUS_OPCODES[opcode].name,
+            count: offsets.length,
+            offsets: offsets.slice(0, MAX_OFFSETS),
+            risk: DANGEROUS_OPCODES[opcode].risk,
+        })),
+        system_contracts: systemContracts,
+        system_calls: systemCalls,
+    };
+}
+
+/** One-line description of an analysis, for logs and report summaries. */
+export function describeBytecodeAnalysis(analysis) {
+    const named = analysis.functions.filter(fn => fn.signature).length;
+    const parts = [`${analysis.functions.length} function(s) (${named} identified)`];
+    if (analysis.dangerous_opcodes.length > 0) parts.push(analysis.dangerous_opcodes.map(entry => `${entry.opcode} x${entry.count}`).join(', '));
+    if (analysis.system_contracts.length > 0) parts.push(`calls ${analysis.system_contracts.map(entry => entry.name).join(', ')}`);
+    return parts.join('; ');
+}
+
+/**
+ * Labels a final report that covers contracts known only from their bytecode: the report gets
+ * `analysis_mode` ('bytecode' if no contract had a verified source, 'mixed' otherwise) and the
+ * analyses, its summary says so, and the findings about those contracts get `confidence: 'low'`.
+ * @param {object} report
+ * @param {object} analyses - contractId -> analyzeBytecode() result, for the bytecode-only contracts.
+ * @param {boolean} hasSources - Whether any contract was audited from its verified source.
+ * @returns {object} A new report; unchanged when `analyses` is empty.
+ */
+export function labelBytecodeOnlyReport(report, analyses, hasSources) {
+    const contractIds = Object.keys(analyses);
+    if (contractIds.length === 0) return report;
+    const label = `Bytecode-only analysis of ${contractIds.join(', ')} (no verified source; lower confidence).`;
+    return {
+        ...report,
+        summary: report.summary.startsWith(label) ? report.summary : `${label} ${report.summary}`,
+        analysis_mode: hasSources ? 'mixed' : 'bytecode',
+        bytecode_analysis: contractIds.map(contractId => ({ contract_id: contractId, ...analyses[contractId] })),
+        findings: report.findings.map(finding => (
+            contractIds.includes(finding.contract_id) || (!hasSources && !finding.contract_id) ? { ...finding, confidence: 'low' } : finding
+        )),
+    };
+}
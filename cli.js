@@ -0,0 +1,460 @@
+// src/cli.js
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { SEVERITY_LEVELS } from './report-schema.js';
+
+/*
+ * Command-line entry point for audits without HCS.
+ *
+ *   node src/cli.js audit <target...> [options]
+ *   node src/cli.js diff <previous> <current> [options]
+ *   node src/cli.js solc-cache [version...]
+ *
+ * <target> is a local .sol file, a directory of .sol files, a Foundry/Hardhat project,
+ * or one or more Hedera contract IDs (0.0.X). The exit code reflects the highest finding
+ * severity at or above --fail-on, so the CLI can gate CI pipelines. `diff` compares two
+ * reports (see report-diff.js); its exit code only counts new findings and raised severities.
+ * `solc-cache` fills the compiler cache for offline runs (see solc-cache.js).
+ */
+
+const USAGE = `Usage: node src/cli.js audit <target...> [options]
+       node src/cli.js diff <previous> <current> [options]
+       node src/cli.js solc-cache [version...]
+
+Targets:
+  <path>              A .sol file, a directory of .sol files, or a Foundry/Hardhat project
+  <0.0.X ...>         One or more deployed Hedera contract IDs (verified sources are fetched)
+
+Options:
+  --tools <list>      Comma-separated tools the model may run (default: slither,forge).
+                      Static analyzers: slither, mythril, aderyn, solhint, semgrep;
+                      'forge' = generated Foundry tests; tool plugin names (TOOL_PLUGINS) are accepted too
+  --format <format>   Output format: text, json, markdown, html or sarif (default: text)
+  -o, --output <file> Write the report to a file instead of stdout
+  --fail-on <level>   Lowest severity that fails the run: critical, high, medium, low or none (default: low)
+  --main <file>       Main contract file of a local target, relative to the project root
+  --query <text>      Extra instructions for the auditor
+  -v, --verbose       Show agent logs (on stderr)
+  -h, --help          Show this help
+
+Diff:
+  <previous> <current>       Reports to compare: JSON files (as written by --format json) or HRLs (hcs://1/0.0.X)
+  --previous-sources <list>  Sources of the previous report: a local path, or comma-separated contract IDs
+  --current-sources <list>   Sources of the current report (both are needed for the source diff)
+  --format, -o, --fail-on    As above; formats: text, json or markdown
+
+Solc cache:
+  [version...]        solc versions or pragma ranges (e.g. 0.8.19 ^0.6.0) to download into
+                      SOLC_CACHE_DIR for offline runs; without versions, lists the cache
+
+Exit codes:
+  0  no findings at or above --fail-on     3  highest finding is High
+  1  highest finding is Low                4  highest finding is Critical
+  2  highest finding is Medium             5  the audit failed
+  64 usage error
+  solc-cache exits with 5 when a version could not be installed`;
+
+export const EXIT_CODES = Object.freeze({
+    CLEAN: 0,
+    LOW: 1,
+    MEDIUM: 2,
+    HIGH: 3,
+    CRITICAL: 4,
+    AUDIT_FAILED: 5,
+    USAGE: 64,
+});
+
+const SEVERITY_EXIT_CODES = {
+    Low: EXIT_CODES.LOW,
+    Medium: EXIT_CODES.MEDIUM,
+    High: EXIT_CODES.HIGH,
+    Critical: EXIT_CODES.CRITICAL,
+};
+
+const FAIL_ON_LEVELS = ['none', 'low', 'medium', 'high', 'critical'];
+const OUTPUT_FORMATS = ['text', 'json', 'markdown', 'html', 'sarif'];
+const DIFF_FORMATS = ['text', 'json', 'markdown'];
+const AUDIT_ONLY_OPTIONS = ['tools', 'main', 'query'];
+const DIFF_ONLY_OPTIONS = ['previous-sources', 'current-sources'];
+
+// CLI tool names -> registry plugin names. Other names are taken as plugin names.
+// Analyzers (see analyzers.js) share one plugin; the ones named are the only ones it may run.
+const TOOL_ALIASES = {
+    slither: 'runAuditToolInDocker',
+    mythril: 'runAuditToolInDocker',
+    aderyn: 'runAuditToolInDocker',
+    solhint: 'runAuditToolInDocker',
+    semgrep: 'runAuditToolInDocker',
+    forge: 'executeSolidityTest',
+};
+
+const CONTRACT_ID_PATTERN = /^0\.0\.\d+$/;
+
+class UsageError extends Error {}
+
+/**
+ * Maps a delivered payload to the process exit code.
+ * @param {object|null} payload - { status, report } as delivered by the audit pipeline.
+ * @param {string} failOn - One of FAIL_ON_LEVELS.
+ */
+export function exitCodeForPayload(payload, failOn = 'low') {
+    if (!payload || payload.status !== 'success') return EXIT_CODES.AUDIT_FAILED;
+    if (failOn === 'none') return EXIT_CODES.CLEAN;
+    const threshold = SEVERITY_EXIT_CODES[failOn.charAt(0).toUpperCase() + failOn.slice(1)];
+    const codes = (payload.report?.findings || []).map(finding => SEVERITY_EXIT_CODES[finding.severity] || EXIT_CODES.CLEAN);
+    const highest = Math.max(EXIT_CODES.CLEAN, ...codes);
+    return highest >= threshold ? highest : EXIT_CODES.CLEAN;
+}
+
+/**
+ * Maps a report diff to the process exit code: only new findings and raised severities count.
+ * @param {object} diff - From diffReports().
+ * @param {string} failOn - One of FAIL_ON_LEVELS.
+ */
+export function exitCodeForDiff(diff, failOn = 'low') {
+    const regressions = diff.findings.filter(finding => finding.status === 'new'
+        || (finding.status === 'changed_severity' && SEVERITY_LEVELS.indexOf(finding.severity) < SEVERITY_LEVELS.indexOf(finding.previous_severity)));
+    return exitCodeForPayload({ status: 'success', report: { findings: regressions } }, failOn);
+}
+
+function formatText(payload, targetLabel) {
+    const report = payload.report || {};
+    const lines = [];
+    if (payload.status !== 'success') {
+        lines.push(`Audit of ${targetLabel} FAILED`, '', report.summary || 'Unknown error.');
+        return `${lines.join('\n')}\n`;
+    }
+
+    lines.push(`Audit report for ${targetLabel}`, `Score: ${report.score}/100`, '', report.summary, '');
+    const findings = [...(report.findings || [])]
+        .sort((a, b) => SEVERITY_LEVELS.indexOf(a.severity) - SEVERITY_LEVELS.indexOf(b.severity));
+    lines.push(`Findings (${findings.length}):`);
+    for (const finding of findings) {
+        lines.push('', `  [${finding.severity}] ${finding.title}${finding.contract_id ? ` (${finding.contract_id})` : ''}`);
+        lines.push(`    ${finding.description}`);
+        lines.push(`    Recommendation: ${finding.recommendation}`);
+        if (finding.confirmation) lines.push(`    Confirmation: ${finding.confirmation}`);
+    }
+    if (report.cross_contract_interactions) {
+        lines.push('', 'Cross-contract interactions:', `  ${report.cross_contract_interactions}`);
+    }
+    lines.push('', `Tools used: ${(report.tools_used || []).join(', ') || 'none'}`);
+    return `${lines.join('\n')}\n`;
+}
+
+function formatDiffText(diff) {
+    const lines = [diff.summary, ''];
+    lines.push(`Findings (${diff.findings.length}):`);
+    for (const finding of diff.findings) {
+        const severity = finding.status === 'changed_severity'
+            ? `${finding.previous_severity} -> ${finding.severity}`
+            : finding.severity || finding.previous_severity;
+        const where = [finding.contract_id || finding.previous_contract_id, finding.function].filter(Boolean).join(', ');
+        lines.push(`  ${finding.status.padEnd(16)} [${severity}] ${finding.title}${where ? ` (${where})` : ''}`);
+    }
+    if (diff.source_changes) {
+        lines.push('', 'Changed source files:');
+        if (diff.source_changes.files.length === 0) lines.push('  none');
+        for (const file of diff.source_changes.files) lines.push(`  ${file.status.padEnd(9)} ${file.file}`);
+        lines.push('', 'Affected functions:');
+        if (diff.source_changes.functions.length === 0) lines.push('  none');
+        for (const fn of diff.source_changes.functions) {
+            lines.push(`  ${fn.status.padEnd(9)} ${fn.function} (${fn.file})`);
+            if (fn.diff) lines.push(...fn.diff.split('\n').map(line => `      ${line}`));
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+function parseCliArgs(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                tools: { type: 'string' },
+                format: { type: 'string', default: 'text' },
+                output: { type: 'string', short: 'o' },
+                'fail-on': { type: 'string', default: 'low' },
+                main: { type: 'string' },
+                query: { type: 'string' },
+                'previous-sources': { type: 'string' },
+                'current-sources': { type: 'string' },
+                verbose: { type: 'boolean', short: 'v', default: false },
+                help: { type: 'boolean', short: 'h', default: false },
+            },
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) return { help: true };
+    const [command, ...targets] = positionals;
+    if (!['audit', 'diff', 'solc-cache'].includes(command)) throw new UsageError(command ? `Unknown command '${command}'.` : 'Missing command.');
+    if (command === 'solc-cache') {
+        const misplaced = [...AUDIT_ONLY_OPTIONS, ...DIFF_ONLY_OPTIONS].filter(option => values[option] !== undefined);
+        if (misplaced.length > 0) throw new UsageError(`--${misplaced[0]} does not apply to 'solc-cache'.`);
+        return { command, versions: targets, output: values.output || null, verbose: values.verbose };
+    }
+    const failOn = values['fail-on'].toLowerCase();
+    if (!FAIL_ON_LEVELS.includes(failOn)) throw new UsageError(`Unknown --fail-on level '${values['fail-on']}'. Expected one of: ${FAIL_ON_LEVELS.join(', ')}.`);
+    const format = values.format.toLowerCase();
+
+    if (command === 'diff') {
+        const misplaced = AUDIT_ONLY_OPTIONS.filter(option => values[option] !== undefined);
+        if (misplaced.length > 0) throw new UsageError(`--${misplaced[0]} only applies to 'audit'.`);
+        if (targets.length !== 2) throw new UsageError("'diff' takes exactly two reports: <previous> <current>.");
+        if (!DIFF_FORMATS.includes(format)) throw new UsageError(`Unknown diff format '${values.format}'. Expected one of: ${DIFF_FORMATS.join(', ')}.`);
+        const sourceList = value => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : null);
+        return {
+            command,
+            previous: targets[0],
+            current: targets[1],
+            previousSources: sourceList(values['previous-sources']),
+            currentSources: sourceList(values['current-sources']),
+            format,
+            output: values.output || null,
+            failOn,
+            verbose: values.verbose,
+        };
+    }
+
+    const misplaced = DIFF_ONLY_OPTIONS.filter(option => values[option] !== undefined);
+    if (misplaced.length > 0) throw new UsageError(`--${misplaced[0]} only applies to 'diff'.`);
+    if (targets.length === 0) throw new UsageError('Missing audit target.');
+
+    const contractIds = targets.filter(target => CONTRACT_ID_PATTERN.test(target));
+    if (contractIds.length > 0 && contractIds.length !== targets.length) {
+        throw new UsageError('Targets must be either contract IDs or a single local path, not both.');
+    }
+    if (contractIds.length === 0 && targets.length > 1) throw new UsageError('Only one local target can be audited at a time.');
+
+    if (!OUTPUT_FORMATS.includes(format)) throw new UsageError(`Unknown format '${values.format}'. Expected one of: ${OUTPUT_FORMATS.join(', ')}.`);
+    const tools = (values.tools ?? 'slither,forge').split(',').map(tool => tool.trim()).filter(Boolean);
+    if (values.main && contractIds.length > 0) throw new UsageError('--main only applies to local targets.');
+
+    return {
+        command,
+        contractIds,
+        localTarget: contractIds.length === 0 ? targets[0] : null,
+        tools,
+        format,
+        output: values.output || null,
+        failOn,
+        mainFile: values.main || null,
+        query: values.query || null,
+        verbose: values.verbose,
+    };
+}
+
+async function runAudit(options) {
+    // Loaded only now so the logging environment above applies to them.
+    const { config, validateConfig } = await import('./config.js');
+    const { logger } = await import('./utils.js');
+    const { systemInstruction } = await import('./prompts.js');
+    const { createLLMProvider } = await import('./llm-providers.js');
+    const { createAuditToolRegistry } = await import('./audit-plugins.js');
+    const { processAuditRequest } = await import('./audit-pipeline.js');
+    const { createAuditTrace } = await import('./audit-trace.js');
+    const { loadLocalSources } = await import('./local-sources.js');
+    const { renderReport } = await import('./report-renderer.js');
+    const { getToolVersions } = await import('./audit-tools.js');
+    const { closeToolPool } = await import('./container-pool.js');
+
+    validateConfig({ requireHedera: false });
+
+    const wantedTools = new Set(['finalizeAuditReport', ...options.tools.map(tool => TOOL_ALIASES[tool] || tool)]);
+    if (options.contractIds.length > 0) wantedTools.add('getSourceCode');
+    const toolRegistry = await createAuditToolRegistry({ filter: plugin => wantedTools.has(plugin.name) });
+    const unknownTools = [...wantedTools].filter(name => !toolRegistry.get(name));
+    if (unknownTools.length > 0) {
+        throw new UsageError(`Unknown tool(s): ${unknownTools.join(', ')}. Available: ${Object.keys(TOOL_ALIASES).join(', ')} or a TOOL_PLUGINS plugin name.`);
+    }
+    const analyzers = options.tools.filter(tool => TOOL_ALIASES[tool] === 'runAuditToolInDocker');
+    const disabledAnalyzers = analyzers.filter(name => !config.analyzers.includes(name));
+    if (disabledAnalyzers.length > 0) {
+        throw new UsageError(`Analyzer(s) not enabled by ANALYZERS: ${disabledAnalyzers.join(', ')}. Enabled: ${config.analyzers.join(', ')}.`);
+    }
+
+    let request;
+    let fetchedSources = {};
+    let targetLabel;
+    const extraInstructions = options.query ? `\n\n${options.query}` : '';
+    if (options.contractIds.length > 0) {
+        targetLabel = options.contractIds.join(', ');
+        request = {
+            user_query: `Please audit contract${options.contractIds.length > 1 ? 's' : ''} ${targetLabel}.${extraInstructions}`,
+            contract_id_from_user: options.contractIds[0],
+            contract_ids_from_user: options.contractIds,
+            reply_topic_id: null,
+            requestor_account_id: 'cli',
+        };
+    } else {
+        const local = await loadLocalSources(options.localTarget, { mainFile: options.mainFile });
+        if (!local.success) throw new UsageError(local.error);
+        targetLabel = options.localTarget;
+        fetchedSources = { local: { files: local.files, mainFilePath: local.mainFileName, namespace: 'local' } };
+        request = {
+            user_query: `Please audit the local ${local.projectType} target "${path.basename(path.resolve(options.localTarget))}". `
+                + `Its ${local.files.length} Solidity file(s) are already loaded (main file: ${local.mainFileName}), so do NOT call getSourceCode. `
+                + `Files: ${local.files.map(file => file.path).join(', ')}.${extraInstructions}`,
+            contract_id_from_user: null,
+            reply_topic_id: null,
+            requestor_account_id: 'cli',
+        };
+    }
+
+    if (analyzers.length > 0) request.analyzers = analyzers;
+
+    const llm = createLLMProvider(config.llmProvider, {
+        systemInstruction: systemInstruction,
+        tools: toolRegistry.toTools(),
+    });
+    const trace = createAuditTrace();
+    let payload = null;
+    let toolState = null;
+    try {
+        await processAuditRequest(request, {
+            llm,
+            toolRegistry,
+            trace,
+            fetchedSources,
+            deliver: async (delivered, meta) => {
+                payload = delivered;
+                toolState = meta.toolState;
+            },
+        });
+    } catch (error) {
+        logger.error(`[CLI] Audit failed: ${error.message}`);
+    } finally {
+        await closeToolPool(); // The process exits next: do not leave warm containers behind
+    }
+    if (trace.path) logger.info(`[CLI] Audit trace written to ${trace.path}`);
+
+    let rendered = null;
+    if (payload && !['text', 'json'].includes(options.format)) {
+        rendered = renderReport(payload, options.format, {
+            sources: toolState?.fetchedSources,
+            pocTests: toolState?.pocTests,
+            toolVersions: await getToolVersions(),
+        });
+    }
+    return { payload, targetLabel, rendered };
+}
+
+// Reports and sources are read without model or Hedera credentials (HRLs and contract sources come from public APIs).
+async function runDiff(options) {
+    const { loadReport, loadSourceSnapshot, diffReports } = await import('./report-diff.js');
+    const { renderDiffMarkdown } = await import('./report-renderer.js');
+
+    let previous;
+    let current;
+    let previousSources = {};
+    let currentSources = {};
+    try {
+        previous = await loadReport(options.previous);
+        current = await loadReport(options.current);
+        if (options.previousSources) previousSources = await loadSourceSnapshot(options.previousSources);
+        if (options.currentSources) currentSources = await loadSourceSnapshot(options.currentSources);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const diff = diffReports(previous, current, { previousSources, currentSources });
+    let text;
+    if (options.format === 'json') text = `${JSON.stringify(diff, null, 2)}\n`;
+    else if (options.format === 'markdown') text = renderDiffMarkdown(diff);
+    else text = formatDiffText(diff);
+    await writeOutput(text, options.output);
+    return exitCodeForDiff(diff, options.failOn);
+}
+
+// Versions are exact releases or pragma ranges, which stand for the newest release they allow.
+async function runSolcCache(options) {
+    const { candidateReleases, parsePragmaConstraint } = await import('./solc-versions.js');
+    const { cachedSolcVersions, solcCacheDir } = await import('./solc-cache.js');
+    const { installSolcVersions } = await import('./audit-tools.js');
+
+    const versions = options.versions.map(spec => {
+        if (/^\d+\.\d+\.\d+$/.test(spec)) return spec; // Exact versions may be newer than the bundled release list
+        const predicate = parsePragmaConstraint(spec);
+        const matching = predicate ? candidateReleases([spec]).filter(predicate) : [];
+        if (matching.length === 0) throw new UsageError(`No solc release matches '${spec}'.`);
+        return matching.at(-1);
+    });
+
+    const lines = [];
+    let exitCode = EXIT_CODES.CLEAN;
+    if (versions.length > 0) {
+        const result = await installSolcVersions(versions);
+        if (result.installed.length > 0) lines.push(`Installed: ${result.installed.join(', ')}`);
+        if (!result.success) {
+            lines.push(`Failed: ${result.missing.join(', ')} (${result.error})`);
+            if (result.output) lines.push(result.output);
+            exitCode = EXIT_CODES.AUDIT_FAILED;
+        }
+    }
+    const cached = await cachedSolcVersions();
+    lines.push(`Cached in ${solcCacheDir()}: ${cached.join(', ') || 'none'}`);
+    await writeOutput(`${lines.join('\n')}\n`, options.output);
+    return exitCode;
+}
+
+async function writeOutput(text, outputPath) {
+    if (outputPath) {
+        await fs.mkdir(path.dirname(path.resolve(outputPath)), { recursive: true });
+        await fs.writeFile(outputPath, text, 'utf8');
+        return;
+    }
+    await new Promise(resolve => process.stdout.write(text, resolve));
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseCliArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return EXIT_CODES.USAGE;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return EXIT_CODES.CLEAN;
+    }
+
+    // stdout is reserved for the report; logs go to stderr and are quiet unless --verbose.
+    process.env.LOG_TO_STDERR = 'true';
+    if (!options.verbose) process.env.LOG_LEVEL = 'warn';
+
+    let result;
+    try {
+        if (options.command === 'diff') return await runDiff(options);
+        if (options.command === 'solc-cache') return await runSolcCache(options);
+        result = await runAudit(options);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`${error.message}\n\n${USAGE}`);
+            return EXIT_CODES.USAGE;
+        }
+        throw error;
+    }
+
+    const { payload, targetLabel, rendered } = result;
+    if (!payload) {
+        console.error(`Audit of ${targetLabel} failed before a report was produced. Re-run with --verbose for details.`);
+        return EXIT_CODES.AUDIT_FAILED;
+    }
+    const text = rendered ?? (options.format === 'json' ? `${JSON.stringify(payload, null, 2)}\n` : formatText(payload, targetLabel));
+    await writeOutput(text, options.output);
+    return exitCodeForPayload(payload, options.failOn);
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error(`Unexpected error: ${error.stack || error.message}`);
+        process.exit(EXIT_CODES.AUDIT_FAILED);
+    });
@@ -4,19 +4,83 @@ dotenv.config();
 
 export const config = {
     googleApiKey: process.env.GOOGLE_API_KEY,
+    llmProvider: process.env.LLM_PROVIDER || 'gemini', // 'gemini', 'openai' (any OpenAI-compatible server) or 'scripted'
+    llmModel: process.env.LLM_MODEL, // Optional: overrides the provider's default model
+    openaiBaseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1', // e.g. http://localhost:11434/v1 for Ollama
+    openaiApiKey: process.env.OPENAI_API_KEY,
+    llmScriptFile: process.env.LLM_SCRIPT_FILE, // JSON array of model turns for the scripted provider
+    llmRequestsPerMinute: parseInt(process.env.LLM_RPM || '10', 10), // Shared across all audits, 0 = unlimited
+    llmTokensPerMinute: parseInt(process.env.LLM_TPM || '250000', 10), // Shared across all audits, 0 = unlimited
+    llmMaxRetries: parseInt(process.env.LLM_MAX_RETRIES || '5', 10), // Retries on 429/5xx/network errors
+    llmRetryBaseDelayMs: parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || '2000', 10),
+    llmRetryMaxDelayMs: parseInt(process.env.LLM_RETRY_MAX_DELAY_MS || '60000', 10),
     hederaAccountId: process.env.HEDERA_ACCOUNT_ID,
     hederaPrivateKey: process.env.HEDERA_PRIVATE_KEY,
     hederaNetwork: process.env.HEDERA_NETWORK || 'testnet',
     logLevel: process.env.LOG_LEVEL || 'info',
+    logToStderr: process.env.LOG_TO_STDERR === 'true', // Keeps stdout free for command output (set by cli.js)
     agentHederaAccountId: process.env.HEDERA_ACCOUNT_ID,
     agentInboundTopicId: process.env.AGENT_INBOUND_TOPIC_ID, // NEW: Agent's public HCS-10 inbound topic
     agentOutboundTopicId: process.env.AGENT_OUTBOUND_TOPIC_ID, // NEW: Agent's public HCS-10 outbound topic
     tempContractDir: './contracts-temp', // must exist and gitignored
-    auditToolImage: 'hedera-audit-tools:latest'
+    auditToolImage: 'hedera-audit-tools:latest',
+    jobStoreFile: process.env.JOB_STORE_FILE || './audit_jobs.json', // Persistent audit job queue
+    jobConcurrency: parseInt(process.env.JOB_CONCURRENCY || '2', 10), // Audits processed in parallel
+    jobMaxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10), // Attempts per job before it is failed
+    jobRetryBaseDelayMs: parseInt(process.env.JOB_RETRY_BASE_DELAY_MS || '30000', 10), // Doubled on each retry
+    jobRecoveryPolicy: process.env.JOB_RECOVERY_POLICY || 'resume', // 'resume' or 'fail' jobs interrupted by a restart
+    jobHistoryLimit: parseInt(process.env.JOB_HISTORY_LIMIT || '200', 10), // Finished jobs kept in the store
+    checkpointDir: process.env.CHECKPOINT_DIR || './audit-checkpoints', // Per-job conversation checkpoints for resume
+    reportMaxRepairTurns: parseInt(process.env.REPORT_MAX_REPAIR_TURNS || '2', 10), // Model turns allowed to fix a report that fails schema validation
+    maxAuditSteps: parseInt(process.env.MAX_AUDIT_STEPS || '15', 10), // Agent loop iterations per audit
+    toolPlugins: (process.env.TOOL_PLUGINS || '').split(',').map(s => s.trim()).filter(Boolean), // Extra tool plugin modules (paths or package names)
+    maxContractsPerAudit: parseInt(process.env.MAX_CONTRACTS_PER_AUDIT || '5', 10), // Contract IDs taken from one request; extra IDs are ignored
+    // Per-audit budgets (0 = unlimited). The model is told to finalize once any budget passes budgetWarnRatio.
+    budgetMaxInputTokens: parseInt(process.env.BUDGET_MAX_INPUT_TOKENS || '1000000', 10),
+    budgetMaxOutputTokens: parseInt(process.env.BUDGET_MAX_OUTPUT_TOKENS || '100000', 10),
+    budgetMaxWallClockMs: parseInt(process.env.BUDGET_MAX_WALL_CLOCK_MS || '1800000', 10), // 30 minutes
+    budgetMaxDockerMs: parseInt(process.env.BUDGET_MAX_DOCKER_MS || '1200000', 10), // CPU time of tool runs, plus wall time of solc installs and container startups; 20 minutes
+    budgetMaxHbarTinybars: parseInt(process.env.BUDGET_MAX_HBAR_TINYBARS || '500000000', 10), // 5 HBAR of topic fees
+    budgetWarnRatio: parseFloat(process.env.BUDGET_WARN_RATIO || '0.8'),
+    auditTraceEnabled: process.env.AUDIT_TRACE !== 'false', // Write a replayable JSONL trace of every audit
+    auditTraceDir: process.env.AUDIT_TRACE_DIR || './audit-traces',
+    httpApiPort: parseInt(process.env.HTTP_API_PORT || '0', 10), // Local HTTP API for submitting audits, 0 = disabled
+    httpApiHost: process.env.HTTP_API_HOST || '127.0.0.1',
+    httpApiToken: process.env.HTTP_API_TOKEN, // Bearer token required by the HTTP API (recommended off localhost)
+    hcsProgressEnabled: process.env.HCS_PROGRESS !== 'false', // Post interim progress messages on HCS-10 connection topics
+    hcsProgressMinIntervalMs: parseInt(process.env.HCS_PROGRESS_MIN_INTERVAL_MS || '30000', 10), // Minimum time between two updates
+    hcsProgressMaxMessages: parseInt(process.env.HCS_PROGRESS_MAX_MESSAGES || '8', 10), // Updates per audit, bounds their topic fees
+    reportAttachments: (process.env.REPORT_ATTACHMENTS || '').split(',').map(format => format.trim().toLowerCase()).filter(Boolean), // Rendered reports (markdown, html, sarif) inscribed next to the JSON
+    proxyResolution: process.env.PROXY_RESOLUTION !== 'false', // Detect proxies in getSourceCode and fetch their implementation too
+    bytecodeFallback: process.env.BYTECODE_FALLBACK !== 'false', // Analyze the runtime bytecode of contracts without a verified source
+    sourceVerification: process.env.SOURCE_VERIFICATION !== 'false', // Recompile verified sources and compare them with the deployed bytecode
+    solcCacheDir: process.env.SOLC_CACHE_DIR || './solc-cache', // Host directory of solc binaries mounted into tool containers
+    solcOffline: process.env.SOLC_OFFLINE === 'true', // Never download compilers; runs that need a missing one are skipped
+    // Sandbox of tool containers, which run third-party contracts and model-written tests (0 = no limit).
+    toolTimeoutMs: parseInt(process.env.TOOL_TIMEOUT_MS || '600000', 10), // Wall-clock limit per container, then it is killed
+    toolMemoryMb: parseInt(process.env.TOOL_MEMORY_MB || '4096', 10),
+    toolCpus: parseFloat(process.env.TOOL_CPUS || '2'),
+    toolPidsLimit: parseInt(process.env.TOOL_PIDS_LIMIT || '512', 10),
+    toolUser: process.env.TOOL_USER, // 'uid:gid' or a user of the image; defaults to the agent's own uid:gid
+    // Warm tool containers, reused across tool calls (see container-pool.js).
+    toolPoolSize: parseInt(process.env.TOOL_POOL_SIZE || '2', 10), // Idle containers kept per compiler version; 0 = a fresh container per call
+    toolPoolMaxUses: parseInt(process.env.TOOL_POOL_MAX_USES || '20', 10), // Calls a container serves before it is replaced (0 = no limit)
+    toolPoolIdleMs: parseInt(process.env.TOOL_POOL_IDLE_MS || '300000', 10), // Idle containers are removed after this long (0 = never)
+    toolPoolWarm: (process.env.TOOL_POOL_WARM || '').split(',').map(version => version.trim()).filter(Boolean), // solc versions started with the agent ('default' = the image's solc)
+    analyzers: (process.env.ANALYZERS || 'slither,mythril,aderyn,solhint,semgrep').split(',').map(name => name.trim().toLowerCase()).filter(Boolean) // Static analyzers the model may run (see analyzers.js); requests can narrow them
 };
-console.log(config)
-// Basic validation
-if (!config.googleApiKey || !config.hederaAccountId || !config.hederaPrivateKey || !config.agentInboundTopicId /* || !config.agentOutboundTopicId */) {
-    console.error("FATAL ERROR: Missing required environment variables (check API Key, Hedera credentials, Agent Topic IDs). Check .env file.");
-    process.exit(1);
-}
\ No newline at end of file
+
+/**
+ * Exits the process if variables required to run the agent are missing.
+ * Only entry points that talk to Hedera and the model call this; tools such as replay.js don't need credentials.
+ * @param {object} [options]
+ * @param {boolean} [options.requireHedera=true] - False for local (CLI) audits, which only need the model credentials.
+ */
+export function validateConfig({ requireHedera = true } = {}) {
+    const missingModelKey = config.llmProvider === 'gemini' && !config.googleApiKey;
+    const missingHedera = !config.hederaAccountId || !config.hederaPrivateKey || !config.agentInboundTopicId /* || !config.agentOutboundTopicId */;
+    if (missingModelKey || (requireHedera && missingHedera)) {
+        console.error("FATAL ERROR: Missing required environment variables (check API Key, Hedera credentials, Agent Topic IDs). Check .env file.");
+        process.exit(1);
+    }
+}
@@ -0,0 +1,341 @@
+// src/container-pool.js
+import Docker from 'dockerode';
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { config } from './config.js';
+import { logger } from './utils.js';
+import {
+    sandboxContainerOptions, runToolContainer, installSolcVersions, bind, makeScratchDir,
+    CONTAINER_PROJECT_DIR, CONTAINER_SOURCE_DIR, CONTAINER_SCRATCH_DIR, CONTAINER_SOLC_BIN,
+} from './audit-tools.js';
+
+/*
+ * Pool of warm audit tool containers, so a tool call execs into a running container instead of
+ * creating one (and running 'forge init') per call.
+ *
+ * Containers are keyed by solc version, since SOLC_VERSION is fixed when a container starts, and
+ * get the sandbox of one-off tool containers (see sandboxContainerOptions() in audit-tools.js).
+ * Each one has its own host workspace:
+ *   project/   Foundry project at /app, with a generated foundry.toml
+ *   sources/   the audited sources, mounted read-only at /app/src
+ *   scratch/   writable working directory at /scratch
+ * The project's lib/ (forge-std) comes from a template initialized once per process, the only step
+ * with network access, and is mounted read-only into every container.
+ *
+ * After a call the workspace is reset and the container goes back to the pool. A container that was
+ * killed, could not be reset or has served TOOL_POOL_MAX_USES calls is removed instead, as are idle
+ * containers after TOOL_POOL_IDLE_MS. Pooled containers carry the `hcs-audit-agent.pool` label.
+ */
+
+const docker = new Docker(); // Auto-detects connection
+const POOL_DIR = path.join(config.tempContractDir, 'pool');
+const POOL_LABEL = 'hcs-audit-agent.pool';
+const DEFAULT_KEY = 'default'; // No SOLC_VERSION: the image's default solc
+
+const idle = new Map(); // key -> pooled containers waiting for a call
+let templatePromise = null;
+let templateFailed = false;
+let closed = false;
+
+/**
+ * foundry.toml of a pooled project: no FFI, cheatcodes may only read the sources, no compiler
+ * downloads, and the cached solc selected through SOLC_VERSION when the container has a version.
+ */
+function foundryToml(solcVersion) {
+    return [
+        '[profile.default]',
+        'src = "src"',
+        'test = "test"',
+        'out = "out"',
+        'libs = ["lib"]',
+        'ffi = false',
+        'fs_permissions = [{ access = "read", path = "./src" }]',
+        'offline = true',
+        ...(solcVersion ? [`solc = "${CONTAINER_SOLC_BIN}"`] : []),
+        '',
+    ].join('\n');
+}
+
+async function initFoundryTemplate() {
+    const templateDir = path.join(POOL_DIR, `template-${crypto.randomBytes(4).toString('hex')}`);
+    await makeScratchDir(templateDir);
+    logger.info(`[ToolPool] Initializing the Foundry project template in ${templateDir}`);
+    try {
+        const init = await runToolContainer({
+            command: ['forge', 'init', '--force', CONTAINER_PROJECT_DIR],
+            binds: [bind(templateDir, CONTAINER_PROJECT_DIR)],
+            workingDir: '/',
+            network: true, // forge init clones forge-std
+            logPrefix: '[ToolPool]',
+        });
+        if (init.statusCode !== 0 || init.timedOut) {
+            throw new Error(`'forge init' failed with status code ${init.statusCode}${init.timedOut ? ' (timed out)' : ''}. ${init.stderr}`.trim());
+        }
+        return { dir: templateDir, libDir: path.join(templateDir, 'lib') };
+    } catch (error) {
+        await fs.rm(templateDir, { recursive: true, force: true });
+        throw error;
+    }
+}
+
+/**
+ * The Foundry template, initialized on first use. A failed initialization is only retried for
+ * callers that need Foundry (`retry`); the others get containers without forge-std.
+ */
+function foundryTemplate({ retry = false } = {}) {
+    if (!templatePromise || (retry && templateFailed)) {
+        templateFailed = false;
+        templatePromise = initFoundryTemplate().catch(error => {
+            templateFailed = true;
+            throw error;
+        });
+    }
+    return templatePromise;
+}
+
+// Empties the workspace and restores the project: fresh foundry.toml, empty test/, no build output.
+async function resetWorkspace(entry) {
+    const { projectDir, sourceDir, scratchDir } = entry.workspace;
+    for (const dir of [sourceDir, scratchDir]) {
+        for (const name of await fs.readdir(dir)) await fs.rm(path.join(dir, name), { recursive: true, force: true });
+    }
+    for (const name of await fs.readdir(projectDir)) {
+        if (name !== 'src' && name !== 'lib') await fs.rm(path.join(projectDir, name), { recursive: true, force: true }); // Mount points stay
+    }
+    await fs.mkdir(path.join(projectDir, 'test'));
+    await fs.writeFile(path.join(projectDir, 'foundry.toml'), foundryToml(entry.key === DEFAULT_KEY ? null : entry.key));
+}
+
+async function createEntry(key, { foundry }) {
+    const template = await foundryTemplate({ retry: foundry }).catch(error => {
+        if (foundry) throw error;
+        logger.warn(`[ToolPool] Starting a container without the Foundry template: ${error.message}`);
+        return null;
+    });
+    const root = path.join(POOL_DIR, crypto.randomBytes(8).toString('hex'));
+    const workspace = { root, projectDir: path.join(root, 'project'), sourceDir: path.join(root, 'sources'), scratchDir: path.join(root, 'scratch') };
+    const entry = { key, foundry: Boolean(template), workspace, container: null, uses: 0, broken: false, idleTimer: null };
+    try {
+        await makeScratchDir(workspace.projectDir);
+        await makeScratchDir(workspace.scratchDir);
+        for (const dir of [workspace.sourceDir, path.join(workspace.projectDir, 'src'), path.join(workspace.projectDir, 'lib')]) {
+            await fs.mkdir(dir, { recursive: true });
+        }
+        await resetWorkspace(entry);
+
+        const options = await sandboxContainerOptions({
+            command: ['sleep', 'infinity'],
+            binds: [
+                bind(workspace.projectDir, CONTAINER_PROJECT_DIR),
+                bind(workspace.sourceDir, CONTAINER_SOURCE_DIR, { readOnly: true }),
+                ...(template ? [bind(template.libDir, `${CONTAINER_PROJECT_DIR}/lib`, { readOnly: true })] : []),
+                bind(workspace.scratchDir, CONTAINER_SCRATCH_DIR),
+            ],
+            workingDir: CONTAINER_SCRATCH_DIR,
+            env: key === DEFAULT_KEY ? [] : [`SOLC_VERSION=${key}`],
+        });
+        entry.container = await docker.createContainer({
+            ...options,
+            Labels: { [POOL_LABEL]: key },
+            HostConfig: { ...options.HostConfig, Init: true }, // Reaps the processes of finished calls
+        });
+        await entry.container.start();
+        logger.info(`[ToolPool] Started container ${entry.container.id.substring(0,12)} for solc ${key}.`);
+        return entry;
+    } catch (error) {
+        await removeEntry(entry);
+        throw error;
+    }
+}
+
+async function removeEntry(entry) {
+    clearTimeout(entry.idleTimer);
+    if (entry.container) {
+        try {
+            await entry.container.remove({ force: true });
+            logger.debug(`[ToolPool] Removed container ${entry.container.id.substring(0,12)}`);
+        } catch (removeError) {
+            logger.warn(`[ToolPool] Failed to remove container ${entry.container.id.substring(0,12)}: ${removeError.message}`);
+        }
+    }
+    try { await fs.rm(entry.workspace.root, { recursive: true, force: true }); }
+    catch (cleanupError) { logger.error(`[ToolPool] Failed to cleanup workspace ${entry.workspace.root}: ${cleanupError.message}`); }
+}
+
+function park(entry) {
+    const entries = idle.get(entry.key) || [];
+    entries.push(entry);
+    idle.set(entry.key, entries);
+    if (config.toolPoolIdleMs > 0) {
+        entry.idleTimer = setTimeout(() => {
+            const index = entries.indexOf(entry);
+            if (index === -1) return;
+            entries.splice(index, 1);
+            logger.debug(`[ToolPool] Container ${entry.container.id.substring(0,12)} idle for ${config.toolPoolIdleMs} ms; removing it.`);
+            removeEntry(entry);
+        }, config.toolPoolIdleMs);
+        entry.idleTimer.unref(); // Idle containers do not keep the process alive
+    }
+}
+
+// CPU time used so far by the processes of a running container, in ms (from its cgroup), or null.
+async function readCpuTimeMs(container) {
+    try {
+        const stats = await container.stats({ stream: false, 'one-shot': true });
+        const usage = stats?.cpu_stats?.cpu_usage?.total_usage;
+        return usage > 0 ? usage / 1e6 : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Runs one command in a pooled container. On a timeout the whole container is killed, since an exec
+ * cannot be; the container is then removed at release. `cpuTimeMs` is the CPU time the container
+ * used during the call (a lease has the container to itself), or the wall time if it can't be read.
+ */
+async function execInEntry(entry, { command, workingDir = CONTAINER_SCRATCH_DIR, env = [], logPrefix = '[ToolPool]' }) {
+    const exec = await entry.container.exec({ Cmd: command, WorkingDir: workingDir, Env: env, AttachStdout: true, AttachStderr: true });
+    let killTimer = null;
+    let timedOut = false;
+    try {
+        const cpuBefore = await readCpuTimeMs(entry.container);
+        const startedAt = Date.now();
+        const stream = await exec.start({ hijack: true, stdin: false });
+        if (config.toolTimeoutMs > 0) {
+            killTimer = setTimeout(() => {
+                timedOut = true;
+                logger.warn(`${logPrefix} Call in container ${entry.container.id.substring(0,12)} exceeded ${config.toolTimeoutMs} ms; killing the container.`);
+                entry.container.kill().catch(killError => logger.warn(`${logPrefix} Failed to kill container: ${killError.message}`));
+            }, config.toolTimeoutMs);
+        }
+
+        let stdout = ''; let stderr = '';
+        await new Promise((resolve, reject) => {
+            docker.modem.demuxStream(stream,
+                { write: (chunk) => { stdout += chunk.toString('utf8'); } },
+                { write: (chunk) => { stderr += chunk.toString('utf8'); } }
+            );
+            stream.on('end', resolve);
+            stream.on('close', resolve);
+            stream.on('error', reject);
+        });
+        const containerTimeMs = Date.now() - startedAt;
+        const cpuAfter = timedOut ? null : await readCpuTimeMs(entry.container);
+        const cpuTimeMs = cpuBefore !== null && cpuAfter !== null && cpuAfter >= cpuBefore ? Math.round(cpuAfter - cpuBefore) : containerTimeMs;
+        const { ExitCode: exitCode } = await exec.inspect().catch(() => ({ ExitCode: null }));
+        // Nothing but the kernel's OOM killer sends SIGKILL (exit code 137) to a call that did not time out.
+        const oomKilled = !timedOut && exitCode === 137;
+        if (timedOut || oomKilled) entry.broken = true;
+        return { statusCode: exitCode ?? -1, stdout, stderr, containerTimeMs, cpuTimeMs, timedOut, oomKilled };
+    } catch (error) {
+        entry.broken = true;
+        throw error;
+    } finally {
+        clearTimeout(killTimer);
+    }
+}
+
+async function releaseEntry(entry) {
+    entry.uses++;
+    const keep = !entry.broken && !closed
+        && (config.toolPoolMaxUses === 0 || entry.uses < config.toolPoolMaxUses)
+        && (idle.get(entry.key)?.length || 0) < config.toolPoolSize;
+    if (keep) {
+        try {
+            await resetWorkspace(entry);
+            park(entry);
+            return;
+        } catch (resetError) {
+            logger.warn(`[ToolPool] Failed to reset container ${entry.container.id.substring(0,12)}: ${resetError.message}`);
+        }
+    }
+    await removeEntry(entry);
+}
+
+async function isRunning(entry) {
+    try {
+        return Boolean((await entry.container.inspect()).State?.Running);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Takes a warm container for `solcVersion` from the pool, or starts one. The compiler must already
+ * be cached (see ensureSolcCached() in audit-tools.js): pooled containers have no network.
+ * @param {string|null} solcVersion - null for the image's default solc.
+ * @param {object} [options]
+ * @param {boolean} [options.foundry] - The call runs forge, so the project needs forge-std.
+ * @returns {Promise<{ workspace: { projectDir: string, sourceDir: string, scratchDir: string }, startupMs: number, exec: Function, release: Function }>}
+ *   Write the call's files into `workspace` (sourceDir is /app/src, projectDir /app), run commands
+ *   with exec({ command, workingDir, env, logPrefix }) (result of runToolContainer() plus `cpuTimeMs`), then
+ *   release() the lease exactly once.
+ */
+export async function acquireToolContainer(solcVersion, { foundry = false, logPrefix = '[ToolPool]' } = {}) {
+    const key = solcVersion || DEFAULT_KEY;
+    const entries = idle.get(key) || [];
+    let entry = null;
+    let startupMs = 0;
+    for (let index = entries.length - 1; index >= 0 && !entry; index--) {
+        if (foundry && !entries[index].foundry) continue;
+        const [candidate] = entries.splice(index, 1);
+        clearTimeout(candidate.idleTimer);
+        if (await isRunning(candidate)) entry = candidate;
+        else await removeEntry(candidate);
+    }
+    if (entry) {
+        logger.info(`${logPrefix} Using warm container ${entry.container.id.substring(0,12)} (solc ${key}).`);
+    } else {
+        const startedAt = Date.now();
+        entry = await createEntry(key, { foundry });
+        startupMs = Date.now() - startedAt;
+    }
+
+    let released = false;
+    return {
+        workspace: entry.workspace,
+        startupMs,
+        exec: options => execInEntry(entry, { logPrefix, ...options }),
+        release: () => {
+            if (released) return Promise.resolve();
+            released = true;
+            return releaseEntry(entry);
+        },
+    };
+}
+
+/**
+ * Starts pooled containers ahead of the first tool call: TOOL_POOL_SIZE per version (solc versions,
+ * or 'default'). Missing compilers are installed first; versions that cannot be are skipped.
+ */
+export async function warmToolPool(versions = config.toolPoolWarm) {
+    if (config.toolPoolSize <= 0) return;
+    for (const version of versions) {
+        const key = version;
+        if (key !== DEFAULT_KEY) {
+            const install = await installSolcVersions([key]);
+            if (!install.success) {
+                logger.warn(`[ToolPool] Not warming solc ${key}: ${install.error}`);
+                continue;
+            }
+        }
+        try {
+            while ((idle.get(key)?.length || 0) < config.toolPoolSize) park(await createEntry(key, { foundry: false }));
+        } catch (error) {
+            logger.warn(`[ToolPool] Failed to warm a container for solc ${key}: ${error.message}`);
+        }
+    }
+}
+
+/** Removes the idle containers and the Foundry template; containers in use are removed at release. */
+export async function closeToolPool() {
+    closed = true;
+    const entries = [...idle.values()].flat();
+    idle.clear();
+    await Promise.all(entries.map(removeEntry));
+    const template = await templatePromise?.catch(() => null);
+    if (template) await fs.rm(template.dir, { recursive: true, force: true }).catch(() => {});
+    templatePromise = null;
+}
@@ -0,0 +1,295 @@
+// src/finding-normalizer.js
+import { SEVERITY_LEVELS } from './report-schema.js';
+
+export const SCORING_VERSION = 1;
+
+/*
+ * Deterministic post-processing of the model's report, run between finalizeAuditReport and delivery,
+ * so the same findings always produce the same classes, severities and score:
+ *
+ *  1. Classify: every finding gets a `class_id` from FINDING_CLASSES (an SWC ID where one exists,
+ *     a custom 'HAI-N' ID otherwise), from its detector or else keywords in its title/description.
+ *  2. Match: findings are matched to the detector results of the analyzers that ran (Slither,
+ *     Mythril, ... see analyzers.js), by the finding's `detector` and `location` when given,
+ *     otherwise by class (when that is unambiguous).
+ *  3. Severity: matched findings take their severity from the detector's impact x confidence
+ *     (TOOL_SEVERITY). The analyzers have no Critical level, so a model 'Critical' is kept on a tool 'High'.
+ *     Unmatched findings keep the model's severity. The model's severity is kept as `model_severity`.
+ *  4. Merge: findings of the same contract and class that point at the same detector result or at
+ *     overlapping lines (or, without line locations, have the same title) become one finding. Their
+ *     descriptions, recommendations and confirmations are all kept.
+ *  5. Score: 100 * product over findings of (1 - SEVERITY_PENALTY[severity]), rounded.
+ *     E.g. one High -> 80, one Critical and one Medium -> 55. The model's score is kept as `model_score`.
+ *
+ * Detector results the model did not report are not added: it triages false positives.
+ */
+
+// Weight of one finding in the score formula.
+export const SEVERITY_PENALTY = {
+    Critical: 0.4,
+    High: 0.2,
+    Medium: 0.08,
+    Low: 0.02,
+    Informational: 0,
+    Optimization: 0,
+};
+
+// Detector impact -> confidence -> report severity.
+const TOOL_SEVERITY = {
+    High: { High: 'High', Medium: 'High', Low: 'Medium' },
+    Medium: { High: 'Medium', Medium: 'Medium', Low: 'Low' },
+    Low: { High: 'Low', Medium: 'Low', Low: 'Informational' },
+    Informational: { High: 'Informational', Medium: 'Informational', Low: 'Informational' },
+    Optimization: { High: 'Optimization', Medium: 'Optimization', Low: 'Optimization' },
+};
+
+// Order matters: the first class whose keywords match the title (then the description) wins.
+export const FINDING_CLASSES = [
+    { id: 'SWC-107', title: 'Reentrancy', detectors: ['reentrancy-eth', 'reentrancy-no-eth', 'reentrancy-benign', 'reentrancy-events', 'reentrancy-unlimited-gas'], keywords: /re-?entran/i },
+    { id: 'SWC-115', title: 'Authorization through tx.origin', detectors: ['tx-origin'], keywords: /tx\.origin/i },
+    { id: 'SWC-106', title: 'Unprotected SELFDESTRUCT', detectors: ['suicidal'], keywords: /selfdestruct|suicid/i },
+    { id: 'SWC-112', title: 'Delegatecall to Untrusted Callee', detectors: ['controlled-delegatecall', 'delegatecall-loop'], keywords: /delegatecall/i },
+    { id: 'SWC-105', title: 'Unprotected Ether Withdrawal', detectors: ['arbitrary-send-eth', 'arbitrary-send-erc20', 'arbitrary-send-erc20-permit'], keywords: /arbitrary (send|transfer)|unprotected (ether |eth )?withdraw/i },
+    { id: 'SWC-101', title: 'Integer Overflow and Underflow', detectors: [], keywords: /overflow|underflow/i },
+    { id: 'SWC-104', title: 'Unchecked Call Return Value', detectors: ['unchecked-lowlevel', 'unchecked-send', 'unchecked-transfer', 'unused-return'], keywords: /unchecked (low-level )?(call|send|transfer)|return value/i },
+    { id: 'SWC-120', title: 'Weak Sources of Randomness', detectors: ['weak-prng'], keywords: /random/i },
+    { id: 'SWC-116', title: 'Block Values as a Proxy for Time', detectors: ['timestamp'], keywords: /timestamp/i },
+    { id: 'SWC-114', title: 'Transaction Order Dependence', detectors: [], keywords: /front-?run|transaction order|race condition/i },
+    { id: 'SWC-113', title: 'DoS with Failed Call', detectors: ['calls-loop'], keywords: /denial of service|\bdos\b|calls? (inside|in) a loop/i },
+    { id: 'SWC-128', title: 'DoS With Block Gas Limit', detectors: ['costly-loop'], keywords: /gas limit|unbounded (loop|array)/i },
+    { id: 'SWC-109', title: 'Uninitialized Storage Pointer', detectors: ['uninitialized-storage', 'uninitialized-state', 'uninitialized-local'], keywords: /uninitiali[sz]ed/i },
+    { id: 'SWC-119', title: 'Shadowing State Variables', detectors: ['shadowing-state', 'shadowing-abstract', 'shadowing-local', 'shadowing-builtin'], keywords: /shadow/i },
+    { id: 'SWC-111', title: 'Use of Deprecated Solidity Functions', detectors: ['deprecated-standards'], keywords: /deprecated/i },
+    { id: 'SWC-102', title: 'Outdated Compiler Version', detectors: ['solc-version'], keywords: /outdated compiler|compiler version|solc version/i },
+    { id: 'SWC-103', title: 'Floating Pragma', detectors: ['pragma'], keywords: /(floating|unlocked|unfixed) pragma|pragma (is )?not (locked|fixed)/i },
+    { id: 'SWC-131', title: 'Presence of Unused Variables', detectors: ['unused-state', 'unused-variable'], keywords: /unused (state )?variable/i },
+    { id: 'HAI-1', title: 'Access Control', detectors: ['unprotected-upgrade', 'protected-vars'], keywords: /access control|only ?owner|unauthori[sz]ed|missing (access|permission|authori)|privilege|centraliz/i },
+    { id: 'HAI-2', title: 'Missing Input Validation', detectors: ['missing-zero-check'], keywords: /zero.address|input validation|missing (check|validation)/i },
+    { id: 'HAI-3', title: 'Missing Events', detectors: ['events-access', 'events-maths'], keywords: /missing events?|events? (is |are )?not emitted|event emission/i },
+    { id: 'HAI-4', title: 'Arithmetic Precision', detectors: ['divide-before-multiply'], keywords: /precision|rounding|divide before multiply|division before multiplication/i },
+    { id: 'HAI-5', title: 'Locked Ether', detectors: ['locked-ether'], keywords: /locked (ether|eth|funds|hbar)/i },
+    { id: 'HAI-6', title: 'Hedera Token Service Integration', detectors: [], keywords: /\bHTS\b|token service|precompile/i },
+    { id: 'HAI-7', title: 'Oracle and Price Manipulation', detectors: [], keywords: /oracle|price manipulation/i },
+    { id: 'HAI-8', title: 'Gas Optimization', detectors: ['constable-states', 'immutable-states', 'external-function', 'cache-array-length'], keywords: /gas optimi[sz]|save gas|gas saving/i },
+    { id: 'HAI-9', title: 'Code Quality', detectors: ['naming-convention', 'too-many-digits', 'dead-code', 'assembly', 'low-level-calls', 'similar-names', 'missing-inheritance', 'redundant-statements', 'boolean-equal'], keywords: /naming convention|dead code|assembly|low-level call|code quality|style/i },
+];
+
+export const UNCLASSIFIED = { id: 'HAI-0', title: 'Unclassified' };
+
+const MAX_DETECTOR_RESULTS = 200;
+const MAX_DETECTOR_DESCRIPTION_LENGTH = 300;
+
+function classById(id) {
+    return FINDING_CLASSES.find(cls => cls.id === id) || UNCLASSIFIED;
+}
+
+function classForDetector(check) {
+    return FINDING_CLASSES.find(cls => cls.detectors.includes(check)) || null;
+}
+
+function classForText(...texts) {
+    for (const text of texts) {
+        const match = FINDING_CLASSES.find(cls => cls.keywords.test(text || ''));
+        if (match) return match;
+    }
+    return UNCLASSIFIED;
+}
+
+// Class ID for an analyzer's message, or null (see analyzers.js).
+export function classIdForText(...texts) {
+    const match = classForText(...texts);
+    return match === UNCLASSIFIED ? null : match.id;
+}
+
+// Class of a detector result: the one its analyzer assigned, else the class of its Slither check.
+function detectorClass(detector) {
+    return (detector.class_id && FINDING_CLASSES.find(cls => cls.id === detector.class_id)) || classForDetector(detector.check);
+}
+
+/**
+ * Extracts compact detector results from a Slither JSON output, for the tool state. The other
+ * analyzers produce the same format, with their `tool` and possibly a `class_id` (see analyzers.js).
+ * @returns {{contract_id: string, check: string, impact: string, confidence: string, description: string, file: string|null, lines: number[]|null}[]}
+ */
+export function extractSlitherDetectors(output, contractId) {
+    const detectors = output && typeof output === 'object' ? output.results?.detectors : null;
+    if (!Array.isArray(detectors)) return [];
+    return detectors.map(detector => {
+        const mapping = (detector.elements || []).map(element => element.source_mapping).find(m => m?.lines?.length);
+        return {
+            contract_id: contractId,
+            check: detector.check,
+            impact: detector.impact,
+            confidence: detector.confidence,
+            description: String(detector.description || '').trim().slice(0, MAX_DETECTOR_DESCRIPTION_LENGTH),
+            file: mapping?.filename_relative || null,
+            lines: mapping ? [Math.min(...mapping.lines), Math.max(...mapping.lines)] : null,
+        };
+    });
+}
+
+// Appends new detector results, skipping ones already recorded (e.g. when an analyzer runs twice).
+function detectorKey(result) {
+    return JSON.stringify([result.tool || 'slither', result.contract_id, result.check, result.file, result.lines]);
+}
+
+export function mergeDetectorResults(existing = [], added = []) {
+    const merged = [...existing];
+    const keys = new Set(existing.map(detectorKey));
+    for (const result of added) {
+        const key = detectorKey(result);
+        if (keys.has(key) || merged.length >= MAX_DETECTOR_RESULTS) continue;
+        keys.add(key);
+        merged.push(result);
+    }
+    return merged;
+}
+
+// Paths match when one is a suffix of the other (tools and the model report them relative to different roots).
+export function sameFile(a, b) {
+    if (!a || !b) return false;
+    const normalize = file => file.replace(/\\/g, '/').replace(/^\.?\//, '');
+    const [x, y] = [normalize(a), normalize(b)];
+    return x === y || x.endsWith(`/${y}`) || y.endsWith(`/${x}`);
+}
+
+// Locations overlap when they name the same file and (if both have lines) intersecting line ranges.
+function locationsOverlap(a, b) {
+    if (!a?.file || !b?.file || !sameFile(a.file, b.file)) return false;
+    if (!a.lines?.length || !b.lines?.length) return true;
+    const [aStart, aEnd = aStart] = a.lines;
+    const [bStart, bEnd = bStart] = b.lines;
+    return aStart <= bEnd && bStart <= aEnd;
+}
+
+function sameContract(finding, detector) {
+    return !finding.contract_id || finding.contract_id === detector.contract_id;
+}
+
+// Returns the index of the detector result a finding refers to, or -1.
+function matchDetector(finding, findingClass, detectorResults) {
+    const byCheck = finding.detector
+        ? detectorResults.map((d, i) => [d, i]).filter(([d]) => d.check === finding.detector && sameContract(finding, d))
+        : detectorResults.map((d, i) => [d, i]).filter(([d]) => detectorClass(d)?.id === findingClass.id && sameContract(finding, d));
+    if (byCheck.length === 0) return -1;
+    if (finding.location?.file) {
+        const located = byCheck.find(([d]) => locationsOverlap(finding.location, d));
+        if (located) return located[1];
+        if (!finding.detector) return -1;
+    }
+    // Without a location, only an unambiguous match (a single check) is used.
+    return finding.detector || new Set(byCheck.map(([d]) => d.check)).size === 1 ? byCheck[0][1] : -1;
+}
+
+function severityRank(severity) {
+    const rank = SEVERITY_LEVELS.indexOf(severity);
+    return rank === -1 ? SEVERITY_LEVELS.length : rank;
+}
+
+function normalizeTitle(title) {
+    return String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function classifyFinding(finding, detectorResults) {
+    const declaredDetector = finding.detector ? detectorResults.find(d => d.check === finding.detector) : null;
+    const declaredClass = finding.detector ? classForDetector(finding.detector) || (declaredDetector && detectorClass(declaredDetector)) : null;
+    const findingClass = declaredClass || classForText(finding.title, finding.description);
+    const detectorIndex = matchDetector(finding, findingClass, detectorResults);
+    const detector = detectorIndex === -1 ? null : detectorResults[detectorIndex];
+    const normalized = {
+        ...finding,
+        class_id: (detector && detectorClass(detector)?.id) || findingClass.id,
+        sources: detector ? ['model', detector.tool || 'slither'] : ['model'],
+    };
+    normalized.category = classById(normalized.class_id).title;
+
+    if (detector) {
+        const toolSeverity = TOOL_SEVERITY[detector.impact]?.[detector.confidence];
+        normalized.detector = detector.check;
+        normalized.tool_impact = detector.impact;
+        normalized.tool_confidence = detector.confidence;
+        if (!normalized.location && detector.file) normalized.location = { file: detector.file, ...(detector.lines ? { lines: detector.lines } : {}) };
+        if (toolSeverity) {
+            normalized.severity = toolSeverity === 'High' && finding.severity === 'Critical' ? 'Critical' : toolSeverity;
+        }
+    }
+    if (normalized.severity !== finding.severity) normalized.model_severity = finding.severity;
+    return { finding: normalized, detectorIndex };
+}
+
+function hasLines(location) {
+    return Boolean(location?.file && location.lines?.length);
+}
+
+function isDuplicate(a, b) {
+    if ((a.finding.contract_id || null) !== (b.finding.contract_id || null)) return false;
+    if (a.finding.class_id !== b.finding.class_id) return false;
+    if (a.detectorIndex !== -1 && a.detectorIndex === b.detectorIndex) return true;
+    if (hasLines(a.finding.location) && hasLines(b.finding.location)) {
+        return a.finding.class_id !== UNCLASSIFIED.id && locationsOverlap(a.finding.location, b.finding.location);
+    }
+    return normalizeTitle(a.finding.title) === normalizeTitle(b.finding.title);
+}
+
+function joinDistinct(values) {
+    const distinct = [...new Set(values.filter(value => typeof value === 'string' && value.trim() && value.trim() !== 'N/A'))];
+    return distinct.join('\n\n');
+}
+
+function mergeGroup(group) {
+    if (group.length === 1) return group[0].finding;
+    const members = [...group].sort((a, b) => severityRank(a.finding.severity) - severityRank(b.finding.severity));
+    const primary = members[0].finding;
+    const details = members.map(member => member.finding.details).filter(detail => detail !== undefined);
+    const mergedTitles = [...new Set(members.slice(1).map(member => member.finding.title).filter(title => title !== primary.title))];
+    return {
+        ...primary,
+        description: joinDistinct(members.map(member => member.finding.description)) || primary.description,
+        recommendation: joinDistinct(members.map(member => member.finding.recommendation)) || primary.recommendation,
+        confirmation: joinDistinct(members.map(member => member.finding.confirmation)) || primary.confirmation,
+        ...(details.length > 1 ? { details } : {}),
+        sources: [...new Set(members.flatMap(member => member.finding.sources))],
+        ...(mergedTitles.length > 0 ? { merged_titles: mergedTitles } : {}),
+    };
+}
+
+/**
+ * Computes the report score from the (normalized) findings.
+ * @param {{severity: string}[]} findings
+ * @returns {number} 0-100
+ */
+export function computeScore(findings) {
+    const remaining = findings.reduce((product, finding) => product * (1 - (SEVERITY_PENALTY[finding.severity] ?? 0)), 1);
+    return Math.round(100 * remaining);
+}
+
+/**
+ * Normalizes a validated report: classification, severity, deduplication and scoring (see above).
+ * @param {object} report - Report accepted by finalizeAuditReport.
+ * @param {object} [options]
+ * @param {object[]} [options.detectorResults] - Detector results of the analyzers, collected during the audit.
+ * @returns {object} A new report; the input is not modified.
+ */
+export function normalizeReport(report, { detectorResults = [] } = {}) {
+    const classified = (report.findings || []).map(finding => classifyFinding(finding, detectorResults));
+
+    const groups = [];
+    for (const entry of classified) {
+        const group = groups.find(candidate => candidate.some(member => isDuplicate(member, entry)));
+        if (group) group.push(entry);
+        else groups.push([entry]);
+    }
+
+    const findings = groups
+        .map(mergeGroup)
+        .sort((a, b) => severityRank(a.severity) - severityRank(b.severity))
+        .map((finding, index) => ({ id: `F-${index + 1}`, ...finding }));
+
+    return {
+        ...report,
+        findings,
+        score: computeScore(findings),
+        model_score: report.score,
+        scoring_version: SCORING_VERSION,
+    };
+}
@@ -0,0 +1,161 @@
+// src/function-signatures.js
+
+/*
+ * Bundled function selector database for bytecode-only analysis (see bytecode-analyzer.js).
+ * Selectors are the first 4 bytes of keccak256(signature). The list is deliberately small: common
+ * token, access-control, proxy and DeFi interfaces, whose presence says what an unverified contract
+ * does and which privileged entry points it exposes.
+ */
+
+export const FUNCTION_SIGNATURES = {
+    // ERC-20
+    '0x18160ddd': 'totalSupply()',
+    '0x70a08231': 'balanceOf(address)',
+    '0xa9059cbb': 'transfer(address,uint256)',
+    '0x23b872dd': 'transferFrom(address,address,uint256)',
+    '0x095ea7b3': 'approve(address,uint256)',
+    '0xdd62ed3e': 'allowance(address,address)',
+    '0x06fdde03': 'name()',
+    '0x95d89b41': 'symbol()',
+    '0x313ce567': 'decimals()',
+    '0x39509351': 'increaseAllowance(address,uint256)',
+    '0xa457c2d7': 'decreaseAllowance(address,uint256)',
+    '0xd505accf': 'permit(address,address,uint256,uint256,uint8,bytes32,bytes32)',
+    '0x7ecebe00': 'nonces(address)',
+    '0x3644e515': 'DOMAIN_SEPARATOR()',
+    // ERC-721
+    '0x6352211e': 'ownerOf(uint256)',
+    '0x42842e0e': 'safeTransferFrom(address,address,uint256)',
+    '0xb88d4fde': 'safeTransferFrom(address,address,uint256,bytes)',
+    '0xa22cb465': 'setApprovalForAll(address,bool)',
+    '0xe985e9c5': 'isApprovedForAll(address,address)',
+    '0x081812fc': 'getApproved(uint256)',
+    '0xc87b56dd': 'tokenURI(uint256)',
+    '0x01ffc9a7': 'supportsInterface(bytes4)',
+    '0x6c0360eb': 'baseURI()',
+    '0x4f6ccce7': 'tokenByIndex(uint256)',
+    '0x2f745c59': 'tokenOfOwnerByIndex(address,uint256)',
+    '0x55f804b3': 'setBaseURI(string)',
+    // ERC-1155
+    '0x4e1273f4': 'balanceOfBatch(address[],uint256[])',
+    '0x2eb2c2d6': 'safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)',
+    '0xf242432a': 'safeTransferFrom(address,address,uint256,uint256,bytes)',
+    '0x0e89341c': 'uri(uint256)',
+    // Ownership
+    '0x8da5cb5b': 'owner()',
+    '0xf2fde38b': 'transferOwnership(address)',
+    '0x715018a6': 'renounceOwnership()',
+    '0xe30c3978': 'pendingOwner()',
+    '0x79ba5097': 'acceptOwnership()',
+    '0x13af4035': 'setOwner(address)',
+    '0x704b6c02': 'setAdmin(address)',
+    // Access control
+    '0x91d14854': 'hasRole(bytes32,address)',
+    '0x2f2ff15d': 'grantRole(bytes32,address)',
+    '0xd547741f': 'revokeRole(bytes32,address)',
+    '0x36568abe': 'renounceRole(bytes32,address)',
+    '0x248a9ca3': 'getRoleAdmin(bytes32)',
+    '0xa217fddf': 'DEFAULT_ADMIN_ROLE()',
+    '0xd5391393': 'MINTER_ROLE()',
+    '0xe63ab1e9': 'PAUSER_ROLE()',
+    // Pausable
+    '0x8456cb59': 'pause()',
+    '0x3f4ba83a': 'unpause()',
+    '0x5c975abb': 'paused()',
+    // Supply
+    '0x40c10f19': 'mint(address,uint256)',
+    '0xa0712d68': 'mint(uint256)',
+    '0x42966c68': 'burn(uint256)',
+    '0x9dc29fac': 'burn(address,uint256)',
+    '0x79cc6790': 'burnFrom(address,uint256)',
+    '0xa1448194': 'safeMint(address,uint256)',
+    '0x40d097c3': 'safeMint(address)',
+    '0x355274ea': 'cap()',
+    // Funds
+    '0xd0e30db0': 'deposit()',
+    '0x3ccfd60b': 'withdraw()',
+    '0x2e1a7d4d': 'withdraw(uint256)',
+    '0xf3fef3a3': 'withdraw(address,uint256)',
+    '0xdb2e21bc': 'emergencyWithdraw()',
+    '0x01681a62': 'sweep(address)',
+    '0x69fe0e2d': 'setFee(uint256)',
+    '0xf0f44260': 'setTreasury(address)',
+    '0x57376198': 'rescueTokens(address,uint256)',
+    // Execution
+    '0xb61d27f6': 'execute(address,uint256,bytes)',
+    '0xac9650d8': 'multicall(bytes[])',
+    '0x8129fc1c': 'initialize()',
+    '0x41c0e1b5': 'kill()',
+    '0x83197ef0': 'destroy()',
+    // Proxy
+    '0x5c60da1b': 'implementation()',
+    '0x3659cfe6': 'upgradeTo(address)',
+    '0x4f1ef286': 'upgradeToAndCall(address,bytes)',
+    '0x8f283970': 'changeAdmin(address)',
+    '0xf851a440': 'admin()',
+    '0x52d1902d': 'proxiableUUID()',
+    '0x9623609d': 'upgradeAndCall(address,address,bytes)',
+    '0x204e1c7a': 'getProxyImplementation(address)',
+    '0xf3b7dead': 'getProxyAdmin(address)',
+    // Staking
+    '0xa694fc3a': 'stake(uint256)',
+    '0x2e17de78': 'unstake(uint256)',
+    '0x4e71d92d': 'claim()',
+    '0x372500ab': 'claimRewards()',
+    '0x3d18b912': 'getReward()',
+    '0xe9fad8ee': 'exit()',
+    '0x008cc262': 'earned(address)',
+    '0x7b0a47ee': 'rewardRate()',
+    // AMM
+    '0x38ed1739': 'swapExactTokensForTokens(uint256,uint256,address[],address,uint256)',
+    '0x7ff36ab5': 'swapExactETHForTokens(uint256,address[],address,uint256)',
+    '0x18cbafe5': 'swapExactTokensForETH(uint256,uint256,address[],address,uint256)',
+    '0xe8e33700': 'addLiquidity(address,address,uint256,uint256,uint256,uint256,address,uint256)',
+    '0xbaa2abde': 'removeLiquidity(address,address,uint256,uint256,uint256,address,uint256)',
+    '0xd06ca61f': 'getAmountsOut(uint256,address[])',
+    '0xc45a0155': 'factory()',
+    '0xad5c4648': 'WETH()',
+    '0x0902f1ac': 'getReserves()',
+    '0x022c0d9f': 'swap(uint256,uint256,address,bytes)',
+    '0xfff6cae9': 'sync()',
+    '0xbc25cf77': 'skim(address)',
+    '0x0dfe1681': 'token0()',
+    '0xd21220a7': 'token1()',
+};
+
+// Functions of the Hedera system contracts: Token Service (0x167), Exchange Rate (0x168) and PRNG (0x169).
+export const HEDERA_SYSTEM_SIGNATURES = {
+    '0x49146bde': 'associateToken(address,address)',
+    '0x2e63879b': 'associateTokens(address,address[])',
+    '0x099794e8': 'dissociateToken(address,address)',
+    '0x78b63918': 'dissociateTokens(address,address[])',
+    '0xeca36917': 'transferToken(address,address,address,int64)',
+    '0x82bba493': 'transferTokens(address,address[],int64[])',
+    '0x5cfc9011': 'transferNFT(address,address,address,int64)',
+    '0x2c4ba191': 'transferNFTs(address,address[],address[],int64[])',
+    '0xe0f4059a': 'mintToken(address,int64,bytes[])',
+    '0xd6910d06': 'burnToken(address,int64,int64[])',
+    '0xefef57f9': 'wipeTokenAccount(address,address,int64)',
+    '0xe1f21c67': 'approve(address,address,uint256)',
+    '0x15dacbea': 'transferFrom(address,address,address,uint256)',
+    '0x9b23d3d9': 'transferFromNFT(address,address,address,uint256)',
+    '0x927da105': 'allowance(address,address,address)',
+    '0x367605ca': 'setApprovalForAll(address,address,bool)',
+    '0xf49f40db': 'isApprovedForAll(address,address,address)',
+    '0x098f2366': 'getApproved(address,uint256)',
+    '0x5b8f8584': 'freezeToken(address,address)',
+    '0x52f91387': 'unfreezeToken(address,address)',
+    '0x46de0fb1': 'isFrozen(address,address)',
+    '0x8f8d7f99': 'grantTokenKyc(address,address)',
+    '0xaf99c633': 'revokeTokenKyc(address,address)',
+    '0xf2c31ff4': 'isKyc(address,address)',
+    '0x7c41ad2c': 'pauseToken(address)',
+    '0x3b3bff0f': 'unpauseToken(address)',
+    '0xf069f712': 'deleteToken(address)',
+    '0x19f37361': 'isToken(address)',
+    '0x93272baf': 'getTokenType(address)',
+    '0x618dc65e': 'redirectForToken(address,bytes)',
+    '0x2e3cff6a': 'tinycentsToTinybars(uint256)',
+    '0x43a88229': 'tinybarsToTinycents(uint256)',
+    '0xd83bf9a1': 'getPseudorandomSeed()',
+};
@@ -0,0 +1,148 @@
+// src/hcs-progress.js
+import { config } from './config.js';
+import { logger } from './utils.js';
+import { sendProgressMessage } from './hedera-hcs.js';
+import { getAnalyzer } from './analyzers.js';
+
+export const HCS_PROGRESS_VERSION = 1;
+
+/*
+ * Interim progress updates for HCS-10 requesters, posted on the connection topic as
+ * `message` operations between `connection_created` and the final HRL.
+ *
+ * Only milestones are posted, as JSON in the message's `data` field:
+ *   { type: 'audit_progress', version, contract_id, seq, stage, step, max_steps, ...details }
+ * with stage-specific details:
+ *   sources_fetched    { target }              (verified sources of a contract were fetched)
+ *   analysis_started   { tool }                (analyzer name, e.g. 'slither'; see analyzers.js)
+ *   analysis_finished  { tool, success }
+ *   poc_test           { test, file, passed }  (test: 1-based count of Forge PoC runs)
+ *   report_inscribing  { status }              (final report is being inscribed; the HRL follows)
+ *
+ * Every message costs a topic fee, so updates are throttled: at most one per `minIntervalMs`
+ * (newer milestones replace a waiting one) and at most `maxMessages` per audit. The last slot
+ * is reserved for `report_inscribing`, which is never delayed. The fees are billed to the audit's
+ * HBAR budget (see setBudget()); once it is exhausted, no more updates are posted.
+ */
+
+// Analyzer of a runAuditToolInDocker call from its toolName (name and extra arguments), without the arguments.
+function analyzerName(toolName) {
+    return getAnalyzer(String(toolName || '').trim().split(/\s+/)[0])?.name;
+}
+
+/**
+ * Creates the progress listener of one audit, to pass to withProgress() (see audit-progress.js).
+ * @param {object} options
+ * @param {string} options.connectionTopicId
+ * @param {string} options.contractId
+ * @returns {{ onProgress: (event: object) => void, setBudget: (budget: object) => void, close: () => void }}
+ */
+export function createHcsProgressReporter({
+    connectionTopicId,
+    contractId,
+    send = sendProgressMessage,
+    minIntervalMs = config.hcsProgressMinIntervalMs,
+    maxMessages = config.hcsProgressMaxMessages,
+    maxSteps = config.maxAuditSteps,
+}) {
+    let step = 0;
+    let seq = 0;
+    let pocTests = 0;
+    let lastTarget = null;
+    let lastAnalyzer;
+    let lastSentAt = 0;
+    let pending = null;
+    let timer = null;
+    let closed = false;
+    let budget = null;
+    let sendChain = Promise.resolve();
+
+    // Sends are chained so updates arrive in order.
+    function transmit(milestone) {
+        const message = {
+            type: 'audit_progress',
+            version: HCS_PROGRESS_VERSION,
+            contract_id: contractId,
+            seq: ++seq,
+            ...milestone,
+            step,
+            max_steps: maxSteps,
+        };
+        lastSentAt = Date.now();
+        sendChain = sendChain
+            .then(() => send(connectionTopicId, message, { onFee: budget?.recordHbar }))
+            .catch(error => logger.warn(`[HCS Progress] Failed to post '${message.stage}' update to ${connectionTopicId}: ${error.message}`));
+    }
+
+    function offer(milestone, { final = false } = {}) {
+        if (closed) return;
+        if (budget?.status().exhausted.includes('hbarTinybars')) {
+            logger.debug(`[HCS Progress] HBAR budget exhausted; dropping '${milestone.stage}' update to ${connectionTopicId}.`);
+            return;
+        }
+        if (seq >= (final ? maxMessages : maxMessages - 1)) {
+            logger.debug(`[HCS Progress] Update limit reached for ${connectionTopicId}; dropping '${milestone.stage}'.`);
+            return;
+        }
+        const wait = lastSentAt + minIntervalMs - Date.now();
+        if (final || wait <= 0) {
+            clearTimeout(timer);
+            timer = null;
+            pending = null;
+            transmit(milestone);
+            return;
+        }
+        pending = milestone;
+        timer ??= setTimeout(() => {
+            timer = null;
+            const next = pending;
+            pending = null;
+            if (next) offer(next);
+        }, wait);
+    }
+
+    return {
+        onProgress(event) {
+            switch (event.stage) {
+                case 'resumed':
+                case 'model_turn':
+                    step = event.step;
+                    break;
+                case 'tool_started':
+                    lastTarget = event.target;
+                    if (event.tool === 'runAuditToolInDocker') {
+                        lastAnalyzer = analyzerName(event.target);
+                        offer({ stage: 'analysis_started', tool: lastAnalyzer });
+                    }
+                    break;
+                case 'tool_finished':
+                    if (event.tool === 'getSourceCode' && event.success) {
+                        offer({ stage: 'sources_fetched', target: lastTarget });
+                    } else if (event.tool === 'runAuditToolInDocker') {
+                        offer({ stage: 'analysis_finished', tool: lastAnalyzer, success: event.success });
+                    } else if (event.tool === 'executeSolidityTest') {
+                        offer({ stage: 'poc_test', test: ++pocTests, file: lastTarget, passed: event.success });
+                    }
+                    break;
+                case 'finished':
+                    offer({ stage: 'report_inscribing', status: event.status }, { final: true });
+                    closed = true;
+                    break;
+                default:
+                    break;
+            }
+        },
+
+        // Budget of the audit (see audit-budget.js), created or restored by processAuditRequest().
+        setBudget(auditBudget) {
+            budget = auditBudget;
+        },
+
+        close() {
+            closed = true;
+            clearTimeout(timer);
+            timer = null;
+            pending = null;
+        },
+    };
+}
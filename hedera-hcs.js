@@ -14,12 +14,14 @@ import {
 import fs from 'fs/promises';
 import path from 'path';
 import { config } from './config.js';
-import { logger } from './utils.js';
+import { logger, mirrorNodeBaseUrl } from './utils.js';
 
 const HCS_STATE_FILE = path.resolve('./hcs_state.json');
 const MAX_RETRIES = 5;
 const INITIAL_BACKOFF_MS = 1000;
 const MAX_MESSAGE_SIZE_BYTES = 1024;
+const MAX_INSCRIPTION_READ_BYTES = 5 * 1024 * 1024;
+export const HRL_PATTERN = /\bhcs:\/\/1\/(0\.0\.\d+)\b/;
 
 let hederaClient = null;
 let isSubscribing = false;
@@ -81,7 +83,7 @@ async function createConnectionTopic(requesterAccountId, requesterInboundTopicId
     return receipt.topicId;
 }
 
-export async function handleConnectionRequest(message, processAuditRequestCallback) {
+export async function handleConnectionRequest(message, enqueueAuditRequestCallback) {
     try {
         if (!message || !message.contents) {
             throw new Error("Invalid message object received by handler.");
@@ -133,8 +135,13 @@ export async function handleConnectionRequest(message, processAuditRequestCallba
             return;
         }
 
-        const contractIdMatch = auditQueryString.match(/\b(0\.0\.\d+)\b/);
-        const contractIdFromUser = contractIdMatch ? contractIdMatch[1] : null;
+        // A previous report HRL makes this a re-audit (see report-diff.js). Its topic ID is not a contract ID.
+        const previousReportHrl = auditQueryString.match(HRL_PATTERN)?.[0] || null;
+        const queryWithoutHrls = auditQueryString.replace(/\bhcs:\/\/\d+\/0\.0\.\d+\b/g, ' ');
+
+        // Every distinct contract ID in the query is audited together, in order of appearance.
+        const contractIdsFromUser = [...new Set(queryWithoutHrls.match(/\b0\.0\.\d+\b/g) || [])].slice(0, config.maxContractsPerAudit);
+        const contractIdFromUser = contractIdsFromUser[0] || null;
         if (!contractIdFromUser) {
             logger.error(`[HCS-10 Handler] Could not extract contract ID from query: "${auditQueryString}". Skipping audit.`);
             const errorPayload = buildHcs10Message("message", getOperatorId(), { data: `Error: Could not parse contract ID from your request.` });
@@ -142,14 +149,17 @@ export async function handleConnectionRequest(message, processAuditRequestCallba
             return;
         }
 
-        logger.info(`[HCS-10 Handler] Extracted contract ID ${contractIdFromUser}. Starting audit process...`);
-        await processAuditRequestCallback({
+        logger.info(`[HCS-10 Handler] Extracted contract ID(s) ${contractIdsFromUser.join(', ')}${previousReportHrl ? ` (re-audit against ${previousReportHrl})` : ''}. Queueing audit job...`);
+        await enqueueAuditRequestCallback({
             user_query: auditQueryString,
             contract_id_from_user: contractIdFromUser,
+            contract_ids_from_user: contractIdsFromUser,
             reply_topic_id: connectionTopicId.toString(),
-            requestor_account_id: requesterAccountId
+            requestor_account_id: requesterAccountId,
+            request_sequence_number: Number(requestSequenceNumber),
+            ...(previousReportHrl ? { previous_report_hrl: previousReportHrl } : {})
         });
-        logger.info(`[HCS-10 Handler] processAuditRequest initiated for request #${requestSequenceNumber}.`);
+        logger.info(`[HCS-10 Handler] Audit job queued for request #${requestSequenceNumber}.`);
 
     } catch (error) {
         logger.error(`[HCS-10] Error handling connection request: ${error.message}`);
@@ -171,6 +181,18 @@ async function saveLastTimestamp(timestamp) {
     }
 }
 
+// Passes the fee charged for a transaction (in tinybars) to `onFee`.
+// Fetching the record is a paid query, so this only runs when a caller is counting.
+async function reportTransactionFee(txResponse, client, onFee) {
+    if (!onFee) return;
+    try {
+        const record = await txResponse.getRecord(client);
+        onFee(record.transactionFee.toTinybars().toNumber());
+    } catch (error) {
+        logger.warn(`[HCS Fees] Could not fetch transaction record for fee accounting: ${error.message}`);
+    }
+}
+
 function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
@@ -278,7 +300,12 @@ export async function listenForAuditRequests(auditProcessorCallback) {
     }
 }
 
-export async function sendAuditResult(connectionTopicId, contractId, resultData, attempt = 1) {
+/**
+ * Inscribes the final payload with HCS-1 and sends its HRL to the connection topic.
+ * Rendered copies in `attachments` ({ markdown: '...', html: '...' }) are inscribed too and their
+ * HRLs listed in the message's `attachments` field; a failed attachment is logged and left out.
+ */
+export async function sendAuditResult(connectionTopicId, contractId, resultData, { onFee, attachments = {} } = {}) {
     try {
         const client = await initializeHederaClient();
         logger.info(`[HCS-10 Sender] Entered sendAuditResult for ${contractId} to Connection Topic ${connectionTopicId}`);
@@ -286,29 +313,87 @@ export async function sendAuditResult(connectionTopicId, contractId, resultData,
         const fullReportString = JSON.stringify(resultData);
         logger.info(`[HCS-10 Sender] Calling inscribeDataToTopic for report size ${Buffer.byteLength(fullReportString, 'utf8')} bytes...`);
 
-        const reportContentTopicId = await inscribeDataToTopic(fullReportString);
+        const reportContentTopicId = await inscribeDataToTopic(fullReportString, { onFee });
         if (!reportContentTopicId) {
             throw new Error("Failed to inscribe audit report data using HCS-1.");
         }
         logger.info(`[HCS-10 Sender] Inscribed full report for ${contractId} to HCS-1 topic ${reportContentTopicId}`);
 
         const hrl = `hcs://1/${reportContentTopicId.toString()}`;
+        const attachmentHrls = {};
+        for (const [format, content] of Object.entries(attachments)) {
+            try {
+                const attachmentTopicId = await inscribeDataToTopic(content, { onFee });
+                if (!attachmentTopicId) throw new Error("inscription returned no topic");
+                attachmentHrls[format] = `hcs://1/${attachmentTopicId.toString()}`;
+                logger.info(`[HCS-10 Sender] Inscribed ${format} report for ${contractId} to HCS-1 topic ${attachmentTopicId}`);
+            } catch (attachmentError) {
+                logger.warn(`[HCS-10 Sender] Could not inscribe ${format} report for ${contractId}: ${attachmentError.message}`);
+            }
+        }
         const hcs10Payload = buildHcs10Message("message", getOperatorId(), {
             data: hrl,
-            m: `Audit result for ${contractId}`
+            m: `Audit result for ${contractId}`,
+            ...(Object.keys(attachmentHrls).length > 0 ? { attachments: attachmentHrls } : {})
         });
 
         logger.info(`[HCS-10 Sender] Sending HRL '${hrl}' to connection topic ${connectionTopicId}`);
-        await submitMessageToTopic(connectionTopicId, hcs10Payload);
+        await submitMessageToTopic(connectionTopicId, hcs10Payload, { onFee });
 
         logger.info(`[HCS-10 Sender] Successfully sent HRL reference for ${contractId} to connection topic ${connectionTopicId}`);
 
     } catch (error) {
-        logger.error(`[HCS-10 Sender Attempt ${attempt}] Error sending HCS-10 result via ${connectionTopicId}: ${error.message}`);
+        logger.error(`[HCS-10 Sender] Error sending HCS-10 result via ${connectionTopicId}: ${error.message}`);
         throw error;
     }
 }
 
+/**
+ * Posts an interim progress update (see hcs-progress.js) to a connection topic as an HCS-10 `message`.
+ * Like submitMessageToTopic, failures are logged and return null instead of throwing.
+ */
+export async function sendProgressMessage(connectionTopicId, progress, { onFee } = {}) {
+    const hcs10Payload = buildHcs10Message("message", getOperatorId(), {
+        data: JSON.stringify(progress),
+        m: `Audit progress for ${progress.contract_id}: ${progress.stage}`
+    });
+    return submitMessageToTopic(connectionTopicId, hcs10Payload, { onFee });
+}
+
+/**
+ * Reads back data inscribed with inscribeDataToTopic (e.g. a previous audit report) from the
+ * Mirror Node: the topic's messages are its chunks, in sequence order. Read-only, so no
+ * operator credentials are needed.
+ * @param {string} hrl - 'hcs://1/<topic_id>'.
+ * @returns {Promise<string>} The inscribed data, as UTF-8.
+ * @throws {Error} If the HRL is invalid or the topic can't be read.
+ */
+export async function readInscription(hrl) {
+    const topicId = String(hrl).match(HRL_PATTERN)?.[1];
+    if (!topicId) throw new Error(`Invalid HRL '${hrl}'. Expected 'hcs://1/0.0.X'.`);
+    const baseUrl = mirrorNodeBaseUrl();
+    if (!baseUrl) throw new Error(`Unsupported network for Mirror Node: ${config.hederaNetwork}`);
+
+    const chunks = [];
+    let size = 0;
+    let nextPath = `/api/v1/topics/${topicId}/messages?order=asc&limit=100`;
+    while (nextPath) {
+        const response = await fetch(`${baseUrl}${nextPath}`, { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) throw new Error(`Mirror Node returned status ${response.status} for topic ${topicId}.`);
+        const page = await response.json();
+        for (const message of page.messages || []) {
+            const chunk = Buffer.from(message.message, 'base64');
+            size += chunk.length;
+            if (size > MAX_INSCRIPTION_READ_BYTES) throw new Error(`Inscription ${hrl} exceeds ${MAX_INSCRIPTION_READ_BYTES} bytes.`);
+            chunks.push(chunk);
+        }
+        nextPath = page.links?.next || null;
+    }
+    if (chunks.length === 0) throw new Error(`Topic ${topicId} has no messages.`);
+    logger.info(`[Inscription Reader] Read ${chunks.length} chunk(s), ${size} bytes, from ${hrl}`);
+    return Buffer.concat(chunks).toString('utf8');
+}
+
 export async function createTopic(memo) {
     try {
         const client = await initializeHederaClient();
@@ -353,7 +438,7 @@ export function getClient() {
     return hederaClient;
 }
 
-export async function submitMessageToTopic(topicId, message) {
+export async function submitMessageToTopic(topicId, message, { onFee } = {}) {
     try {
         const client = await initializeHederaClient();
         if (!client) {
@@ -382,6 +467,7 @@ export async function submitMessageToTopic(topicId, message) {
         const txResponse = await transaction.execute(client);
         logger.info("Fetching transaction receipt for message submission...");
         const receipt = await txResponse.getReceipt(client);
+        await reportTransactionFee(txResponse, client, onFee);
 
         if (receipt.status.toString() !== 'SUCCESS') {
             throw new Error(`Message submission failed with status: ${receipt.status.toString()}`);
@@ -404,7 +490,7 @@ export async function submitMessageToTopic(topicId, message) {
     }
 }
 
-export async function inscribeDataToTopic(data) {
+export async function inscribeDataToTopic(data, { onFee } = {}) {
     let newTopicId = null;
     try {
         const client = await initializeHederaClient();
@@ -426,6 +512,7 @@ export async function inscribeDataToTopic(data) {
 
         const createTxResponse = await createTx.execute(client);
         const createReceipt = await createTxResponse.getReceipt(client);
+        await reportTransactionFee(createTxResponse, client, onFee);
 
         if (createReceipt.status !== Status.Success || !createReceipt.topicId) {
             throw new Error(`Failed to create HCS-1 data topic. Status: ${createReceipt.status.toString()}`);
@@ -457,6 +544,7 @@ export async function inscribeDataToTopic(data) {
 
             const submitTxResponse = await submitTx.execute(client);
             const submitReceipt = await submitTxResponse.getReceipt(client);
+            await reportTransactionFee(submitTxResponse, client, onFee);
 
             if (submitReceipt.status !== Status.Success) {
                 throw new Error(`Failed to submit chunk ${i + 1}/${numChunks} to topic ${newTopicId.toString()}. Status: ${submitReceipt.status.toString()}`);
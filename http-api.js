@@ -0,0 +1,284 @@
+// src/http-api.js
+import http from 'http';
+import crypto from 'crypto';
+import { config } from './config.js';
+import { logger } from './utils.js';
+import { JOB_STATES } from './job-queue.js';
+
+/*
+ * Optional local HTTP API for submitting audits without HCS (enabled with HTTP_API_PORT).
+ *
+ *   POST /audits               { contract_id | contract_ids, query?, previous_report?, analyzers? } -> 202 { id, state, links }
+ *   GET  /audits/:id           Job status and, once finished, the final payload ({ status, report })
+ *   GET  /audits/:id/events    Server-Sent Events: `progress` events (see audit-progress.js), then one `end` event
+ *
+ * Jobs go through the same persistent queue and audit pipeline as HCS requests; only delivery differs
+ * (the payload is stored on the job instead of being inscribed on Hedera). If HTTP_API_TOKEN is set,
+ * every request must send `Authorization: Bearer <token>`. An `Idempotency-Key` header makes retried
+ * submissions return the existing job.
+ */
+
+export const HTTP_CHANNEL = 'http';
+
+const CONTRACT_ID_PATTERN = /^0\.0\.\d+$/;
+const HRL_PATTERN = /^hcs:\/\/1\/0\.0\.\d+$/;
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_QUERY_LENGTH = 2000;
+const SSE_HEARTBEAT_MS = 15000;
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', '::1', 'localhost']);
+const FINISHED_STATES = new Set([JOB_STATES.SUCCEEDED, JOB_STATES.FAILED]);
+
+class HttpError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * In-memory fan-out of progress events per job, with a bounded backlog so late
+ * subscribers (or reconnecting ones, via Last-Event-ID) catch up. Not persisted:
+ * after a restart, streams of older jobs only get the final `end` event.
+ */
+export function createProgressHub({ backlogLimit = 500, jobLimit = 100 } = {}) {
+    const streams = new Map(); // jobId -> { events, listeners, seq, finished }
+
+    function streamFor(jobId) {
+        let stream = streams.get(jobId);
+        if (!stream) {
+            stream = { events: [], listeners: new Set(), seq: 0, finished: false };
+            streams.set(jobId, stream);
+            // Forget the oldest finished streams nobody listens to.
+            for (const [id, old] of streams) {
+                if (streams.size <= jobLimit) break;
+                if (old.finished && old.listeners.size === 0) streams.delete(id);
+            }
+        }
+        return stream;
+    }
+
+    return {
+        publish(jobId, event) {
+            const stream = streamFor(jobId);
+            const entry = { id: ++stream.seq, at: new Date().toISOString(), ...event };
+            stream.events.push(entry);
+            if (stream.events.length > backlogLimit) stream.events.shift();
+            stream.listeners.forEach(listener => listener(entry));
+        },
+
+        // Marks the job's stream as complete; listeners get `null`.
+        finish(jobId) {
+            const stream = streamFor(jobId);
+            stream.finished = true;
+            stream.listeners.forEach(listener => listener(null));
+        },
+
+        /**
+         * Replays backlog events after `lastEventId`, then forwards live ones.
+         * @returns {() => void} Unsubscribe function.
+         */
+        subscribe(jobId, listener, { lastEventId = 0 } = {}) {
+            const stream = streamFor(jobId);
+            stream.events.filter(event => event.id > lastEventId).forEach(listener);
+            if (stream.finished) {
+                listener(null);
+                return () => {};
+            }
+            stream.listeners.add(listener);
+            return () => stream.listeners.delete(listener);
+        },
+    };
+}
+
+/**
+ * Final delivery for HTTP jobs. The queue stores the payload returned by the pipeline
+ * on the job, where GET /audits/:id serves it; nothing is sent over Hedera.
+ */
+export async function deliverViaHttp(payload, { contractId }) {
+    logger.info(`[HttpApi] Final ${payload.status} report for ${contractId} is available via the HTTP API.`);
+}
+
+function jobView(job) {
+    return {
+        id: job.id,
+        state: job.state,
+        contract_ids: job.request.contract_ids_from_user,
+        attempts: job.attempts,
+        created_at: job.createdAt,
+        started_at: job.startedAt,
+        finished_at: job.finishedAt,
+        error: job.state === JOB_STATES.FAILED ? job.lastError : null,
+        result: job.result ?? null,
+        links: { self: `/audits/${job.id}`, events: `/audits/${job.id}/events` },
+    };
+}
+
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+async function readJsonBody(req) {
+    let size = 0;
+    const chunks = [];
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw new HttpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes.`);
+        chunks.push(chunk);
+    }
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+    } catch (error) {
+        throw new HttpError(400, `Invalid JSON body: ${error.message}`);
+    }
+}
+
+function isAuthorized(req, token) {
+    if (!token) return true;
+    const expected = Buffer.from(`Bearer ${token}`);
+    const received = Buffer.from(req.headers.authorization || '');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// Builds the same request shape that hedera-hcs.js produces for a connection_request.
+function auditRequestFromBody(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) throw new HttpError(400, 'Body must be a JSON object.');
+    if (body.contract_ids !== undefined && !Array.isArray(body.contract_ids)) throw new HttpError(400, "'contract_ids' must be an array of contract IDs.");
+    const contractIds = [...new Set(body.contract_ids ?? (body.contract_id ? [body.contract_id] : []))];
+    if (contractIds.length === 0) throw new HttpError(400, "Provide 'contract_id' or 'contract_ids'.");
+    const invalidIds = contractIds.filter(id => typeof id !== 'string' || !CONTRACT_ID_PATTERN.test(id));
+    if (invalidIds.length > 0) throw new HttpError(400, `Invalid contract ID(s): ${invalidIds.map(id => JSON.stringify(id)).join(', ')}. Expected the '0.0.X' format.`);
+    if (contractIds.length > config.maxContractsPerAudit) {
+        throw new HttpError(400, `At most ${config.maxContractsPerAudit} contracts can be audited per request.`);
+    }
+    if (body.query !== undefined && (typeof body.query !== 'string' || body.query.length > MAX_QUERY_LENGTH)) {
+        throw new HttpError(400, `'query' must be a string of at most ${MAX_QUERY_LENGTH} characters.`);
+    }
+    if (body.previous_report !== undefined && (typeof body.previous_report !== 'string' || !HRL_PATTERN.test(body.previous_report))) {
+        throw new HttpError(400, "'previous_report' must be the HRL of a previous report ('hcs://1/0.0.X').");
+    }
+    // Analyzers the model may run for this audit, among those enabled by ANALYZERS.
+    if (body.analyzers !== undefined && (!Array.isArray(body.analyzers) || body.analyzers.length === 0
+        || body.analyzers.some(name => typeof name !== 'string' || !config.analyzers.includes(name.toLowerCase())))) {
+        throw new HttpError(400, `'analyzers' must be a non-empty array of enabled analyzers: ${config.analyzers.join(', ')}.`);
+    }
+
+    const idList = contractIds.join(', ');
+    return {
+        user_query: body.query ? `${body.query}\n\nContract(s) to audit: ${idList}` : `Please audit contract${contractIds.length > 1 ? 's' : ''} ${idList}.`,
+        contract_id_from_user: contractIds[0],
+        contract_ids_from_user: contractIds,
+        reply_topic_id: null,
+        requestor_account_id: HTTP_CHANNEL,
+        channel: HTTP_CHANNEL,
+        ...(body.previous_report ? { previous_report_hrl: body.previous_report } : {}),
+        ...(body.analyzers ? { analyzers: [...new Set(body.analyzers.map(name => name.toLowerCase()))] } : {}),
+    };
+}
+
+function streamEvents(req, res, job, { auditQueue, progressHub }) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-store',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 5000\n\n');
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+    let unsubscribe = () => {};
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+    req.on('close', close);
+
+    const end = () => {
+        const current = auditQueue.getJob(job.id) || job;
+        res.write(`event: end\ndata: ${JSON.stringify(jobView(current))}\n\n`);
+        close();
+        res.end();
+    };
+
+    // Finished jobs replay whatever backlog is still in memory (none after a restart), then end.
+    if (FINISHED_STATES.has(job.state)) progressHub.finish(job.id);
+    unsubscribe = progressHub.subscribe(job.id, event => {
+        if (event === null) {
+            end();
+            return;
+        }
+        res.write(`id: ${event.id}\nevent: progress\ndata: ${JSON.stringify(event)}\n\n`);
+    }, { lastEventId: parseInt(req.headers['last-event-id'] || '0', 10) || 0 });
+}
+
+async function handleRequest(req, res, deps) {
+    const { auditQueue, progressHub, token } = deps;
+    if (!isAuthorized(req, token)) throw new HttpError(401, 'Missing or invalid bearer token.');
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const segments = pathname.split('/').filter(Boolean);
+    if (segments[0] !== 'audits' || segments.length > 3 || (segments.length === 3 && segments[2] !== 'events')) {
+        throw new HttpError(404, `No route for ${req.method} ${pathname}.`);
+    }
+
+    if (segments.length === 1) {
+        if (req.method !== 'POST') throw new HttpError(405, `Method ${req.method} not allowed on ${pathname}.`);
+        const request = auditRequestFromBody(await readJsonBody(req));
+        const idempotencyKey = req.headers['idempotency-key'];
+        const job = await auditQueue.enqueue(request, { dedupeKey: idempotencyKey ? `${HTTP_CHANNEL}:${idempotencyKey}` : null });
+        if (job.request.channel !== HTTP_CHANNEL) throw new HttpError(409, 'Idempotency-Key is already used by another job.');
+        logger.info(`[HttpApi] Accepted audit job ${job.id} for ${request.contract_ids_from_user.join(', ')}.`);
+        sendJson(res, 202, jobView(job));
+        return;
+    }
+
+    if (req.method !== 'GET') throw new HttpError(405, `Method ${req.method} not allowed on ${pathname}.`);
+    const job = auditQueue.getJob(segments[1]);
+    // HCS jobs are not exposed over HTTP.
+    if (!job || job.request.channel !== HTTP_CHANNEL) throw new HttpError(404, `Audit job ${segments[1]} not found.`);
+    if (segments.length === 3) {
+        streamEvents(req, res, job, deps);
+        return;
+    }
+    sendJson(res, 200, jobView(job));
+}
+
+/**
+ * Starts the HTTP API.
+ * @param {object} options
+ * @param {object} options.auditQueue - Queue from createJobQueue().
+ * @param {object} options.progressHub - Hub from createProgressHub(), fed by the HTTP jobs' audit traces.
+ * @returns {Promise<http.Server>}
+ */
+export async function startHttpApi({
+    auditQueue,
+    progressHub,
+    port = config.httpApiPort,
+    host = config.httpApiHost,
+    token = config.httpApiToken,
+}) {
+    if (!token && !LOOPBACK_HOSTS.has(host)) {
+        logger.warn(`[HttpApi] HTTP_API_TOKEN is not set but the API listens on ${host}. Anyone who can reach it can queue audits.`);
+    }
+    const server = http.createServer((req, res) => {
+        handleRequest(req, res, { auditQueue, progressHub, token }).catch(error => {
+            const statusCode = error instanceof HttpError ? error.statusCode : 500;
+            if (statusCode === 500) logger.error(`[HttpApi] ${req.method} ${req.url} failed: ${error.stack || error.message}`);
+            if (res.headersSent) {
+                res.end();
+                return;
+            }
+            sendJson(res, statusCode, { error: statusCode === 500 ? 'Internal server error.' : error.message });
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            resolve();
+        });
+    });
+    logger.info(`[HttpApi] Listening on http://${host}:${server.address().port}`);
+    return server;
+}
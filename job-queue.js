@@ -0,0 +1,237 @@
+// src/job-queue.js
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { config } from './config.js';
+import { logger } from './utils.js';
+
+export const JOB_STATES = Object.freeze({
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+});
+
+/**
+ * File-backed audit job queue.
+ * Jobs are persisted to a JSON store on every state change so they survive restarts.
+ * A job whose processor throws is retried with exponential backoff until maxAttempts
+ * is reached; after that it is marked failed and `onJobFailed` is called once.
+ * Jobs found in the 'running' state on startup were interrupted by a crash and are
+ * either re-queued ('resume') or failed immediately ('fail'), per `recoveryPolicy`.
+ *
+ * @param {object} options
+ * @param {(job: object) => Promise<any>} options.processor - Runs one job; its resolved value is stored as job.result.
+ * @param {(job: object, errorMessage: string) => Promise<void>} [options.onJobFailed] - Called when a job is failed for good.
+ * @param {(job: object) => Promise<void>} [options.onJobFinished] - Called after a job reaches a final state and it is persisted.
+ */
+export function createJobQueue({
+    processor,
+    onJobFailed = async () => {},
+    onJobFinished = async () => {},
+    storeFile = config.jobStoreFile,
+    concurrency = config.jobConcurrency,
+    maxAttempts = config.jobMaxAttempts,
+    retryBaseDelayMs = config.jobRetryBaseDelayMs,
+    recoveryPolicy = config.jobRecoveryPolicy,
+    historyLimit = config.jobHistoryLimit,
+}) {
+    if (typeof processor !== 'function') throw new Error("Job queue requires a 'processor' function.");
+
+    const storePath = path.resolve(storeFile);
+    const jobs = new Map();
+    let runningCount = 0;
+    let started = false;
+    let stopped = false;
+    let retryTimer = null;
+    let persistChain = Promise.resolve();
+
+    async function loadStore() {
+        try {
+            const data = await fs.readFile(storePath, 'utf8');
+            const state = JSON.parse(data);
+            for (const job of state.jobs || []) {
+                jobs.set(job.id, job);
+            }
+            logger.info(`[JobQueue] Loaded ${jobs.size} job(s) from ${storePath}`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                logger.info('[JobQueue] Job store not found, starting with an empty queue.');
+            } else {
+                logger.error(`[JobQueue] Failed to load job store (${storePath}): ${error.message}`);
+                throw error;
+            }
+        }
+    }
+
+    function pruneHistory() {
+        const finished = [...jobs.values()]
+            .filter(job => job.state === JOB_STATES.SUCCEEDED || job.state === JOB_STATES.FAILED)
+            .sort((a, b) => (a.finishedAt || '').localeCompare(b.finishedAt || ''));
+        for (const job of finished.slice(0, Math.max(0, finished.length - historyLimit))) {
+            jobs.delete(job.id);
+        }
+    }
+
+    // Writes are chained so concurrent state changes never interleave on disk.
+    function persist() {
+        persistChain = persistChain.then(async () => {
+            pruneHistory();
+            const tmpPath = `${storePath}.tmp`;
+            try {
+                await fs.writeFile(tmpPath, JSON.stringify({ jobs: [...jobs.values()] }, null, 2), 'utf8');
+                await fs.rename(tmpPath, storePath);
+            } catch (error) {
+                logger.error(`[JobQueue] Failed to save job store (${storePath}): ${error.message}`);
+            }
+        });
+        return persistChain;
+    }
+
+    async function updateJob(job, changes) {
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        await persist();
+    }
+
+    async function notifyFinished(job) {
+        try {
+            await onJobFinished(job);
+        } catch (callbackError) {
+            logger.error(`[JobQueue] onJobFinished handler threw for job ${job.id}: ${callbackError.message}`);
+        }
+    }
+
+    async function failJob(job, errorMessage) {
+        await updateJob(job, { state: JOB_STATES.FAILED, lastError: errorMessage, finishedAt: new Date().toISOString() });
+        logger.error(`[JobQueue] Job ${job.id} failed permanently after ${job.attempts} attempt(s): ${errorMessage}`);
+        try {
+            await onJobFailed(job, errorMessage);
+        } catch (callbackError) {
+            logger.error(`[JobQueue] onJobFailed handler threw for job ${job.id}: ${callbackError.message}`);
+        }
+        await notifyFinished(job);
+    }
+
+    async function recoverInterruptedJobs() {
+        for (const job of jobs.values()) {
+            if (job.state !== JOB_STATES.RUNNING) continue;
+            const message = `Agent restarted while the job was running (attempt ${job.attempts}/${job.maxAttempts}).`;
+            if (recoveryPolicy === 'resume' && job.attempts < job.maxAttempts) {
+                logger.warn(`[JobQueue] Re-queueing interrupted job ${job.id}. ${message}`);
+                await updateJob(job, { state: JOB_STATES.QUEUED, lastError: message, nextRunAt: Date.now() });
+            } else {
+                await failJob(job, message);
+            }
+        }
+    }
+
+    function scheduleRetryWakeup() {
+        if (retryTimer) {
+            clearTimeout(retryTimer);
+            retryTimer = null;
+        }
+        const delayed = [...jobs.values()].filter(job => job.state === JOB_STATES.QUEUED && job.nextRunAt > Date.now());
+        if (delayed.length === 0 || stopped) return;
+        const nextRunAt = Math.min(...delayed.map(job => job.nextRunAt));
+        retryTimer = setTimeout(() => { retryTimer = null; pump(); }, Math.max(0, nextRunAt - Date.now()));
+    }
+
+    async function runJob(job) {
+        runningCount++;
+        await updateJob(job, { state: JOB_STATES.RUNNING, attempts: job.attempts + 1, startedAt: new Date().toISOString() });
+        logger.info(`[JobQueue] Running job ${job.id} (attempt ${job.attempts}/${job.maxAttempts}, ${runningCount}/${concurrency} workers busy)`);
+
+        try {
+            const result = await processor(job);
+            await updateJob(job, { state: JOB_STATES.SUCCEEDED, result: result ?? null, lastError: null, finishedAt: new Date().toISOString() });
+            logger.info(`[JobQueue] Job ${job.id} succeeded.`);
+            await notifyFinished(job);
+        } catch (error) {
+            logger.error(`[JobQueue] Job ${job.id} attempt ${job.attempts} threw: ${error.message}`);
+            if (error.stack) logger.error(error.stack);
+            if (job.attempts < job.maxAttempts) {
+                const backoff = retryBaseDelayMs * Math.pow(2, job.attempts - 1);
+                logger.info(`[JobQueue] Retrying job ${job.id} in ${backoff / 1000} seconds...`);
+                await updateJob(job, { state: JOB_STATES.QUEUED, lastError: error.message, nextRunAt: Date.now() + backoff });
+            } else {
+                await failJob(job, error.message);
+            }
+        } finally {
+            runningCount--;
+            pump();
+        }
+    }
+
+    function pump() {
+        if (!started || stopped) return;
+        const now = Date.now();
+        const ready = [...jobs.values()]
+            .filter(job => job.state === JOB_STATES.QUEUED && (job.nextRunAt || 0) <= now)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        while (runningCount < concurrency && ready.length > 0) {
+            runJob(ready.shift());
+        }
+        scheduleRetryWakeup();
+    }
+
+    return {
+        async start() {
+            if (started) return;
+            await loadStore();
+            await recoverInterruptedJobs();
+            started = true;
+            logger.info(`[JobQueue] Started with concurrency ${concurrency}, max ${maxAttempts} attempt(s) per job.`);
+            pump();
+        },
+
+        /**
+         * Persists a new job and schedules it.
+         * If `dedupeKey` matches an existing job, that job is returned instead of queueing a duplicate.
+         */
+        async enqueue(request, { dedupeKey = null } = {}) {
+            if (dedupeKey) {
+                const existing = [...jobs.values()].find(job => job.dedupeKey === dedupeKey);
+                if (existing) {
+                    logger.warn(`[JobQueue] Job with key ${dedupeKey} already exists (${existing.id}, ${existing.state}). Not queueing again.`);
+                    return existing;
+                }
+            }
+            const now = new Date().toISOString();
+            const job = {
+                id: crypto.randomUUID(),
+                dedupeKey,
+                state: JOB_STATES.QUEUED,
+                request,
+                attempts: 0,
+                maxAttempts,
+                nextRunAt: 0,
+                lastError: null,
+                result: null,
+                createdAt: now,
+                updatedAt: now,
+                startedAt: null,
+                finishedAt: null,
+            };
+            jobs.set(job.id, job);
+            await persist();
+            logger.info(`[JobQueue] Queued job ${job.id}${dedupeKey ? ` (key ${dedupeKey})` : ''}.`);
+            pump();
+            return job;
+        },
+
+        getJob(id) {
+            return jobs.get(id) || null;
+        },
+
+        listJobs() {
+            return [...jobs.values()];
+        },
+
+        async stop() {
+            stopped = true;
+            if (retryTimer) clearTimeout(retryTimer);
+            await persistChain;
+        },
+    };
+}
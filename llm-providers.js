@@ -0,0 +1,353 @@
+// src/llm-providers.js
+import fs from 'fs';
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { config } from './config.js';
+import { logger } from './utils.js';
+import { getModelRateLimiter, withModelRetry } from './rate-limiter.js';
+
+/*
+ * Provider-neutral chat layer used by the agent loop.
+ *
+ * Every provider exposes the same surface:
+ *   provider.startChat({ history? }) -> session
+ *   session.sendMessage(input)       -> normalized response
+ *   session.getHistory()             -> provider-specific, JSON-serializable history
+ *
+ * `input` is either a plain string or { text?, functionResponses?: [{ id?, name, response }] }.
+ * A normalized response looks like:
+ *   { text, functionCalls: [{ id, name, args }], finishReason, usage: { inputTokens, outputTokens } }
+ * where finishReason is one of 'STOP', 'TOOL_CALLS', 'MAX_TOKENS', 'SAFETY' or 'OTHER'.
+ */
+
+export const FINISH_REASONS = Object.freeze({
+    STOP: 'STOP',
+    TOOL_CALLS: 'TOOL_CALLS',
+    MAX_TOKENS: 'MAX_TOKENS',
+    SAFETY: 'SAFETY',
+    OTHER: 'OTHER',
+});
+
+const DEFAULT_MODELS = {
+    gemini: 'gemini-2.5-flash-preview-04-17',
+    openai: 'gpt-4o-mini',
+    scripted: 'scripted',
+};
+
+// Flattens the Gemini-style `tools` array (see toolRegistry.toTools()) into plain function declarations.
+export function toFunctionDeclarations(tools) {
+    return (tools || []).flatMap(tool => tool.functionDeclarations || []);
+}
+
+function systemInstructionText(systemInstruction) {
+    if (!systemInstruction) return '';
+    if (typeof systemInstruction === 'string') return systemInstruction;
+    return (systemInstruction.parts || []).map(part => part.text || '').join('\n');
+}
+
+function normalizeInput(input) {
+    if (typeof input === 'string') return { text: input, functionResponses: [] };
+    return { text: input?.text || null, functionResponses: input?.functionResponses || [] };
+}
+
+// --- Gemini ---
+
+/**
+ * Parts of one Gemini chat message. The SDK rejects messages that mix function responses with
+ * other parts, so text sent along with function responses (the step and budget notices) is
+ * carried in the last function response as `agent_note`.
+ */
+export function geminiMessageParts(input) {
+    const { text, functionResponses } = normalizeInput(input);
+    if (functionResponses.length === 0) return text ? [{ text }] : [];
+    return functionResponses.map((fr, index) => {
+        const isObject = fr.response && typeof fr.response === 'object' && !Array.isArray(fr.response);
+        const response = isObject ? fr.response : { result: fr.response };
+        return {
+            functionResponse: {
+                name: fr.name,
+                response: text && index === functionResponses.length - 1 ? { ...response, agent_note: text } : response,
+            },
+        };
+    });
+}
+
+function normalizeGeminiFinishReason(finishReason, hasFunctionCalls) {
+    if (hasFunctionCalls) return FINISH_REASONS.TOOL_CALLS;
+    switch (finishReason) {
+        case 'STOP': return FINISH_REASONS.STOP;
+        case 'MAX_TOKENS': return FINISH_REASONS.MAX_TOKENS;
+        case 'SAFETY':
+        case 'RECITATION':
+        case 'BLOCKLIST':
+        case 'PROHIBITED_CONTENT':
+        case 'SPII':
+            return FINISH_REASONS.SAFETY;
+        default: return FINISH_REASONS.OTHER;
+    }
+}
+
+function createGeminiProvider({ model: modelName, systemInstruction, tools }) {
+    const genAI = new GoogleGenerativeAI(config.googleApiKey);
+    const model = genAI.getGenerativeModel({
+        model: modelName,
+        systemInstruction: systemInstruction,
+        tools: tools,
+    });
+
+    return {
+        name: 'gemini',
+        model: modelName,
+        startChat({ history } = {}) {
+            const chat = model.startChat(history ? { history } : undefined);
+            return {
+                async sendMessage(input) {
+                    const result = await chat.sendMessage(geminiMessageParts(input));
+                    const candidate = result.response?.candidates?.[0];
+                    if (!candidate) {
+                        throw new Error("Gemini response contained no candidates.");
+                    }
+                    const responseParts = candidate.content?.parts || [];
+                    const functionCalls = responseParts
+                        .filter(part => part.functionCall)
+                        .map(part => ({ id: null, name: part.functionCall.name, args: part.functionCall.args || {} }));
+                    const textPart = responseParts.filter(part => part.text).map(part => part.text).join('\n');
+
+                    return {
+                        text: textPart || null,
+                        functionCalls,
+                        finishReason: normalizeGeminiFinishReason(candidate.finishReason, functionCalls.length > 0),
+                        rawFinishReason: candidate.finishReason || null,
+                        usage: {
+                            inputTokens: result.response.usageMetadata?.promptTokenCount || 0,
+                            outputTokens: result.response.usageMetadata?.candidatesTokenCount || 0,
+                        },
+                    };
+                },
+                async getHistory() {
+                    return chat.getHistory();
+                },
+            };
+        },
+    };
+}
+
+// --- OpenAI-compatible (OpenAI, Ollama, vLLM, LM Studio, ...) ---
+
+function toOpenAITools(tools) {
+    return toFunctionDeclarations(tools).map(declaration => ({
+        type: 'function',
+        function: {
+            name: declaration.name,
+            description: declaration.description,
+            parameters: declaration.parameters || { type: 'object', properties: {} },
+        },
+    }));
+}
+
+function normalizeOpenAIFinishReason(finishReason, hasFunctionCalls) {
+    if (hasFunctionCalls) return FINISH_REASONS.TOOL_CALLS;
+    switch (finishReason) {
+        case 'stop': return FINISH_REASONS.STOP;
+        case 'tool_calls':
+        case 'function_call':
+            return FINISH_REASONS.TOOL_CALLS;
+        case 'length': return FINISH_REASONS.MAX_TOKENS;
+        case 'content_filter': return FINISH_REASONS.SAFETY;
+        default: return FINISH_REASONS.OTHER;
+    }
+}
+
+function createOpenAICompatibleProvider({ model: modelName, systemInstruction, tools }) {
+    const baseUrl = config.openaiBaseUrl.replace(/\/+$/, '');
+    const openAITools = toOpenAITools(tools);
+    const systemText = systemInstructionText(systemInstruction);
+
+    async function requestCompletion(messages) {
+        const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json' };
+        if (config.openaiApiKey) headers['Authorization'] = `Bearer ${config.openaiApiKey}`;
+
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model: modelName,
+                messages: [{ role: 'system', content: systemText }, ...messages],
+                tools: openAITools.length > 0 ? openAITools : undefined,
+            }),
+        });
+
+        if (!response.ok) {
+            let errorText = '';
+            try { errorText = await response.text(); } catch (e) { /* Ignore */ }
+            const error = new Error(`OpenAI-compatible API error (Status ${response.status}): ${errorText.substring(0, 500)}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response.json();
+    }
+
+    return {
+        name: 'openai',
+        model: modelName,
+        startChat({ history } = {}) {
+            const messages = Array.isArray(history) ? [...history] : [];
+            return {
+                async sendMessage(input) {
+                    const { text, functionResponses } = normalizeInput(input);
+                    // Only committed to the history once the request succeeds, so a retried call doesn't duplicate them.
+                    const pending = functionResponses.map(fr => ({ role: 'tool', tool_call_id: fr.id, content: JSON.stringify(fr.response) }));
+                    if (text) pending.push({ role: 'user', content: text });
+
+                    const data = await requestCompletion([...messages, ...pending]);
+                    const choice = data?.choices?.[0];
+                    if (!choice || !choice.message) {
+                        throw new Error("OpenAI-compatible response contained no choices.");
+                    }
+                    messages.push(...pending, choice.message);
+
+                    const functionCalls = (choice.message.tool_calls || []).map(toolCall => {
+                        let args = {};
+                        try {
+                            args = toolCall.function?.arguments ? JSON.parse(toolCall.function.arguments) : {};
+                        } catch (e) {
+                            logger.warn(`[LLM:openai] Could not parse arguments for tool call '${toolCall.function?.name}': ${e.message}`);
+                        }
+                        return { id: toolCall.id, name: toolCall.function?.name, args };
+                    });
+
+                    return {
+                        text: choice.message.content || null,
+                        functionCalls,
+                        finishReason: normalizeOpenAIFinishReason(choice.finish_reason, functionCalls.length > 0),
+                        rawFinishReason: choice.finish_reason || null,
+                        usage: {
+                            inputTokens: data.usage?.prompt_tokens || 0,
+                            outputTokens: data.usage?.completion_tokens || 0,
+                        },
+                    };
+                },
+                async getHistory() {
+                    return [...messages];
+                },
+            };
+        },
+    };
+}
+
+// --- Scripted (deterministic, for tests and offline runs) ---
+
+/**
+ * Creates a provider that replays a fixed list of model turns.
+ * Each turn is { text?, functionCalls?: [{ name, args }], finishReason?, usage? }.
+ * The session history is the list of inputs and turns exchanged so far, so a
+ * session restored from history continues with the next unplayed turn.
+ */
+export function createScriptedProvider({ script }) {
+    if (!Array.isArray(script)) {
+        throw new Error("Scripted provider requires a 'script' array of model turns.");
+    }
+
+    return {
+        name: 'scripted',
+        model: DEFAULT_MODELS.scripted,
+        startChat({ history } = {}) {
+            const entries = Array.isArray(history) ? [...history] : [];
+            let position = entries.filter(entry => entry.role === 'model').length;
+            return {
+                async sendMessage(input) {
+                    entries.push({ role: 'user', input: normalizeInput(input) });
+                    const turn = script[position];
+                    if (!turn) {
+                        throw new Error(`Scripted provider ran out of turns after ${position} response(s).`);
+                    }
+                    position++;
+
+                    const functionCalls = (turn.functionCalls || []).map((call, index) => ({
+                        id: call.id || `scripted-${position}-${index}`,
+                        name: call.name,
+                        args: call.args || {},
+                    }));
+                    const response = {
+                        text: turn.text || null,
+                        functionCalls,
+                        finishReason: turn.finishReason || (functionCalls.length > 0 ? FINISH_REASONS.TOOL_CALLS : FINISH_REASONS.STOP),
+                        rawFinishReason: turn.rawFinishReason || turn.finishReason || null,
+                        usage: { inputTokens: turn.usage?.inputTokens || 0, outputTokens: turn.usage?.outputTokens || 0 },
+                    };
+                    entries.push({ role: 'model', response });
+                    return response;
+                },
+                async getHistory() {
+                    return [...entries];
+                },
+            };
+        },
+    };
+}
+
+/**
+ * Routes every sendMessage of a remote provider through the shared per-model
+ * rate limiter, retrying transient failures with exponential backoff.
+ * Sessions of all audits using the same provider/model share one limiter.
+ */
+function withRateLimiting(provider) {
+    const limiter = getModelRateLimiter(`${provider.name}:${provider.model}`, {
+        requestsPerMinute: config.llmRequestsPerMinute,
+        tokensPerMinute: config.llmTokensPerMinute,
+    });
+
+    return {
+        ...provider,
+        startChat(options) {
+            const session = provider.startChat(options);
+            let lastInputTokens = 0; // Next request is at least as large as the previous prompt
+            return {
+                ...session,
+                async sendMessage(input) {
+                    return withModelRetry(async () => {
+                        const settle = await limiter.acquire(lastInputTokens);
+                        const response = await session.sendMessage(input);
+                        lastInputTokens = response.usage.inputTokens;
+                        settle(response.usage.inputTokens + response.usage.outputTokens);
+                        return response;
+                    }, {
+                        maxRetries: config.llmMaxRetries,
+                        baseDelayMs: config.llmRetryBaseDelayMs,
+                        maxDelayMs: config.llmRetryMaxDelayMs,
+                        label: `${provider.name}:${provider.model} request`,
+                    });
+                },
+            };
+        },
+    };
+}
+
+/**
+ * Creates the chat provider selected by `name` (defaults to config.llmProvider).
+ * @param {string} name - 'gemini', 'openai' or 'scripted'.
+ * @param {{ systemInstruction: object, tools: object[], model?: string, script?: object[] }} options
+ */
+export function createLLMProvider(name = config.llmProvider, options = {}) {
+    const providerName = (name || 'gemini').toLowerCase();
+    const model = options.model || config.llmModel || DEFAULT_MODELS[providerName];
+    logger.info(`[LLM] Using provider '${providerName}' with model '${model}'.`);
+
+    switch (providerName) {
+        case 'gemini':
+            return withRateLimiting(createGeminiProvider({ ...options, model }));
+        case 'openai':
+            return withRateLimiting(createOpenAICompatibleProvider({ ...options, model }));
+        case 'scripted': {
+            let script = options.script;
+            if (!script) {
+                if (!config.llmScriptFile) {
+                    throw new Error("LLM_PROVIDER=scripted requires LLM_SCRIPT_FILE to point to a JSON array of model turns.");
+                }
+                script = JSON.parse(fs.readFileSync(config.llmScriptFile, 'utf8'));
+            }
+            return createScriptedProvider({ script });
+        }
+        default:
+            throw new Error(`Unknown LLM provider: ${name}`);
+    }
+}
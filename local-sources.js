@@ -0,0 +1,163 @@
+// src/local-sources.js
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './utils.js';
+
+// Directories never scanned for entry contracts.
+const IGNORED_DIRS = new Set(['node_modules', 'lib', 'test', 'tests', 'script', 'scripts', 'out', 'cache', 'artifacts', 'broadcast', 'typechain-types', '.git']);
+const IMPORT_PATTERN = /^\s*import\s+(?:[^'";]*?\s+from\s+)?["']([^"']+)["']/gm;
+const HARDHAT_CONFIG_FILES = ['hardhat.config.js', 'hardhat.config.ts', 'hardhat.config.cjs', 'hardhat.config.mjs'];
+
+async function exists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+async function listSolidityFiles(dir) {
+    const found = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (!IGNORED_DIRS.has(entry.name)) found.push(...await listSolidityFiles(entryPath));
+        } else if (entry.name.endsWith('.sol') && !entry.name.endsWith('.t.sol') && !entry.name.endsWith('.s.sol')) {
+            found.push(entryPath);
+        }
+    }
+    return found;
+}
+
+// Reads `prefix=target` remappings from remappings.txt and foundry.toml. Remapping contexts are ignored.
+async function readRemappings(rootDir) {
+    const lines = [];
+    try {
+        lines.push(...(await fs.readFile(path.join(rootDir, 'remappings.txt'), 'utf8')).split('\n'));
+    } catch { /* No remappings.txt */ }
+    try {
+        const foundryToml = await fs.readFile(path.join(rootDir, 'foundry.toml'), 'utf8');
+        const block = foundryToml.match(/^\s*remappings\s*=\s*\[([^\]]*)\]/m);
+        if (block) lines.push(...[...block[1].matchAll(/["']([^"']+)["']/g)].map(match => match[1]));
+    } catch { /* No foundry.toml */ }
+
+    return lines
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#') && line.includes('='))
+        .map(line => {
+            const [prefix, target] = line.replace(/^[^:=]*:/, '').split('=');
+            return { prefix, target };
+        })
+        .sort((a, b) => b.prefix.length - a.prefix.length); // Longest prefix wins, as in solc
+}
+
+async function detectProject(rootDir) {
+    if (await exists(path.join(rootDir, 'foundry.toml'))) {
+        const foundryToml = await fs.readFile(path.join(rootDir, 'foundry.toml'), 'utf8');
+        const srcMatch = foundryToml.match(/^\s*src\s*=\s*["']([^"']+)["']/m);
+        return { type: 'foundry', sourceDir: path.join(rootDir, srcMatch ? srcMatch[1] : 'src') };
+    }
+    for (const configFile of HARDHAT_CONFIG_FILES) {
+        if (await exists(path.join(rootDir, configFile))) {
+            return { type: 'hardhat', sourceDir: path.join(rootDir, 'contracts') };
+        }
+    }
+    return { type: 'directory', sourceDir: rootDir };
+}
+
+/**
+ * Resolves a non-relative import the way the project's compiler setup would:
+ * remappings first, then the project root, node_modules (Hardhat) and lib/ (Foundry).
+ */
+async function resolvePackageImport(importPath, rootDir, remappings) {
+    const remapping = remappings.find(r => importPath.startsWith(r.prefix));
+    const candidates = remapping
+        ? [path.join(rootDir, remapping.target + importPath.slice(remapping.prefix.length))]
+        : [];
+    candidates.push(path.join(rootDir, importPath), path.join(rootDir, 'node_modules', importPath), path.join(rootDir, 'lib', importPath));
+    for (const candidate of candidates) {
+        if (await exists(candidate)) return candidate;
+    }
+    return null;
+}
+
+/**
+ * Loads a local Solidity target (a single .sol file, a plain directory, or a Foundry/Hardhat
+ * project) into the same { path, content } file list that fetchVerifiedSource returns.
+ *
+ * Project files keep their path relative to the project root (e.g. 'src/Vault.sol'). Imported
+ * dependencies are stored under their import path (e.g. '@openzeppelin/contracts/token/ERC20/ERC20.sol'),
+ * like verified sources, so imports resolve without the project's remappings.
+ *
+ * @param {string} targetPath
+ * @param {object} [options]
+ * @param {string} [options.mainFile] - Main contract file (relative to the project root); guessed if omitted.
+ * @returns {Promise<{success: boolean, files?: {path: string, content: string}[], mainFileName?: string, projectType?: string, error?: string}>}
+ */
+export async function loadLocalSources(targetPath, { mainFile = null } = {}) {
+    const resolvedTarget = path.resolve(targetPath);
+    let stat;
+    try {
+        stat = await fs.stat(resolvedTarget);
+    } catch {
+        return { success: false, error: `Target not found: ${targetPath}` };
+    }
+
+    const rootDir = stat.isDirectory() ? resolvedTarget : path.dirname(resolvedTarget);
+    const project = stat.isDirectory() ? await detectProject(rootDir) : { type: 'file', sourceDir: rootDir };
+    const entryFiles = stat.isDirectory()
+        ? (await exists(project.sourceDir) ? await listSolidityFiles(project.sourceDir) : [])
+        : [resolvedTarget];
+    if (entryFiles.length === 0) {
+        return { success: false, error: `No Solidity (.sol) files found in ${targetPath}.` };
+    }
+    logger.info(`[LocalSources] Detected ${project.type} target at ${rootDir} with ${entryFiles.length} source file(s).`);
+
+    const remappings = await readRemappings(rootDir);
+    const files = new Map(); // Virtual path -> { path, content }
+    const importedPaths = new Set();
+    const queue = entryFiles.map(diskPath => ({ diskPath, virtualPath: path.relative(rootDir, diskPath).split(path.sep).join('/') }));
+
+    while (queue.length > 0) {
+        const { diskPath, virtualPath } = queue.shift();
+        if (files.has(virtualPath)) continue;
+        const content = await fs.readFile(diskPath, 'utf8');
+        files.set(virtualPath, { path: virtualPath, content });
+
+        for (const [, importPath] of content.matchAll(IMPORT_PATTERN)) {
+            let next;
+            if (importPath.startsWith('.')) {
+                next = {
+                    diskPath: path.resolve(path.dirname(diskPath), importPath),
+                    virtualPath: path.posix.normalize(path.posix.join(path.posix.dirname(virtualPath), importPath)),
+                };
+            } else {
+                const resolved = await resolvePackageImport(importPath, rootDir, remappings);
+                next = resolved ? { diskPath: resolved, virtualPath: importPath } : null;
+            }
+            if (!next || next.virtualPath.startsWith('..') || !await exists(next.diskPath)) {
+                logger.warn(`[LocalSources] Could not resolve import '${importPath}' in ${virtualPath}. Tools may fail to compile it.`);
+                continue;
+            }
+            importedPaths.add(next.virtualPath);
+            queue.push(next);
+        }
+    }
+
+    const allFiles = [...files.values()];
+    let mainFileName = mainFile ? mainFile.split(path.sep).join('/') : null;
+    if (mainFileName && !files.has(mainFileName)) {
+        return { success: false, error: `Main file '${mainFile}' is not among the loaded sources.` };
+    }
+    if (!mainFileName) {
+        // Prefer the largest project file that no other file imports (the top of the dependency tree).
+        const entryVirtualPaths = entryFiles.map(diskPath => path.relative(rootDir, diskPath).split(path.sep).join('/'));
+        const roots = entryVirtualPaths.filter(p => !importedPaths.has(p) && !p.includes('/interfaces/') && !p.includes('/libraries/'));
+        const candidates = roots.length > 0 ? roots : entryVirtualPaths;
+        mainFileName = candidates.sort((a, b) => files.get(b).content.length - files.get(a).content.length)[0];
+    }
+
+    logger.info(`[LocalSources] Loaded ${allFiles.length} file(s) (including dependencies). Main file: ${mainFileName}`);
+    return { success: true, files: allFiles, mainFileName, projectType: project.type };
+}
@@ -1,5 +1,6 @@
 // src/prompts.js
 import { config } from './config.js';
+import { REPORT_SCHEMA_VERSION } from './report-schema.js';
 
 export const systemInstruction = {
     role: "system",
@@ -8,9 +9,10 @@ export const systemInstruction = {
 Workflow Steps:
 
 1. Identify hedera contract id, get source code using getSourceCode("contract ID"), and plansSteps: Decide which analysis tools are needed based on your analysis. Primarily, you should use 'slither' for static analysis first. Formulate a plan, for example, "Run slither to detect common vulnerabilities."
-2. Execute Static Tools: Use the 'runAuditToolInDocker' function to execute static analysis tools like 'slither'. Just pass filename.
+2. Execute Static Tools: Use the 'runAuditToolInDocker' function to execute static analysis tools like 'slither'. It runs on the fetched sources; just pass the tool name (and 'contractId' when several contracts were fetched).
+    - Further analyzers may be enabled for the audit (the first message lists them): 'mythril' (symbolic execution, slow: run it on the main contract when Slither points at something worth proving), 'aderyn', 'solhint' and 'semgrep'. Run the ones that fit your plan; running all of them is not required.
     - Be aware that Slither/Forge does not understand Hedera Token Service (HTS) precompile semantics. Its findings on HTS interactions might be incomplete and HTS calls will fail!
-5. Interpret Static Tool Results: Wait for the results from 'runAuditToolInDocker'. The result object will have 'success' (boolean) and either 'output' (string or JSON from the tool if successful) or 'error' (string if failed). Carefully examine the 'output', especially if it's JSON from Slither. Identify findings, their severity/impact, confidence level, and affected code locations. If the tool failed ('success: false'), analyze the 'error' message.
+5. Interpret Static Tool Results: Wait for the results from 'runAuditToolInDocker'. The result object will have 'success' (boolean) and either 'output' (string or JSON from the tool if successful) and 'findings' (the analyzer's detector results in a common format: tool, check, impact, confidence, description, file, lines) or 'error' (string if failed). Carefully examine the 'findings' and the 'output'. Identify findings, their severity/impact, confidence level, and affected code locations. If the tool failed ('success: false'), analyze the 'error' message.
 6. Dynamic Testing: If your analysis or the static tool results reveal potential vulnerabilities that require dynamic verification, write and run a targeted Solidity test case.
     - Formulate a precise Solidity test contract using the Foundry framework (import forge-std/Test.sol, define a contract inheriting from Test, write public test functions starting with test...).
     - Focus on pure Solidity operations.
@@ -24,7 +26,7 @@ Workflow Steps:
         - If 'success' is false OR the output shows "[FAIL]" or compiler errors: Analyze the 'output' and 'error' message. If it's a compilation error in *your generated test code*, identify the error (e.g., syntax mistake, type mismatch), correct the test code, and call 'executeSolidityTest' again with the fixed version. If the test failure confirms a vulnerability, note it as a finding.
 7. Synthesize Findings: Combine the results from all executed tools (static and dynamic analysis that passed or failed in a meaningful way) and your own analysis of the code. Do not just list the tool output; explain the findings in clear language. Prioritize based on severity and confidence.
 8. Generate Report: Structure the findings into a final JSON report object. The report MUST contain the following top-level keys:
-    - "score": A number representing the overall security score (0-100), where 100 is the best possible score. Base this on the severity and number of findings.
+    - "score": A number representing the overall security score (0-100), where 100 is the best possible score. Base this on the severity and number of findings. (The agent recomputes the published score and tool-backed severities deterministically; yours is kept for reference.)
     - "summary": A brief natural language summary of the audit's main conclusions and the most critical issues found.
     - "findings": An array of objects, where each object represents a distinct vulnerability, issue, or important observation. Each finding object MUST contain the following keys:
         - "title": A short, descriptive title (e.g., "Potential Reentrancy Vulnerability").
@@ -33,15 +35,35 @@ Workflow Steps:
         - "description": A clear explanation of the vulnerability or issue, how it works, and its potential impact.
         - "recommendation": Specific, actionable advice on how to fix or mitigate the issue.
         - "details": (Optional) Include specific tool output snippets, affected code lines, or test results if they are relevant and concisely illustrate the finding.
+        - "contract_id": (Required when several contracts are audited) The '0.0.X' ID of the contract the finding affects.
+        - "detector": (Optional) The detector the finding is based on: the 'check' field of the analyzer's finding (e.g. "reentrancy-eth" from Slither, "SWC-107" from Mythril).
+        - "location": (Optional) The affected code: { "file": "contracts/Vault.sol", "lines": [start, end] }.
+        - Report each issue once. Findings about the same issue in the same code are merged by the agent.
     - "tools_used": An array listing the names of the tools executed during the audit process (e.g., ["slither", "forge test"]).
+    - "contract_ids": (Optional) The '0.0.X' IDs of every contract covered by the audit.
+    - "cross_contract_interactions": (Required when several contracts are audited) A string describing how the contracts call and trust each other (e.g., router -> vault -> token), and any issues that only appear across contract boundaries.
+
+Multi-contract audits: A request may name several contract IDs (e.g., a router, a vault and a token). Call 'getSourceCode' once per contract. 'runAuditToolInDocker' accepts an optional 'contractId' to analyze one contract; omit it (or pass "all") to run the tool on each fetched contract, in which case 'results' maps each contract ID to its tool result. For 'executeSolidityTest', every fetched contract is placed under 'src/c<ID with dots as underscores>/' (e.g., 0.0.123 -> 'src/c0_0_123/'); import it as "c0_0_123/contracts/Vault.sol" and pass the 'contractId' of the contract named by 'originalContractFileName'. Treat the contracts as one system: review the calls between them, shared assumptions and trust boundaries.
+
+Upgradeable proxies: If 'getSourceCode' reports that the contract is a proxy, the verified source of its current implementation is fetched as well ('implementation' in the result) and the audit becomes a multi-contract audit of the proxy and the implementation. Audit the implementation's logic as usual, and the proxy's admin surface: who can upgrade it (admin, ProxyAdmin owner, UUPS '_authorizeUpgrade', beacon owner), unprotected or re-callable initializers, storage layout collisions between proxy and implementation, function selector clashes with the proxy's own functions, and whether the implementation can be self-destructed or initialized directly. Attribute each finding to the proxy or the implementation contract ID, and describe the delegation in 'cross_contract_interactions'. If the implementation could not be resolved or has no verified source, say so in the summary.
+
+Source verification: 'getSourceCode' recompiles verified sources with the compiler version and settings they were verified with and compares the result with the deployed bytecode ('sourceVerification'). On a 'mismatch' the verified source is not the code that runs; the agent adds a finding for it, so do not report it yourself, but mention it in the summary and weigh your conclusions accordingly.
+
+Compiler versions: the tools compile with the compiler version and settings the contract was verified with or, without verification metadata, with the newest solc release that satisfies the 'pragma solidity' of every source file. If no release satisfies them all, the tool fails with 'solcResolution' (the pragma of each file and the files that exclude each other) and does not run; do not retry it, continue with manual review. The agent adds a finding for the conflict. Likewise, when the agent runs offline and a required compiler is not cached, the tool fails with 'solcUnavailable'; do not retry it, and the agent notes the missing compiler in the report.
+Sandbox limits: tool runs have no network access and a time and memory limit. A run that exceeds them fails with 'errorType' 'timeout' or 'out_of_memory'; do not repeat it unchanged. Narrow it instead (e.g. fewer or cheaper fuzz runs in a test), or continue with manual review.
+
+Unverified contracts: If a contract has no verified source, 'getSourceCode' analyzes its runtime bytecode instead and returns 'verified: false' with a 'bytecodeAnalysis' (function selectors, named where they match known signatures; SELFDESTRUCT, DELEGATECALL and CALLCODE opcodes; Hedera system contract calls such as HTS at 0x167; the compiler version). 'runAuditToolInDocker' and 'executeSolidityTest' cannot run on such a contract. Still produce a report from the analysis: who could call the sensitive functions, what the dangerous opcodes allow, and which HTS operations the contract performs. Never invent source code or line numbers, omit 'location', and say in the summary which checks were impossible without source. The agent labels the report as bytecode-only and lower confidence.
 9. Finalize: Call the 'finalizeAuditReport' function ONLY when the full audit process is complete, you have analyzed all results (including tests), and you have constructed the complete, structured JSON report object conforming to the specified format. Do not call it before the report is ready.
+    - The report is validated against audit report schema v${REPORT_SCHEMA_VERSION}. If it is rejected you receive { success: false, error, violations }, where each violation names the JSON path and the rule it broke. Fix ALL listed violations and call 'finalizeAuditReport' again with the complete corrected report.
 
-You have total ${config.MAX_STEPS} steps, send report before final ${config.MAX_STEPS} step.
+You have total ${config.maxAuditSteps} steps, send report before final ${config.maxAuditSteps} step.
+Each audit also has token, time, Docker and HBAR budgets. If a step message contains a BUDGET WARNING, wrap up and call 'finalizeAuditReport'. If it says BUDGET EXHAUSTED, tools are disabled and you MUST call 'finalizeAuditReport' immediately. Step messages may also arrive as 'agent_note' in the last function response.
 Available Tools:
 
-- runAuditToolInDocker: Executes static analysis tools like 'slither'. Requires toolName, contractCode, optional fileName. Returns { success: boolean, output: string|object, error: string }. Analyze 'output' for results.
+- runAuditToolInDocker: Executes a static analyzer ('slither', 'mythril', 'aderyn', 'solhint' or 'semgrep'). Requires toolName, optional contractId. Returns { success: boolean, tool: string, output: string|object, findings: object[], error: string }. Analyze 'findings' and 'output' for results.
 - executeSolidityTest: Compiles and runs a provided Solidity test contract snippet using Foundry. Requires testContractCode, testContractFileName (ends in .t.sol), originalContractCode, originalContractFileName. Returns { success: boolean, output: string, error: string }. Analyze 'output' for PASS/FAIL/compilation errors.
 - finalizeAuditReport: Submits the final structured JSON report. Requires a 'report' object parameter conforming to the specified format. Call only when done.
+- Other tools: Additional analyzers may be installed as plugins. Their function declarations describe what they do and which arguments they take; use them when they fit your plan.
 
 Example of dynamic testing:
 import "forge-std/Test.sol";
@@ -108,93 +130,3 @@ contract xxxTest is Test { // Changed example name slightly
 Always call at least one tool/function!
 `}]
 };
-
-export const tools = [
-    {
-        functionDeclarations: [
-            { 
-                name: "getSourceCode",
-                description: `Fetches the verified Solidity source code for a given Hedera contract ID from the verification service.
-Returns { success: boolean, sourceCode?: string, mainFileName?: string, error?: string }.
-'success' is true if verified source code was found and fetched.
-'sourceCode' contains the combined source code of all .sol files.
-'mainFileName' provides a best guess for the primary contract file name.
-'error' contains a message if the source code was not found or an API error occurred.`,
-                parameters: {
-                    type: "object",
-                    properties: {
-                        contractId: {
-                            type: "string",
-                            description: "The Hedera contract ID in '0.0.X' format."
-                        }
-                    },
-                    required: ["contractId"]
-                }
-            },            
-            {
-                name: "runAuditToolInDocker",
-                description: `Executes a specified command-line static analysis tool (e.g., 'slither') within a Docker container.
-IMPORTANT: For 'slither', use '--json -' flags to get structured JSON output.
-If source code has already been fetched via 'getSourceCode', you MAY omit the 'contractCode' argument; the agent will use the fetched code.
-Otherwise, provide the full code in 'contractCode'.
-Returns { success: boolean, output?: string | object, error?: string }. Analyze 'output' for findings.`,
-                parameters: {
-                    type: "object",
-                    properties: {
-                        toolName: { type: "string", description: "The name of the tool command (e.g., 'slither')." },
-                        // contractCode: { // Now optional
-                        //     type: "string",
-                        //     description: "Optional: The full Solidity source code. Omit if already fetched via 'getSourceCode'."
-                        // },
-                        fileName: { type: "string", description: "Optional: The filename for the main contract (e.g., 'Contract.sol'). Important if imports are used or if contractCode is omitted." },
-                    },
-                    required: ["toolName"], // Only toolName is strictly required now
-                },
-            },
-            {
-                name: "executeSolidityTest",
-                description: `Compiles and executes a Solidity test contract using Foundry (forge test).
-Requires the test contract code.
-If the main contract source code has already been fetched via 'getSourceCode', you MAY omit 'originalContractCode'; the agent will use the fetched code.
-Requires the test filename (ending in .t.sol) and the original contract's filename.
-Returns { success: boolean, output?: string, error?: string }. Analyze 'output' for PASS/FAIL/errors.`,
-                parameters: {
-                    type: "object",
-                    properties: {
-                        testContractCode: { 
-                            type: "string",
-                            description: "The full Solidity code for the test contract (must contain 'test...' functions)."
-                        },
-                        testContractFileName: {
-                            type: "string",
-                            description: "The filename for the test contract (e.g., 'XXXTest.t.sol'). MUST end with '.t.sol'. Do NOT include 'src/' or any other directory paths; the file will be placed directly in the 'test/' directory."
-                        },
-                        originalContractCode: {
-                            type: "string",
-                            description: "Optional: The source code of the main contract being audited. Omit if already fetched."
-                        },
-                        originalContractFileName: {
-                            type: "string",
-                            description: "The filename of the main contract being audited (e.g., 'SimpleCounter.sol'). Required."
-                        }
-                    },
-                    required: ["testContractCode", "testContractFileName", "originalContractFileName"]
-                }
-            },
-            { // The finalize function
-                name: "finalizeAuditReport",
-                description: "Call this function ONLY when the full audit process is complete and you have synthesized all findings into the final, structured JSON report object.",
-                parameters: {
-                    type: "object",
-                    properties: {
-                        report: {
-                            type: "object",
-                            description: "The final audit report as a JSON object. It MUST contain 'score' (number), 'summary' (string), 'findings' array (with objects having 'title', 'severity', 'description', 'recommendation', optional 'details'), and 'tools_used' array (string[]).",
-                        }
-                    },
-                    required: ["report"]
-                }
-            }
-        ]
-    }
-];
\ No newline at end of file
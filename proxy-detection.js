@@ -0,0 +1,202 @@
+// src/proxy-detection.js
+import { ContractId } from '@hashgraph/sdk';
+import { logger, mirrorNodeBaseUrl, queryMirrorNodeContract } from './utils.js';
+
+export { PROXY_KINDS } from './report-schema.js';
+
+/*
+ * Detection of upgradeable and minimal proxies, so that an audit of a proxy also covers the
+ * logic it delegates to.
+ *
+ * Evidence comes from three places:
+ *   - the verified source: the main contract inherits (or is) an OpenZeppelin proxy, declares the
+ *     EIP-1822 PROXIABLE slot, or delegates every call from its fallback
+ *   - the runtime bytecode on the Mirror Node: EIP-1167 minimal proxies embed their implementation,
+ *     and a contract without a DELEGATECALL opcode is not a proxy
+ *   - the storage slots on the Mirror Node: EIP-1967 implementation, beacon and admin slots, the
+ *     EIP-1822 PROXIABLE slot and the legacy ZeppelinOS slot hold the current addresses
+ * Beacon proxies are resolved by calling implementation() on the beacon.
+ */
+
+const SLOTS = {
+    // bytes32(uint256(keccak256('eip1967.proxy.implementation')) - 1)
+    implementation: '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc',
+    // bytes32(uint256(keccak256('eip1967.proxy.beacon')) - 1)
+    beacon: '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50',
+    // bytes32(uint256(keccak256('eip1967.proxy.admin')) - 1)
+    admin: '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103',
+    // keccak256('PROXIABLE')
+    proxiable: '0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7',
+    // keccak256('org.zeppelinos.proxy.implementation')
+    zos: '0x7050c9e0f4ca769c69bd3a8ef740bc37934f8e2c036e5a723fd8ee048ed3f8c3',
+};
+
+const MINIMAL_PROXY_PATTERN = /^(?:0x)?363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3/i;
+const IMPLEMENTATION_SELECTOR = '0x5c60da1b'; // implementation()
+const DELEGATECALL = 0xf4;
+
+// Base contracts of the main contract -> proxy kind, most specific first.
+const SOURCE_PROXY_BASES = [
+    [/\bTransparentUpgradeableProxy\b/, 'transparent'],
+    [/\bBeaconProxy\b/, 'beacon'],
+    [/\bERC1967Proxy\b/, 'eip1967'],
+];
+
+function stripComments(content) {
+    return content.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/[^\n]*/g, '');
+}
+
+// The main file (by path) or, if it is not among them, every file.
+function mainSources(files, mainFilePath) {
+    const main = mainFilePath ? files.filter(file => file.path.endsWith(mainFilePath)) : [];
+    return (main.length > 0 ? main : files).map(file => stripComments(file.content));
+}
+
+/**
+ * Proxy signals in verified source files.
+ * @returns {{ kind: string|null, evidence: string[] }}
+ */
+export function sourceProxySignals(files = [], mainFilePath = null) {
+    const evidence = [];
+    let kind = null;
+    for (const content of mainSources(files, mainFilePath)) {
+        const declarations = [...content.matchAll(/\bcontract\s+(\w+)(?:\s+is\s+([^{]+))?\{/g)];
+        for (const [pattern, candidate] of SOURCE_PROXY_BASES) {
+            const declaration = !kind && declarations.find(([, name, bases = '']) => pattern.test(name) || pattern.test(bases));
+            if (declaration) {
+                const [, name, bases = ''] = declaration;
+                kind = candidate;
+                evidence.push(`source: ${name}${bases.trim() ? ` is ${bases.trim().replace(/\s+/g, ' ')}` : ''}`);
+            }
+        }
+        if (!kind && (content.includes(SLOTS.proxiable) || /keccak256\(\s*["']PROXIABLE["']\s*\)/.test(content))) {
+            kind = 'eip1822';
+            evidence.push('source: declares the EIP-1822 PROXIABLE slot');
+        }
+        if (!kind && /\bfallback\s*\([^)]*\)[^{]*\{[\s\S]{0,600}?(?:\bdelegatecall\b|\b_delegate\s*\()/.test(content)) {
+            kind = 'custom';
+            evidence.push('source: fallback() delegates calls');
+        }
+    }
+    return { kind, evidence };
+}
+
+/** True if the runtime bytecode contains a DELEGATECALL opcode (PUSH data is skipped). */
+export function hasDelegatecall(bytecode) {
+    const hex = String(bytecode || '').replace(/^0x/, '');
+    for (let offset = 0; offset + 2 <= hex.length; offset += 2) {
+        const opcode = parseInt(hex.slice(offset, offset + 2), 16);
+        if (opcode === DELEGATECALL) return true;
+        if (opcode >= 0x60 && opcode <= 0x7f) offset += (opcode - 0x5f) * 2; // PUSH1..PUSH32
+    }
+    return false;
+}
+
+// Right-most 20 bytes of a storage word or call result, or null if it holds no address.
+function addressFromWord(word) {
+    const hex = String(word || '').replace(/^0x/, '').padStart(64, '0').slice(-40).toLowerCase();
+    return /^0+$/.test(hex) ? null : `0x${hex}`;
+}
+
+async function mirrorRequest(path, { body } = {}) {
+    const baseUrl = mirrorNodeBaseUrl();
+    if (!baseUrl) return null;
+    try {
+        const response = await fetch(`${baseUrl}${path}`, body
+            ? { method: 'POST', headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' }, body: JSON.stringify(body) }
+            : { method: 'GET', headers: { 'Accept': 'application/json' } });
+        if (!response.ok) {
+            logger.debug(`[Proxy] Mirror Node request ${path} failed (Status ${response.status}).`);
+            return null;
+        }
+        return await response.json();
+    } catch (error) {
+        logger.warn(`[Proxy] Mirror Node request ${path} failed: ${error.message}`);
+        return null;
+    }
+}
+
+async function readSlot(contractId, slot) {
+    const data = await mirrorRequest(`/api/v1/contracts/${contractId}/state?slot=${slot}&limit=1`);
+    return addressFromWord(data?.state?.[0]?.value);
+}
+
+async function callImplementation(address) {
+    const data = await mirrorRequest('/api/v1/contracts/call', { body: { to: address, data: IMPLEMENTATION_SELECTOR, block: 'latest', estimate: false } });
+    return addressFromWord(data?.result);
+}
+
+/**
+ * Maps an EVM address to { address, contract_id }. Long-zero addresses are decoded directly,
+ * others are looked up on the Mirror Node; contract_id is null for accounts and unknown addresses.
+ */
+export async function resolveAddress(address) {
+    if (/^0x0{24}/i.test(address)) {
+        try {
+            return { address, contract_id: ContractId.fromSolidityAddress(address).toString() };
+        } catch { /* Fall through to the Mirror Node */ }
+    }
+    const result = await queryMirrorNodeContract(address);
+    return { address, contract_id: result.success ? result.data?.contract_id || null : null };
+}
+
+/**
+ * Detects whether a contract is a proxy and resolves its current implementation.
+ * @param {string} contractId - '0.0.X'
+ * @param {object} [options]
+ * @param {object[]} [options.files] - Verified source files of the contract, if it has any.
+ * @param {string} [options.mainFilePath]
+ * @returns {Promise<{ contract_id: string, is_proxy: boolean, kind: string|null, implementation: object|null, admin: object|null, beacon: object|null, evidence: string[] }>}
+ *   Addresses are { address, contract_id }. `implementation` is null when the proxy was detected but not resolved.
+ */
+export async function detectProxy(contractId, { files = [], mainFilePath = null } = {}) {
+    const signals = sourceProxySignals(files, mainFilePath);
+    const evidence = [...signals.evidence];
+    const details = await queryMirrorNodeContract(contractId);
+    const bytecode = details.success ? details.data?.runtime_bytecode : null;
+    const result = { contract_id: contractId, is_proxy: false, kind: null, implementation: null, admin: null, beacon: null, evidence };
+
+    const minimal = bytecode && MINIMAL_PROXY_PATTERN.exec(bytecode);
+    if (minimal) {
+        evidence.push('bytecode: EIP-1167 minimal proxy');
+        return { ...result, is_proxy: true, kind: 'minimal', implementation: await resolveAddress(`0x${minimal[1].toLowerCase()}`) };
+    }
+    // Without source signals, storage is only read for contracts that can delegate at all.
+    if (!signals.kind && bytecode && bytecode !== '0x' && !hasDelegatecall(bytecode)) {
+        logger.debug(`[Proxy] ${contractId} has no DELEGATECALL opcode; not a proxy.`);
+        return result;
+    }
+
+    let kind = signals.kind;
+    let implementation = await readSlot(contractId, SLOTS.implementation);
+    let beacon = null;
+    let admin = null;
+    if (implementation) {
+        evidence.push('storage: EIP-1967 implementation slot is set');
+        admin = await readSlot(contractId, SLOTS.admin);
+        if (admin) evidence.push('storage: EIP-1967 admin slot is set');
+        if (!kind || kind === 'custom') kind = admin ? 'transparent' : 'eip1967';
+    } else if ((beacon = await readSlot(contractId, SLOTS.beacon))) {
+        evidence.push('storage: EIP-1967 beacon slot is set');
+        kind = 'beacon';
+        implementation = await callImplementation(beacon);
+        if (implementation) evidence.push('beacon: implementation() returned the logic contract');
+    } else if ((implementation = await readSlot(contractId, SLOTS.proxiable))) {
+        evidence.push('storage: EIP-1822 PROXIABLE slot is set');
+        kind = 'eip1822';
+    } else if ((implementation = await readSlot(contractId, SLOTS.zos))) {
+        evidence.push('storage: ZeppelinOS implementation slot is set');
+        kind = 'zos';
+    }
+
+    if (!kind) return result;
+    if (!implementation) logger.warn(`[Proxy] ${contractId} looks like a ${kind} proxy, but its implementation address could not be resolved.`);
+    return {
+        ...result,
+        is_proxy: true,
+        kind,
+        implementation: implementation ? await resolveAddress(implementation) : null,
+        admin: admin ? await resolveAddress(admin) : null,
+        beacon: beacon ? await resolveAddress(beacon) : null,
+    };
+}
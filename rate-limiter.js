@@ -0,0 +1,123 @@
+// src/rate-limiter.js
+import { logger } from './utils.js';
+
+const WINDOW_MS = 60 * 1000;
+const RETRYABLE_STATUS_CODES = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+
+/**
+ * Raised when the model provider keeps rejecting requests for quota reasons,
+ * so the audit can report "quota exhausted" instead of a generic crash.
+ */
+export class QuotaExhaustedError extends Error {
+    constructor(message, { status = 429, cause } = {}) {
+        super(message);
+        this.name = 'QuotaExhaustedError';
+        this.status = status;
+        this.cause = cause;
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function errorStatus(error) {
+    return error?.status ?? error?.response?.status ?? null;
+}
+
+// Billing/plan quotas don't recover by waiting, so they are not worth retrying.
+function isHardQuotaError(error) {
+    const message = String(error?.message || '');
+    return /insufficient_quota|billing|per ?day|PerDay/i.test(message);
+}
+
+export function isRetryableModelError(error) {
+    const status = errorStatus(error);
+    if (status !== null) return RETRYABLE_STATUS_CODES.has(Number(status));
+    const code = error?.code || error?.cause?.code;
+    if (code && RETRYABLE_NETWORK_CODES.has(code)) return true;
+    return error instanceof TypeError && /fetch failed/i.test(error.message);
+}
+
+/**
+ * Sliding-window limiter for requests-per-minute and tokens-per-minute.
+ * One instance is shared by every audit that uses the same provider/model.
+ * A limit of 0 disables that dimension.
+ */
+function createWindowLimiter({ key, requestsPerMinute, tokensPerMinute }) {
+    const entries = []; // { at, tokens }
+    let queue = Promise.resolve();
+
+    function prune(now) {
+        while (entries.length > 0 && now - entries[0].at >= WINDOW_MS) entries.shift();
+    }
+
+    function waitTimeMs(estimatedTokens, now) {
+        prune(now);
+        const usedTokens = entries.reduce((sum, entry) => sum + entry.tokens, 0);
+        const rpmBlocked = requestsPerMinute > 0 && entries.length >= requestsPerMinute;
+        // A single request bigger than the whole TPM window is let through once the window is empty.
+        const tpmBlocked = tokensPerMinute > 0 && entries.length > 0 && usedTokens + estimatedTokens > tokensPerMinute;
+        if (!rpmBlocked && !tpmBlocked) return 0;
+        return Math.max(50, WINDOW_MS - (now - entries[0].at));
+    }
+
+    return {
+        /**
+         * Waits until a request fits in the window, then reserves it.
+         * @returns {Promise<(actualTokens: number) => void>} Call with the real token count once known.
+         */
+        acquire(estimatedTokens = 0) {
+            const reservation = queue.then(async () => {
+                let waitMs = waitTimeMs(estimatedTokens, Date.now());
+                while (waitMs > 0) {
+                    logger.info(`[RateLimiter] ${key}: window full, waiting ${Math.ceil(waitMs / 1000)}s before the next model request.`);
+                    await sleep(waitMs);
+                    waitMs = waitTimeMs(estimatedTokens, Date.now());
+                }
+                const entry = { at: Date.now(), tokens: estimatedTokens };
+                entries.push(entry);
+                return (actualTokens) => { entry.tokens = actualTokens ?? entry.tokens; };
+            });
+            queue = reservation.catch(() => {});
+            return reservation;
+        },
+    };
+}
+
+const limiters = new Map();
+
+export function getModelRateLimiter(key, limits) {
+    if (!limiters.has(key)) {
+        limiters.set(key, createWindowLimiter({ key, ...limits }));
+    }
+    return limiters.get(key);
+}
+
+/**
+ * Runs `fn` with exponential backoff and full jitter on retryable errors.
+ * Persistent 429s (or billing-quota errors) become a QuotaExhaustedError.
+ */
+export async function withModelRetry(fn, { maxRetries, baseDelayMs, maxDelayMs, label = 'model request' }) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            const status = errorStatus(error);
+            if (Number(status) === 429 && isHardQuotaError(error)) {
+                throw new QuotaExhaustedError(`Model quota exhausted: ${error.message}`, { cause: error });
+            }
+            if (!isRetryableModelError(error)) throw error;
+            if (attempt >= maxRetries) {
+                if (Number(status) === 429) {
+                    throw new QuotaExhaustedError(`Model quota exhausted after ${attempt + 1} attempt(s): ${error.message}`, { cause: error });
+                }
+                throw error;
+            }
+            const delayMs = Math.floor(Math.random() * Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt)));
+            logger.warn(`[RateLimiter] ${label} failed (${status ?? error.code ?? error.name}): ${error.message}. Retry ${attempt + 1}/${maxRetries} in ${delayMs} ms.`);
+            await sleep(delayMs);
+        }
+    }
+}
@@ -0,0 +1,220 @@
+// src/replay.js
+import { pathToFileURL } from 'url';
+import { systemInstruction } from './prompts.js';
+import { logger } from './utils.js';
+import { createScriptedProvider, toFunctionDeclarations } from './llm-providers.js';
+import { createToolRegistry } from './tool-registry.js';
+import { corePlugins } from './audit-plugins.js';
+import { processAuditRequest } from './audit-pipeline.js';
+import { readAuditTrace, TRACE_VERSION } from './audit-trace.js';
+
+/*
+ * Deterministic replay of a recorded audit trace (see audit-trace.js).
+ *
+ * The agent loop in audit-pipeline.js runs for real, but the model is a scripted provider
+ * that returns the recorded model responses, and every tool is stubbed to return its recorded
+ * result (restoring the recorded tool state, e.g. fetched sources). Tools marked `deterministic`
+ * (finalizeAuditReport) run for real, so report validation is exercised too. No Docker,
+ * model API or Hedera access is needed. The wall-clock budget runs on the recorded event times, so
+ * budget notices and calls refused for lack of time recur where the recording had them.
+ *
+ * Replay reports where the new run diverges from the recording: different tool calls,
+ * different messages sent to the model, or a different final payload. Prompt and tool
+ * declaration changes are reported as informational only.
+ *
+ * Traces of jobs that were resumed after a crash may not replay exactly.
+ */
+
+// Differences of these kinds don't fail a replay.
+const INFORMATIONAL_KINDS = new Set(['prompt', 'tools']);
+
+// Fields that legitimately change between runs (wall-clock time, etc.).
+const VOLATILE_PAYLOAD_PATHS = new Set(['/report/usage']);
+
+// Wall-clock time used, as quoted in budget notices (see remainingSummary() in audit-budget.js): the
+// replay's clock only has the times of the recorded events, not of the moment a notice was written.
+const WALL_CLOCK_USAGE = /(wall-clock ms: )\d+\/(\d+) used, \d+ left/g;
+
+function withoutWallClockUsage(input) {
+    return typeof input?.text === 'string' ? { ...input, text: input.text.replace(WALL_CLOCK_USAGE, '$1…/$2') } : input;
+}
+
+function diffValues(recorded, replayed, pointer = '', differences = []) {
+    if (VOLATILE_PAYLOAD_PATHS.has(pointer)) return differences;
+    const bothObjects = recorded && replayed && typeof recorded === 'object' && typeof replayed === 'object'
+        && Array.isArray(recorded) === Array.isArray(replayed);
+    if (!bothObjects) {
+        if (JSON.stringify(recorded) !== JSON.stringify(replayed)) {
+            differences.push({ path: pointer || '/', recorded, replayed });
+        }
+        return differences;
+    }
+    const keys = new Set([...Object.keys(recorded), ...Object.keys(replayed)]);
+    for (const key of keys) {
+        diffValues(recorded[key], replayed[key], `${pointer}/${key}`, differences);
+    }
+    return differences;
+}
+
+// Pairs each recorded tool_result with the tool_call that preceded it.
+function recordedToolCalls(events) {
+    const calls = [];
+    let pendingCall = null;
+    for (const event of events) {
+        if (event.type === 'tool_call') pendingCall = event;
+        if (event.type === 'tool_result') {
+            calls.push({ ...event, args: pendingCall?.id === event.id ? pendingCall.args : undefined });
+            pendingCall = null;
+        }
+    }
+    return calls;
+}
+
+function sameArgs(a, b) {
+    return JSON.stringify(a ?? {}) === JSON.stringify(b ?? {});
+}
+
+/**
+ * Re-runs the agent loop against a recorded trace.
+ * @param {string} tracePath - Path to a .jsonl trace file.
+ * @returns {Promise<{matches: boolean, differences: object[], recordedPayload: object|null, replayedPayload: object|null}>}
+ */
+export async function replayTrace(tracePath) {
+    const events = await readAuditTrace(tracePath);
+    const start = events.find(event => event.type === 'start');
+    if (!start) throw new Error(`Trace ${tracePath} has no 'start' event.`);
+    if (start.version !== TRACE_VERSION) throw new Error(`Unsupported trace version ${start.version} (expected ${TRACE_VERSION}).`);
+
+    const differences = [];
+    const script = events.filter(event => event.type === 'model_response').map(event => event.response);
+    const recordedRequests = events.filter(event => event.type === 'model_request').map(event => withoutWallClockUsage(event.input));
+    const recordedFinal = events.filter(event => event.type === 'final').pop();
+
+    const currentInstruction = systemInstruction.parts.map(part => part.text).join('\n');
+    if (start.systemInstruction !== currentInstruction) {
+        differences.push({ kind: 'prompt', message: 'The system instruction differs from the one used for the recording.' });
+    }
+
+    // Recorded results are consumed in order by the stubbed (non-deterministic) tools.
+    const deterministicTools = new Set(corePlugins.filter(plugin => plugin.deterministic).map(plugin => plugin.name));
+    const recordedCalls = recordedToolCalls(events).filter(call => !deterministicTools.has(call.name));
+    let callCursor = 0;
+
+    let currentCall = null;
+    const replayHandler = () => async (args, context) => {
+        if (currentCall.state) context.state = structuredClone(currentCall.state);
+        return currentCall.result;
+    };
+
+    // Current core plugins (stubbed unless deterministic), plus stubs for any recorded third-party tools.
+    const plugins = corePlugins.map(plugin => plugin.deterministic ? plugin : { ...plugin, handler: replayHandler() });
+    for (const declaration of toFunctionDeclarations(start.tools)) {
+        if (!plugins.some(plugin => plugin.name === declaration.name)) {
+            plugins.push({ ...declaration, description: declaration.description || declaration.name, handler: replayHandler() });
+        }
+    }
+    const baseRegistry = createToolRegistry(plugins);
+
+    // Every non-deterministic call consumes the next recorded call, even if the registry refuses it
+    // (unknown tool, failed precondition, invalid arguments), because the recording saw those calls too.
+    const toolRegistry = {
+        ...baseRegistry,
+        async dispatch(name, args, context) {
+            if (deterministicTools.has(name)) return baseRegistry.dispatch(name, args, context);
+            currentCall = recordedCalls[callCursor++];
+            if (!currentCall) {
+                differences.push({ kind: 'tool', message: `Call to ${name} has no recorded result left to replay.` });
+                return { success: false, error: 'Replay: no recorded result for this call.' };
+            }
+            if (currentCall.name !== name || !sameArgs(currentCall.args, args)) {
+                differences.push({
+                    kind: 'tool',
+                    message: `Tool call #${callCursor} differs from the recording.`,
+                    recorded: { name: currentCall.name, args: currentCall.args },
+                    replayed: { name, args },
+                });
+            }
+            const result = await baseRegistry.dispatch(name, args, context);
+            for (const difference of diffValues(currentCall.result, result)) {
+                differences.push({ kind: 'tool', message: `Result of tool call #${callCursor} (${name}) differs at ${difference.path}.`, ...difference });
+            }
+            return result;
+        },
+    };
+    const recordedDeclarations = JSON.stringify(toFunctionDeclarations(start.tools));
+    if (recordedDeclarations !== JSON.stringify(toFunctionDeclarations(toolRegistry.toTools()))) {
+        differences.push({ kind: 'tools', message: 'The tool declarations differ from the ones used for the recording.' });
+    }
+
+    // Captures what the replayed run would have traced, to compare with the recording.
+    const replayedEvents = [];
+    const captureTrace = {
+        path: null,
+        async record(type, data = {}) { replayedEvents.push({ type, ...data }); },
+        async flush() {},
+    };
+
+    // The recorded time of the event matching the latest replayed one (the start event before any).
+    const recordedTimes = events.map(event => Date.parse(event.at));
+    const clock = () => recordedTimes[Math.min(Math.max(replayedEvents.length, 1), recordedTimes.length) - 1];
+
+    await processAuditRequest(start.request, {
+        llm: createScriptedProvider({ script }),
+        toolRegistry,
+        deliver: async () => {},
+        trace: captureTrace,
+        fetchedSources: start.toolState?.fetchedSources,
+        previousAudit: start.toolState?.previousAudit,
+        clock,
+    });
+
+    const replayedRequests = replayedEvents.filter(event => event.type === 'model_request').map(event => withoutWallClockUsage(event.input));
+    for (let i = 0; i < Math.max(recordedRequests.length, replayedRequests.length); i++) {
+        for (const difference of diffValues(recordedRequests[i], replayedRequests[i], `/${i}`)) {
+            differences.push({ kind: 'model_request', message: `Message #${i + 1} sent to the model differs at ${difference.path}.`, ...difference });
+        }
+    }
+    if (callCursor < recordedCalls.length) {
+        differences.push({ kind: 'tool', message: `${recordedCalls.length - callCursor} recorded tool call(s) were not replayed.` });
+    }
+
+    const replayedPayload = replayedEvents.filter(event => event.type === 'final').pop()?.payload ?? null;
+    const recordedPayload = recordedFinal?.payload ?? null;
+    for (const difference of diffValues(recordedPayload, replayedPayload)) {
+        differences.push({ kind: 'final', message: `Final payload differs at ${difference.path}.`, ...difference });
+    }
+
+    return {
+        matches: differences.every(difference => INFORMATIONAL_KINDS.has(difference.kind)),
+        differences,
+        recordedPayload,
+        replayedPayload,
+    };
+}
+
+async function main() {
+    const tracePath = process.argv[2];
+    if (!tracePath) {
+        console.error('Usage: node src/replay.js <trace.jsonl>');
+        process.exit(1);
+    }
+
+    const { matches, differences } = await replayTrace(tracePath);
+    for (const difference of differences) {
+        const marker = INFORMATIONAL_KINDS.has(difference.kind) ? 'note' : 'DIFF';
+        console.log(`[${marker}] ${difference.kind}: ${difference.message}`);
+        if (difference.recorded !== undefined || difference.replayed !== undefined) {
+            console.log(`    recorded: ${JSON.stringify(difference.recorded)}`);
+            console.log(`    replayed: ${JSON.stringify(difference.replayed)}`);
+        }
+    }
+    console.log(matches ? `Replay of ${tracePath} matches the recording.` : `Replay of ${tracePath} diverged from the recording.`);
+    process.exit(matches ? 0 : 1);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+    main().catch(error => {
+        logger.error(`Replay failed: ${error.message}`);
+        process.exit(1);
+    });
+}
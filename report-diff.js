@@ -0,0 +1,505 @@
+// src/report-diff.js
+import fs from 'fs/promises';
+import path from 'path';
+import { SEVERITY_LEVELS } from './report-schema.js';
+import { readInscription, HRL_PATTERN } from './hedera-hcs.js';
+import { fetchVerifiedSource, logger, calculateRelativePath } from './utils.js';
+import { loadLocalSources } from './local-sources.js';
+
+/*
+ * Diff of two audit reports of the same (or an upgraded) contract, with their source snapshots.
+ *
+ * Findings are paired across the reports and classified as:
+ *   new               only in the current report
+ *   resolved          only in the previous report
+ *   unchanged         in both, same severity
+ *   changed_severity  in both, different severity (previous_severity is kept)
+ * Two findings pair when they belong to corresponding contracts, have the same class_id and share
+ * the enclosing function, the title, or the detector and file. With source snapshots, each affected
+ * function (one that contains a finding on either side) is compared and its changes shown as a line diff.
+ *
+ * Contracts correspond when they have the same ID; the remaining ones pair up in order, so the
+ * audit of an upgrade (new contract ID) compares with the previous deployment.
+ */
+
+export const DIFF_VERSION = 1;
+export const DIFF_STATUSES = ['new', 'resolved', 'changed_severity', 'unchanged'];
+
+const MAX_DIFF_LINES = 80;
+const MAX_FUNCTION_LINES = 400;
+const MAX_CHANGED_FUNCTIONS = 20;
+const MAX_PREVIOUS_FINDINGS_IN_PROMPT = 20;
+
+// --- Solidity function extraction ---
+
+// Blanks out comments and string literals (keeping line breaks), so braces and keywords in them are ignored.
+function stripCommentsAndStrings(source) {
+    return source.replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/g, match => match.replace(/[^\n]/g, ' '));
+}
+
+/**
+ * Functions, modifiers, constructors, fallback and receive functions with a body, per contract.
+ * @param {string} source - Solidity source.
+ * @returns {{ key: string, contract: string|null, name: string, startLine: number, endLine: number }[]}
+ *   key is `Contract.name` (overloads get `#2`, `#3`, ...); lines are 1-based and inclusive.
+ */
+export function extractSolidityFunctions(source) {
+    const code = stripCommentsAndStrings(source);
+    const tokens = /\b(?:contract|library|interface)\s+([A-Za-z_]\w*)|\b(?:function|modifier)\s+([A-Za-z_]\w*)|\b(constructor|fallback|receive)\s*\(|[{};]/g;
+    const lineStarts = [0];
+    for (let i = 0; i < code.length; i++) if (code[i] === '\n') lineStarts.push(i + 1);
+    const lineOf = index => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (lineStarts[mid] <= index) low = mid;
+            else high = mid - 1;
+        }
+        return low + 1;
+    };
+
+    const functions = [];
+    const seen = new Map();
+    const stack = []; // { kind: 'contract'|'function'|'block', name, start }
+    let pending = null;
+    let match;
+    while ((match = tokens.exec(code)) !== null) {
+        const [token, contractName, functionName, specialName] = match;
+        if (contractName) {
+            pending = { kind: 'contract', name: contractName, start: match.index };
+        } else if (functionName || specialName) {
+            pending = { kind: 'function', name: functionName || specialName, start: match.index };
+        } else if (token === ';') {
+            // Declarations without a body (interfaces, abstract functions).
+            if (pending?.kind === 'function') pending = null;
+        } else if (token === '{') {
+            stack.push(pending || { kind: 'block' });
+            pending = null;
+        } else if (token === '}') {
+            const closed = stack.pop();
+            if (closed?.kind !== 'function' || stack.some(entry => entry.kind === 'function')) continue;
+            const contract = [...stack].reverse().find(entry => entry.kind === 'contract')?.name || null;
+            const baseKey = contract ? `${contract}.${closed.name}` : closed.name;
+            const count = (seen.get(baseKey) || 0) + 1;
+            seen.set(baseKey, count);
+            functions.push({
+                key: count > 1 ? `${baseKey}#${count}` : baseKey,
+                contract,
+                name: closed.name,
+                startLine: lineOf(closed.start),
+                endLine: lineOf(match.index),
+            });
+        }
+    }
+    return functions;
+}
+
+// --- Line diff ---
+
+/**
+ * Line diff of two texts (longest common subsequence), as unified-diff style lines without hunk headers.
+ * @returns {string[]} Lines prefixed with ' ', '-' or '+'.
+ */
+export function diffLines(previousText, currentText) {
+    const a = previousText.split(/\r?\n/);
+    const b = currentText.split(/\r?\n/);
+    if (a.length > MAX_FUNCTION_LINES || b.length > MAX_FUNCTION_LINES) {
+        return [`~ (${a.length} -> ${b.length} lines; too long to diff)`];
+    }
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            lines.push(`  ${a[i++]}`);
+            j++;
+        } else if (j < b.length && (i >= a.length || lcs[i][j + 1] > lcs[i + 1][j])) {
+            lines.push(`+ ${b[j++]}`);
+        } else {
+            lines.push(`- ${a[i++]}`);
+        }
+    }
+    return lines;
+}
+
+// Keeps changed lines with 2 lines of context, collapsing the rest.
+function compactDiff(lines) {
+    const keep = lines.map((line, index) => lines.slice(Math.max(0, index - 2), index + 3).some(near => !near.startsWith('  ')));
+    const compact = [];
+    lines.forEach((line, index) => {
+        if (keep[index]) compact.push(line);
+        else if (index === 0 || keep[index - 1]) compact.push('  ...');
+    });
+    return compact.length > MAX_DIFF_LINES ? [...compact.slice(0, MAX_DIFF_LINES), `  ... (${compact.length - MAX_DIFF_LINES} more lines)`] : compact;
+}
+
+// --- Source snapshots ---
+
+function relativeSourcePath(filePath) {
+    return calculateRelativePath(filePath, '[ReportDiff]');
+}
+
+function findSourceFile(source, file) {
+    if (!source?.files || !file) return null;
+    const wanted = relativeSourcePath(file);
+    return source.files.find(candidate => relativeSourcePath(candidate.path) === wanted)
+        || source.files.find(candidate => candidate.path.endsWith(`/${wanted}`) || wanted.endsWith(`/${relativeSourcePath(candidate.path)}`))
+        || null;
+}
+
+function functionsOf(file, cache) {
+    if (!file) return [];
+    if (!cache.has(file)) cache.set(file, extractSolidityFunctions(file.content));
+    return cache.get(file);
+}
+
+function functionText(file, fn) {
+    return file.content.split(/\r?\n/).slice(fn.startLine - 1, fn.endLine).join('\n');
+}
+
+// --- Finding pairing ---
+
+function idsOf(report) {
+    return (report.contract_ids || [report.contract_id]).filter(Boolean);
+}
+
+/**
+ * Maps previous contract IDs to current ones: equal IDs first, then the remaining ones in order.
+ * @returns {Map<string, string>} previous ID -> current ID
+ */
+function pairContracts(previousIds, currentIds) {
+    const pairs = new Map(previousIds.filter(id => currentIds.includes(id)).map(id => [id, id]));
+    const restPrevious = previousIds.filter(id => !pairs.has(id));
+    const restCurrent = currentIds.filter(id => !previousIds.includes(id));
+    restPrevious.forEach((id, index) => { if (restCurrent[index]) pairs.set(id, restCurrent[index]); });
+    return pairs;
+}
+
+function normalizeTitle(title) {
+    return String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function severityRank(severity) {
+    const rank = SEVERITY_LEVELS.indexOf(severity);
+    return rank === -1 ? SEVERITY_LEVELS.length : rank;
+}
+
+// Facts used to pair a finding: its contract (in current IDs), function, file, etc.
+function describeFinding(finding, contractKey, sources, cache) {
+    const contractSource = sources[finding.contract_id] || (Object.keys(sources).length === 1 ? Object.values(sources)[0] : null);
+    const file = findSourceFile(contractSource, finding.location?.file);
+    const [line] = finding.location?.lines || [];
+    const fn = file && line ? functionsOf(file, cache).find(candidate => candidate.startLine <= line && line <= candidate.endLine) : null;
+    return {
+        finding,
+        contract: contractKey,
+        classId: finding.class_id || null,
+        title: normalizeTitle(finding.title),
+        file: finding.location?.file ? relativeSourcePath(finding.location.file) : null,
+        function: fn?.key || null,
+        detector: finding.detector || null,
+        sourceFile: file,
+    };
+}
+
+function pairScore(previous, current) {
+    if (previous.contract !== current.contract) return -1;
+    if (previous.classId && current.classId && previous.classId !== current.classId) return -1;
+    const sameFunction = Boolean(previous.function && previous.function === current.function);
+    const sameTitle = previous.title === current.title;
+    const sameDetectorAndFile = Boolean(previous.detector && previous.detector === current.detector && previous.file === current.file);
+    if (!previous.classId || !current.classId) return sameTitle ? 2 : -1;
+    if (!sameFunction && !sameTitle && !sameDetectorAndFile) return -1;
+    return (sameFunction ? 2 : 0) + (sameTitle ? 2 : 0) + (sameDetectorAndFile ? 1 : 0);
+}
+
+function findingEntry(status, { previous, current }) {
+    const finding = current?.finding || previous.finding;
+    return JSON.parse(JSON.stringify({
+        status,
+        id: current?.finding.id,
+        previous_id: previous?.finding.id,
+        title: finding.title,
+        class_id: finding.class_id,
+        contract_id: current?.finding.contract_id,
+        previous_contract_id: previous?.finding.contract_id,
+        severity: current?.finding.severity,
+        previous_severity: previous?.finding.severity,
+        function: current?.function || previous?.function || undefined,
+    }));
+}
+
+// --- Diff ---
+
+/**
+ * Compares two reports.
+ * @param {object} previous - Previous report (the `report` of a payload).
+ * @param {object} current - Current report.
+ * @param {object} [options]
+ * @param {object} [options.previousSources] - Source snapshot of the previous audit, keyed by contract ID like fetchedSources.
+ * @param {object} [options.currentSources] - Source snapshot of the current audit.
+ * @returns {object} { diff_version, previous, current, score_delta, counts, findings, source_changes?, summary }
+ */
+export function diffReports(previous, current, { previousSources = {}, currentSources = {} } = {}) {
+    const previousIds = idsOf(previous);
+    const currentIds = idsOf(current);
+    const contractPairs = pairContracts(previousIds, currentIds);
+    const onlyOneEach = previousIds.length <= 1 && currentIds.length <= 1;
+    const cache = new Map();
+
+    const previousEntries = (previous.findings || []).map(finding => describeFinding(
+        finding,
+        onlyOneEach ? '*' : contractPairs.get(finding.contract_id) || `previous:${finding.contract_id}`,
+        previousSources,
+        cache,
+    ));
+    const currentEntries = (current.findings || []).map(finding => describeFinding(finding, onlyOneEach ? '*' : finding.contract_id, currentSources, cache));
+
+    const paired = new Set();
+    const findings = [];
+    for (const entry of currentEntries) {
+        let best = null;
+        let bestScore = -1;
+        previousEntries.forEach((candidate, index) => {
+            if (paired.has(index)) return;
+            const score = pairScore(candidate, entry);
+            if (score > bestScore) {
+                best = index;
+                bestScore = score;
+            }
+        });
+        if (best === null) {
+            findings.push({ entry: findingEntry('new', { current: entry }), previous: null, current: entry });
+            continue;
+        }
+        paired.add(best);
+        const previousEntry = previousEntries[best];
+        const status = previousEntry.finding.severity === entry.finding.severity ? 'unchanged' : 'changed_severity';
+        findings.push({ entry: findingEntry(status, { previous: previousEntry, current: entry }), previous: previousEntry, current: entry });
+    }
+    previousEntries.forEach((entry, index) => {
+        if (!paired.has(index)) findings.push({ entry: findingEntry('resolved', { previous: entry }), previous: entry, current: null });
+    });
+    findings.sort((a, b) => DIFF_STATUSES.indexOf(a.entry.status) - DIFF_STATUSES.indexOf(b.entry.status)
+        || severityRank(a.entry.severity || a.entry.previous_severity) - severityRank(b.entry.severity || b.entry.previous_severity));
+
+    const counts = Object.fromEntries(DIFF_STATUSES.map(status => [status, findings.filter(item => item.entry.status === status).length]));
+    const hasSources = Object.keys(previousSources).length > 0 && Object.keys(currentSources).length > 0;
+    const diff = {
+        diff_version: DIFF_VERSION,
+        previous: { contract_ids: previousIds, score: previous.score, findings: (previous.findings || []).length },
+        current: { contract_ids: currentIds, score: current.score, findings: (current.findings || []).length },
+        score_delta: typeof previous.score === 'number' && typeof current.score === 'number' ? current.score - previous.score : null,
+        counts,
+        findings: findings.map(item => item.entry),
+        ...(hasSources ? { source_changes: sourceChanges(findings, { previousSources, currentSources, contractPairs, onlyOneEach, cache }) } : {}),
+    };
+    diff.summary = summarizeDiff(diff);
+    return diff;
+}
+
+// Changed files per contract pair, and the diff of every function that holds a finding on either side.
+function sourceChanges(findings, { previousSources, currentSources, contractPairs, onlyOneEach, cache }) {
+    const pairs = onlyOneEach
+        ? [[Object.keys(previousSources)[0], Object.keys(currentSources)[0]]]
+        : [...contractPairs].filter(([previousId, currentId]) => previousSources[previousId] && currentSources[currentId]);
+
+    const files = [];
+    for (const [previousId, currentId] of pairs) {
+        const previousFiles = new Map((previousSources[previousId]?.files || []).map(file => [relativeSourcePath(file.path), file]));
+        const currentFiles = new Map((currentSources[currentId]?.files || []).map(file => [relativeSourcePath(file.path), file]));
+        const contract = onlyOneEach ? {} : { contract_id: currentId, previous_contract_id: previousId };
+        for (const [file, source] of currentFiles) {
+            if (!previousFiles.has(file)) files.push({ file, status: 'added', ...contract });
+            else if (previousFiles.get(file).content !== source.content) files.push({ file, status: 'modified', ...contract });
+        }
+        for (const file of previousFiles.keys()) {
+            if (!currentFiles.has(file)) files.push({ file, status: 'removed', ...contract });
+        }
+    }
+
+    // Affected functions, by file and key; a finding's function is looked up in both snapshots.
+    const affected = new Map();
+    for (const { previous, current } of findings) {
+        for (const side of [previous, current].filter(Boolean)) {
+            if (!side.function || !side.file) continue;
+            const key = `${side.contract}|${side.file}|${side.function}`;
+            if (!affected.has(key)) affected.set(key, { contract: side.contract, file: side.file, function: side.function, contractId: side.finding.contract_id });
+        }
+    }
+
+    const functions = [];
+    for (const item of affected.values()) {
+        const pair = onlyOneEach ? pairs[0] : [...contractPairs].find(([previousId, currentId]) => item.contract === currentId || previousId === item.contractId);
+        const previousFile = findSourceFile(previousSources[pair?.[0]], item.file);
+        const currentFile = findSourceFile(currentSources[pair?.[1]], item.file);
+        const previousFn = previousFile && functionsOf(previousFile, cache).find(fn => fn.key === item.function);
+        const currentFn = currentFile && functionsOf(currentFile, cache).find(fn => fn.key === item.function);
+        const entry = { file: item.file, function: item.function, ...(onlyOneEach ? {} : { contract_id: pair?.[1] }) };
+        if (previousFn && currentFn) {
+            const before = functionText(previousFile, previousFn);
+            const after = functionText(currentFile, currentFn);
+            if (before === after) functions.push({ ...entry, status: 'unchanged' });
+            else functions.push({ ...entry, status: 'modified', diff: compactDiff(diffLines(before, after)).join('\n') });
+        } else if (currentFn) {
+            functions.push({ ...entry, status: 'added' });
+        } else if (previousFn) {
+            functions.push({ ...entry, status: 'removed' });
+        }
+    }
+    functions.sort((a, b) => (a.status === 'unchanged') - (b.status === 'unchanged'));
+    return { files, functions: functions.slice(0, MAX_CHANGED_FUNCTIONS) };
+}
+
+function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * One-paragraph "re-audit" summary of a diff.
+ */
+export function summarizeDiff(diff) {
+    const { counts } = diff;
+    const sameContracts = JSON.stringify(diff.previous.contract_ids) === JSON.stringify(diff.current.contract_ids);
+    const subject = sameContracts
+        ? `Re-audit of ${diff.current.contract_ids.join(', ') || 'the target'}`
+        : `Re-audit of ${diff.current.contract_ids.join(', ') || 'the target'} against the previous audit of ${diff.previous.contract_ids.join(', ') || 'another target'}`;
+
+    const newBySeverity = SEVERITY_LEVELS
+        .map(severity => [severity, diff.findings.filter(finding => finding.status === 'new' && finding.severity === severity).length])
+        .filter(([, count]) => count > 0)
+        .map(([severity, count]) => `${count} ${severity}`);
+    const parts = [
+        `${counts.resolved} resolved`,
+        `${counts.new} new${newBySeverity.length > 0 ? ` (${newBySeverity.join(', ')})` : ''}`,
+        `${counts.unchanged} unchanged`,
+    ];
+    if (counts.changed_severity > 0) {
+        const changes = diff.findings.filter(finding => finding.status === 'changed_severity')
+            .map(finding => `${finding.previous_severity} -> ${finding.severity}`);
+        parts.push(`${plural(counts.changed_severity, 'finding')} with a changed severity (${changes.join(', ')})`);
+    }
+    const sentences = [`${subject}: ${parts.join(', ')}.`];
+    if (diff.score_delta !== null) {
+        sentences.push(`Score ${diff.previous.score} -> ${diff.current.score} (${diff.score_delta >= 0 ? '+' : ''}${diff.score_delta}).`);
+    }
+    if (diff.source_changes) {
+        const modifiedFiles = diff.source_changes.files.length;
+        const changedFunctions = diff.source_changes.functions.filter(fn => fn.status !== 'unchanged').length;
+        sentences.push(modifiedFiles === 0
+            ? 'The sources are identical.'
+            : `${plural(modifiedFiles, 'source file')} changed; ${plural(changedFunctions, 'affected function')} changed.`);
+    }
+    return sentences.join(' ');
+}
+
+// --- Loading reports and sources ---
+
+// Accepts a delivered payload ({ status, report }) or a bare report.
+function reportFromJson(data, label) {
+    const payload = data && typeof data === 'object' && 'status' in data ? data : { status: 'success', report: data };
+    if (payload.status !== 'success') throw new Error(`${label} is an error report: ${payload.report?.summary || 'no summary'}`);
+    if (!payload.report || !Array.isArray(payload.report.findings)) throw new Error(`${label} is not an audit report.`);
+    return payload.report;
+}
+
+/**
+ * Loads a report from a JSON file or an HRL (hcs://1/0.0.X, as delivered over HCS-10).
+ * @throws {Error} If it can't be read or isn't a successful audit report.
+ */
+export async function loadReport(reference) {
+    const text = HRL_PATTERN.test(reference) ? await readInscription(reference) : await fs.readFile(reference, 'utf8');
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${reference} is not valid JSON: ${error.message}`);
+    }
+    return reportFromJson(data, reference);
+}
+
+/**
+ * Loads a source snapshot, keyed like fetchedSources: verified sources of one or more contract IDs,
+ * or a local path (see local-sources.js), keyed 'local'.
+ * @param {string|string[]} reference - Contract ID(s) or a path.
+ * @throws {Error} If a source set can't be loaded.
+ */
+export async function loadSourceSnapshot(reference) {
+    const references = Array.isArray(reference) ? reference : [reference];
+    const snapshot = {};
+    for (const item of references) {
+        if (/^0\.0\.\d+$/.test(item)) {
+            const fetched = await fetchVerifiedSource(item);
+            if (!fetched.success) throw new Error(`Could not fetch the sources of ${item}: ${fetched.error}`);
+            snapshot[item] = { files: fetched.files, mainFilePath: fetched.mainFileName };
+        } else {
+            const local = await loadLocalSources(path.resolve(item));
+            if (!local.success) throw new Error(local.error);
+            snapshot.local = { files: local.files, mainFilePath: local.mainFileName };
+        }
+    }
+    return snapshot;
+}
+
+/**
+ * Loads what a re-audit compares against: the previous report and the sources of its contracts
+ * that this audit doesn't fetch itself. Failures are returned, not thrown, so the audit still runs.
+ * @param {string} hrl - HRL of the previous report.
+ * @param {string[]} contractIds - Contracts of the current audit.
+ * @returns {Promise<{hrl: string, report?: object, sources?: object, error?: string}>}
+ */
+export async function loadPreviousAudit(hrl, contractIds = []) {
+    try {
+        const report = await loadReport(hrl);
+        const otherIds = idsOf(report).filter(id => !contractIds.includes(id));
+        let sources = {};
+        try {
+            sources = otherIds.length > 0 ? await loadSourceSnapshot(otherIds) : {};
+        } catch (error) {
+            logger.warn(`[ReportDiff] Re-audit without previous sources: ${error.message}`);
+        }
+        logger.info(`[ReportDiff] Loaded previous report ${hrl} (${report.findings.length} finding(s)) for the re-audit.`);
+        return { hrl, report, sources };
+    } catch (error) {
+        logger.warn(`[ReportDiff] Could not load previous report ${hrl}: ${error.message}`);
+        return { hrl, error: error.message };
+    }
+}
+
+/**
+ * Prompt addition for a re-audit: the previous findings the model should re-check.
+ */
+export function previousFindingsPrompt(previousAudit) {
+    if (!previousAudit?.report) return '';
+    const findings = previousAudit.report.findings.slice(0, MAX_PREVIOUS_FINDINGS_IN_PROMPT).map((finding, index) => {
+        const location = finding.location?.file ? ` at ${finding.location.file}${finding.location.lines ? `:${finding.location.lines.join('-')}` : ''}` : '';
+        return `- ${finding.id || `#${index + 1}`} [${finding.severity}] ${finding.title}${finding.contract_id ? ` (${finding.contract_id})` : ''}${location}`;
+    });
+    const more = previousAudit.report.findings.length - findings.length;
+    return `\n\nThis is a re-audit. The previous report (${previousAudit.hrl}, contracts ${idsOf(previousAudit.report).join(', ') || 'unknown'}, score ${previousAudit.report.score}) had these findings:\n`
+        + `${findings.join('\n') || '- none'}${more > 0 ? `\n- ... and ${more} more` : ''}\n`
+        + 'Check whether each of them is fixed. Report the ones that are still present again, with the same title, and look for new issues as usual.';
+}
+
+/**
+ * The `reaudit` section of a re-audit report: the diff against the previous report, or the reason there is none.
+ * @param {object} previousAudit - From loadPreviousAudit().
+ * @param {object} report - Current (normalized) report.
+ * @param {object} currentSources - fetchedSources of the current audit.
+ */
+export function reauditSection(previousAudit, report, currentSources = {}) {
+    if (!previousAudit.report) return { previous_report: previousAudit.hrl, error: previousAudit.error || 'The previous report could not be loaded.' };
+    // Contracts audited both times have the same verified sources; only the others were fetched separately.
+    const previousSources = { ...previousAudit.sources };
+    for (const id of idsOf(previousAudit.report)) {
+        if (!previousSources[id] && currentSources[id]) previousSources[id] = currentSources[id];
+    }
+    return { previous_report: previousAudit.hrl, ...diffReports(previousAudit.report, report, { previousSources, currentSources }) };
+}
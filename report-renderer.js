@@ -0,0 +1,513 @@
+// src/report-renderer.js
+import { SEVERITY_LEVELS } from './report-schema.js';
+import { sameFile } from './finding-normalizer.js';
+import { exportSarif } from './sarif-export.js';
+import { toolVersionKey } from './analyzers.js';
+
+/*
+ * Human-readable renderings of a final payload ({ status, report }): a Markdown document
+ * and a self-contained HTML file (inline CSS, no external assets).
+ *
+ * Besides the payload, rendering takes an optional context:
+ *   sources       fetchedSources of the audit ({ [contractId]: { files: [{ path, content }] } }),
+ *                 used for code excerpts around each finding's location
+ *   pocTests      [{ file, contract_id, code, passed }] as recorded by the executeSolidityTest plugin
+ *   toolVersions  { image, slither?, forge? } as returned by getToolVersions() (audit-tools.js)
+ *
+ * renderReport() also produces the machine-readable SARIF export (see sarif-export.js).
+ */
+
+export const RENDER_FORMATS = ['markdown', 'html', 'sarif'];
+
+const EXCERPT_CONTEXT_LINES = 2;
+const MAX_EXCERPT_LINES = 30;
+
+const SEVERITY_COLORS = {
+    Critical: '#8b0000',
+    High: '#d9480f',
+    Medium: '#e67700',
+    Low: '#1971c2',
+    Informational: '#495057',
+    Optimization: '#2b8a3e',
+};
+
+function sortedFindings(report) {
+    return [...(report.findings || [])]
+        .sort((a, b) => SEVERITY_LEVELS.indexOf(a.severity) - SEVERITY_LEVELS.indexOf(b.severity));
+}
+
+function severityCounts(findings) {
+    return SEVERITY_LEVELS.map(severity => ({ severity, count: findings.filter(finding => finding.severity === severity).length }));
+}
+
+function auditedLabel(report) {
+    return (report.contract_ids || [report.contract_id]).filter(Boolean).join(', ') || 'local sources';
+}
+
+function locationLabel(location) {
+    if (!location?.file) return null;
+    const [start, end = start] = location.lines || [];
+    if (!start) return location.file;
+    return start === end ? `${location.file}:${start}` : `${location.file}:${start}-${end}`;
+}
+
+function addressLabel(entry) {
+    if (!entry) return '';
+    return entry.contract_id ? `${entry.contract_id} (${entry.address})` : entry.address;
+}
+
+// Proxies among the audited contracts (see proxy-detection.js): [proxy, pattern, implementation, admin, beacon].
+function proxyRows(report) {
+    return (report.proxies || []).map(proxy => [
+        proxy.contract_id,
+        proxy.kind,
+        addressLabel(proxy.implementation) || 'unresolved',
+        addressLabel(proxy.admin),
+        addressLabel(proxy.beacon),
+    ]);
+}
+
+// Source verification statuses for the report header, e.g. 'full' or '0.0.1 full, 0.0.2 mismatch'.
+function verificationLabel(report) {
+    const entries = report.source_verification || [];
+    if (entries.length === 1) return entries[0].status;
+    return entries.map(entry => `${entry.contract_id} ${entry.status}`).join(', ');
+}
+
+function bytecodeOnlyNotice(report) {
+    if (!report.analysis_mode) return null;
+    const contractIds = (report.bytecode_analysis || []).map(analysis => analysis.contract_id);
+    return `Lower confidence: ${contractIds.join(', ')} had no verified source and ${contractIds.length > 1 ? 'were' : 'was'} analyzed from bytecode only.`;
+}
+
+// Bytecode-only contracts (see bytecode-analyzer.js): facts, dangerous opcodes and functions as [label, headers, rows].
+function bytecodeTables(analysis) {
+    return [
+        ['Dangerous opcodes', ['Opcode', 'Count', 'Offsets', 'Risk'],
+            (analysis.dangerous_opcodes || []).map(entry => [entry.opcode, entry.count, (entry.offsets || []).join(', '), entry.risk || ''])],
+        ['Hedera system contracts', ['Address', 'Name', 'References'],
+            (analysis.system_contracts || []).map(entry => [entry.address, entry.name, entry.references])],
+        ['Functions', ['Selector', 'Signature', 'Sensitive'],
+            analysis.functions.map(fn => [fn.selector, fn.signature || 'unknown', fn.sensitive ? 'yes' : ''])],
+    ].filter(([, , rows]) => rows.length > 0);
+}
+
+function bytecodeFacts(analysis) {
+    return [
+        `Code size: ${analysis.code_size} bytes`,
+        `Compiler: ${analysis.compiler || 'unknown'}`,
+        analysis.system_calls?.length > 0 && `System calls: ${analysis.system_calls.join(', ')}`,
+    ].filter(Boolean);
+}
+
+function toolRows(report, toolVersions = {}) {
+    const rows = (report.tools_used || []).map(tool => {
+        const key = toolVersionKey(tool);
+        return { tool, version: (key && toolVersions[key]) || null };
+    });
+    if (toolVersions.image) rows.push({ tool: 'Docker image', version: toolVersions.image });
+    return rows;
+}
+
+function usageRows(usage) {
+    return Object.entries(usage.consumed).map(([resource, consumed]) => [resource, consumed, usage.limits?.[resource] || 'none']);
+}
+
+function diffSeverity(finding) {
+    return finding.status === 'changed_severity' ? `${finding.previous_severity} → ${finding.severity}` : finding.severity || finding.previous_severity;
+}
+
+const DIFF_STATUS_LABELS = {
+    new: 'New',
+    resolved: 'Resolved',
+    changed_severity: 'Severity changed',
+    unchanged: 'Unchanged',
+};
+
+function detailsText(details) {
+    if (details === undefined || details === null || details === '') return null;
+    return typeof details === 'string' ? details : JSON.stringify(details, null, 2);
+}
+
+function sourceDetail(finding) {
+    if (!finding.detector) return (finding.sources || []).join(', ') || null;
+    const tool = [finding.tool_impact && `impact ${finding.tool_impact}`, finding.tool_confidence && `confidence ${finding.tool_confidence}`]
+        .filter(Boolean).join(', ');
+    return `${(finding.sources || []).join(', ') || 'model'} (detector ${finding.detector}${tool ? `, ${tool}` : ''})`;
+}
+
+/**
+ * Lines around a finding's location, from the fetched sources of its contract (or of any
+ * contract if it has none). Null if the location or the file is unknown.
+ * @returns {{ file: string, lines: { number: number, text: string, flagged: boolean }[] } | null}
+ */
+function codeExcerpt(finding, sources = {}) {
+    const [start, end = start] = finding.location?.lines || [];
+    if (!finding.location?.file || !start) return null;
+    const candidates = finding.contract_id && sources[finding.contract_id] ? [sources[finding.contract_id]] : Object.values(sources);
+    const file = candidates.flatMap(source => source?.files || []).find(candidate => sameFile(candidate.path, finding.location.file));
+    if (!file) return null;
+
+    const allLines = file.content.split(/\r?\n/);
+    const first = Math.max(1, start - EXCERPT_CONTEXT_LINES);
+    const last = Math.min(allLines.length, end + EXCERPT_CONTEXT_LINES, first + MAX_EXCERPT_LINES - 1);
+    if (first > last) return null;
+    const lines = [];
+    for (let number = first; number <= last; number++) {
+        lines.push({ number, text: allLines[number - 1], flagged: number >= start && number <= end });
+    }
+    return { file: file.path, lines };
+}
+
+function excerptText(excerpt) {
+    const width = String(excerpt.lines[excerpt.lines.length - 1].number).length;
+    return excerpt.lines.map(line => `${line.flagged ? '>' : ' '} ${String(line.number).padStart(width)} | ${line.text}`).join('\n');
+}
+
+// --- Markdown ---
+
+function markdownCell(value) {
+    return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+// Fence longer than any backtick run in the content, so code can't close it early.
+function markdownFence(content, language = '') {
+    const longestRun = Math.max(2, ...(content.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    return `${fence}${language}\n${content}\n${fence}`;
+}
+
+function markdownTable(headers, rows) {
+    return [
+        `| ${headers.join(' | ')} |`,
+        `| ${headers.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${row.map(markdownCell).join(' | ')} |`),
+    ].join('\n');
+}
+
+// Re-audit diff (see report-diff.js) as Markdown sections, under headings of the given level.
+function markdownDiffSections(diff, level) {
+    const heading = '#'.repeat(level);
+    const sections = [diff.summary];
+    if (diff.findings.length > 0) {
+        sections.push(markdownTable(
+            ['Status', 'Severity', 'Title', 'Contract', 'Function'],
+            diff.findings.map(finding => [DIFF_STATUS_LABELS[finding.status], diffSeverity(finding), finding.title, finding.contract_id || finding.previous_contract_id || '', finding.function || '']),
+        ));
+    }
+    if (diff.source_changes?.files.length > 0) {
+        sections.push(`${heading} Changed Source Files`, markdownTable(['File', 'Change'], diff.source_changes.files.map(file => [file.file, file.status])));
+    }
+    for (const fn of diff.source_changes?.functions || []) {
+        if (fn.status === 'unchanged') continue;
+        sections.push(`${heading} \`${fn.function}\` (${fn.status})`);
+        if (fn.diff) sections.push(markdownFence(fn.diff, 'diff'));
+    }
+    return sections;
+}
+
+/**
+ * Renders a report diff (from diffReports()) as a Markdown document.
+ * @returns {string}
+ */
+export function renderDiffMarkdown(diff) {
+    const target = diff.current.contract_ids.join(', ') || 'local sources';
+    return `${[`# Re-audit: ${target}`, ...markdownDiffSections(diff, 2)].join('\n\n')}\n`;
+}
+
+/**
+ * Renders a final payload as Markdown.
+ * @param {object} payload - { status, report } as delivered by the audit pipeline.
+ * @param {object} [context] - { sources, pocTests, toolVersions }; see the top of this file.
+ * @returns {string}
+ */
+export function renderMarkdown(payload, { sources = {}, pocTests = [], toolVersions = {} } = {}) {
+    const report = payload.report || {};
+    const sections = [];
+
+    if (payload.status !== 'success') {
+        sections.push(`# Audit of ${auditedLabel(report)} failed`, report.summary || 'Unknown error.');
+        const error = report.findings?.[0];
+        if (error?.description) sections.push(markdownFence(error.description));
+        return `${sections.join('\n\n')}\n`;
+    }
+
+    const findings = sortedFindings(report);
+    const scoreLine = [`**Score:** ${report.score}/100`];
+    if (report.model_score !== undefined && report.model_score !== report.score) scoreLine.push(`**Model score:** ${report.model_score}/100`);
+    if (report.schema_version) scoreLine.push(`**Schema:** ${report.schema_version}`);
+    if (verificationLabel(report)) scoreLine.push(`**Bytecode match:** ${verificationLabel(report)}`);
+    sections.push(`# Audit Report: ${auditedLabel(report)}`, scoreLine.join(' · '));
+    if (bytecodeOnlyNotice(report)) sections.push(`> **${bytecodeOnlyNotice(report)}**`);
+    sections.push('## Summary', report.summary);
+
+    sections.push('## Severity Overview', markdownTable(['Severity', 'Count'], severityCounts(findings).map(({ severity, count }) => [severity, count])));
+
+    sections.push(`## Findings (${findings.length})`);
+    if (findings.length === 0) sections.push('No findings.');
+    if (findings.length > 0) {
+        sections.push(markdownTable(
+            ['ID', 'Severity', 'Title', 'Contract', 'Location'],
+            findings.map((finding, index) => [finding.id || `#${index + 1}`, finding.severity, finding.title, finding.contract_id || '', locationLabel(finding.location) || '']),
+        ));
+    }
+    findings.forEach((finding, index) => {
+        const facts = [
+            finding.class_id && `- **Class:** ${finding.class_id}${finding.category ? ` (${finding.category})` : ''}`,
+            finding.contract_id && `- **Contract:** ${finding.contract_id}`,
+            finding.location?.file && `- **Location:** \`${locationLabel(finding.location)}\``,
+            sourceDetail(finding) && `- **Reported by:** ${sourceDetail(finding)}`,
+            finding.model_severity && finding.model_severity !== finding.severity && `- **Model severity:** ${finding.model_severity}`,
+            finding.confidence && `- **Confidence:** ${finding.confidence}`,
+            finding.merged_titles?.length && `- **Merged from:** ${finding.merged_titles.join('; ')}`,
+        ].filter(Boolean);
+        sections.push(`### ${finding.id || `#${index + 1}`} [${finding.severity}] ${finding.title}`);
+        if (facts.length > 0) sections.push(facts.join('\n'));
+        sections.push(`**Description**\n\n${finding.description}`, `**Recommendation**\n\n${finding.recommendation}`);
+        if (finding.confirmation) sections.push(`**Confirmation**\n\n${finding.confirmation}`);
+        const excerpt = codeExcerpt(finding, sources);
+        if (excerpt) sections.push(`**Code** (\`${excerpt.file}\`)\n\n${markdownFence(excerptText(excerpt))}`);
+        const details = detailsText(finding.details);
+        if (details) sections.push(`**Details**\n\n${typeof finding.details === 'string' ? details : markdownFence(details, 'json')}`);
+    });
+
+    const proxies = proxyRows(report);
+    if (proxies.length > 0) sections.push('## Proxies', markdownTable(['Proxy', 'Pattern', 'Implementation', 'Admin', 'Beacon'], proxies));
+
+    for (const analysis of report.bytecode_analysis || []) {
+        sections.push(`## Bytecode Analysis: ${analysis.contract_id}`, bytecodeFacts(analysis).map(fact => `- ${fact}`).join('\n'));
+        for (const [label, headers, rows] of bytecodeTables(analysis)) sections.push(`**${label}**`, markdownTable(headers, rows));
+    }
+
+    if (report.cross_contract_interactions) sections.push('## Cross-Contract Interactions', report.cross_contract_interactions);
+
+    if (report.reaudit) {
+        sections.push(`## Re-audit (previous report: ${report.reaudit.previous_report})`);
+        if (report.reaudit.error) sections.push(`The previous report could not be compared: ${report.reaudit.error}`);
+        else sections.push(...markdownDiffSections(report.reaudit, 3));
+    }
+
+    if (pocTests.length > 0) {
+        sections.push('## Proof-of-Concept Tests');
+        for (const test of pocTests) {
+            sections.push(`### ${test.file} (${test.passed ? 'passed' : 'failed'})${test.contract_id ? ` · ${test.contract_id}` : ''}`, markdownFence(test.code, 'solidity'));
+        }
+    }
+
+    const tools = toolRows(report, toolVersions);
+    sections.push('## Tools', tools.length > 0 ? markdownTable(['Tool', 'Version'], tools.map(({ tool, version }) => [tool, version || 'unknown'])) : 'No tools were used.');
+
+    if (report.usage?.consumed) {
+        sections.push('## Resource Usage', markdownTable(['Resource', 'Consumed', 'Limit'], usageRows(report.usage)));
+    }
+    return `${sections.join('\n\n')}\n`;
+}
+
+// --- HTML ---
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Paragraphs from plain text; the model's text is never interpreted as HTML.
+function htmlText(text) {
+    return String(text ?? '').split(/\n{2,}/).map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`).join('\n');
+}
+
+function htmlTable(headers, rows) {
+    return `<table>\n<thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>\n<tbody>\n${
+        rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('\n')
+    }\n</tbody>\n</table>`;
+}
+
+function severityBadge(severity) {
+    return `<span class="badge" style="background:${SEVERITY_COLORS[severity] || '#495057'}">${escapeHtml(severity)}</span>`;
+}
+
+function htmlExcerpt(excerpt) {
+    const width = String(excerpt.lines[excerpt.lines.length - 1].number).length;
+    const lines = excerpt.lines.map(line => `<span class="${line.flagged ? 'line flagged' : 'line'}"><span class="ln">${String(line.number).padStart(width)}</span>${escapeHtml(line.text)}</span>`);
+    return `<div class="code-label">${escapeHtml(excerpt.file)}</div><pre class="code">${lines.join('\n')}</pre>`;
+}
+
+const HTML_STYLE = `
+body { font-family: -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #212529; line-height: 1.5; }
+h1 { border-bottom: 2px solid #dee2e6; padding-bottom: .3rem; }
+h2 { margin-top: 2.5rem; border-bottom: 1px solid #dee2e6; }
+table { border-collapse: collapse; margin: 1rem 0; }
+th, td { border: 1px solid #dee2e6; padding: .35rem .7rem; text-align: left; vertical-align: top; }
+th { background: #f1f3f5; }
+.badge { color: #fff; border-radius: 4px; padding: .1rem .45rem; font-size: .85em; font-weight: 600; }
+.finding { border: 1px solid #dee2e6; border-radius: 6px; padding: 0 1rem 1rem; margin: 1.5rem 0; }
+.facts { color: #495057; font-size: .95em; }
+.score { font-size: 1.2em; }
+pre { background: #f8f9fa; border: 1px solid #e9ecef; border-radius: 4px; padding: .75rem; overflow-x: auto; font-size: .85em; }
+.code .line { display: block; }
+.code .flagged { background: #fff3bf; }
+.code .ln { display: inline-block; color: #868e96; margin-right: 1rem; user-select: none; }
+.code-label { font-family: monospace; color: #495057; font-size: .85em; margin-top: 1rem; }
+.notice { background: #fff3bf; border-left: 4px solid #f08c00; padding: .5rem .75rem; font-weight: 600; }
+.passed { color: #2b8a3e; } .failed { color: #c92a2a; }
+.code .added { background: #d3f9d8; }
+.code .removed { background: #ffe3e3; }
+`;
+
+function htmlDiff(diff) {
+    const lines = diff.split('\n').map(line => {
+        const kind = line.startsWith('+') ? 'added' : line.startsWith('-') ? 'removed' : 'line';
+        return `<span class="${kind === 'line' ? 'line' : `line ${kind}`}">${escapeHtml(line)}</span>`;
+    });
+    return `<pre class="code">${lines.join('\n')}</pre>`;
+}
+
+function htmlDiffSections(diff) {
+    const parts = [htmlText(diff.summary)];
+    if (diff.findings.length > 0) {
+        parts.push(htmlTable(
+            ['Status', 'Severity', 'Title', 'Contract', 'Function'],
+            diff.findings.map(finding => [
+                escapeHtml(DIFF_STATUS_LABELS[finding.status]),
+                escapeHtml(diffSeverity(finding)),
+                escapeHtml(finding.title),
+                escapeHtml(finding.contract_id || finding.previous_contract_id),
+                `<code>${escapeHtml(finding.function)}</code>`,
+            ]),
+        ));
+    }
+    if (diff.source_changes?.files.length > 0) {
+        parts.push('<h3>Changed Source Files</h3>', htmlTable(['File', 'Change'], diff.source_changes.files.map(file => [`<code>${escapeHtml(file.file)}</code>`, escapeHtml(file.status)])));
+    }
+    for (const fn of diff.source_changes?.functions || []) {
+        if (fn.status === 'unchanged') continue;
+        parts.push(`<h3><code>${escapeHtml(fn.function)}</code> (${escapeHtml(fn.status)})</h3>`);
+        if (fn.diff) parts.push(htmlDiff(fn.diff));
+    }
+    return parts;
+}
+
+function htmlDocument(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders a final payload as a self-contained HTML document.
+ * @param {object} payload - { status, report } as delivered by the audit pipeline.
+ * @param {object} [context] - { sources, pocTests, toolVersions }; see the top of this file.
+ * @returns {string}
+ */
+export function renderHtml(payload, { sources = {}, pocTests = [], toolVersions = {} } = {}) {
+    const report = payload.report || {};
+    const target = auditedLabel(report);
+    const parts = [];
+
+    if (payload.status !== 'success') {
+        parts.push(`<h1>Audit of ${escapeHtml(target)} failed</h1>`, htmlText(report.summary || 'Unknown error.'));
+        const error = report.findings?.[0];
+        if (error?.description) parts.push(`<pre>${escapeHtml(error.description)}</pre>`);
+        return htmlDocument(`Audit of ${target} failed`, parts.join('\n'));
+    }
+
+    const findings = sortedFindings(report);
+    const scores = [`<strong>Score:</strong> ${escapeHtml(report.score)}/100`];
+    if (report.model_score !== undefined && report.model_score !== report.score) scores.push(`<strong>Model score:</strong> ${escapeHtml(report.model_score)}/100`);
+    if (report.schema_version) scores.push(`<strong>Schema:</strong> ${escapeHtml(report.schema_version)}`);
+    if (verificationLabel(report)) scores.push(`<strong>Bytecode match:</strong> ${escapeHtml(verificationLabel(report))}`);
+    parts.push(`<h1>Audit Report: ${escapeHtml(target)}</h1>`, `<p class="score">${scores.join(' &middot; ')}</p>`);
+    if (bytecodeOnlyNotice(report)) parts.push(`<p class="notice">${escapeHtml(bytecodeOnlyNotice(report))}</p>`);
+    parts.push('<h2>Summary</h2>', htmlText(report.summary));
+
+    parts.push('<h2>Severity Overview</h2>', htmlTable(['Severity', 'Count'], severityCounts(findings).map(({ severity, count }) => [severityBadge(severity), count])));
+
+    parts.push(`<h2>Findings (${findings.length})</h2>`);
+    if (findings.length === 0) parts.push('<p>No findings.</p>');
+    if (findings.length > 0) {
+        parts.push(htmlTable(
+            ['ID', 'Severity', 'Title', 'Contract', 'Location'],
+            findings.map((finding, index) => {
+                const id = finding.id || `#${index + 1}`;
+                return [`<a href="#finding-${index + 1}">${escapeHtml(id)}</a>`, severityBadge(finding.severity), escapeHtml(finding.title), escapeHtml(finding.contract_id), `<code>${escapeHtml(locationLabel(finding.location))}</code>`];
+            }),
+        ));
+    }
+    findings.forEach((finding, index) => {
+        const facts = [
+            finding.class_id && `<strong>Class:</strong> ${escapeHtml(finding.class_id)}${finding.category ? ` (${escapeHtml(finding.category)})` : ''}`,
+            finding.contract_id && `<strong>Contract:</strong> ${escapeHtml(finding.contract_id)}`,
+            finding.location?.file && `<strong>Location:</strong> <code>${escapeHtml(locationLabel(finding.location))}</code>`,
+            sourceDetail(finding) && `<strong>Reported by:</strong> ${escapeHtml(sourceDetail(finding))}`,
+            finding.model_severity && finding.model_severity !== finding.severity && `<strong>Model severity:</strong> ${escapeHtml(finding.model_severity)}`,
+            finding.confidence && `<strong>Confidence:</strong> ${escapeHtml(finding.confidence)}`,
+            finding.merged_titles?.length && `<strong>Merged from:</strong> ${escapeHtml(finding.merged_titles.join('; '))}`,
+        ].filter(Boolean);
+        const section = [`<section class="finding" id="finding-${index + 1}">`, `<h3>${escapeHtml(finding.id || `#${index + 1}`)} ${severityBadge(finding.severity)} ${escapeHtml(finding.title)}</h3>`];
+        if (facts.length > 0) section.push(`<div class="facts">${facts.join('<br>')}</div>`);
+        section.push('<h4>Description</h4>', htmlText(finding.description), '<h4>Recommendation</h4>', htmlText(finding.recommendation));
+        if (finding.confirmation) section.push('<h4>Confirmation</h4>', htmlText(finding.confirmation));
+        const excerpt = codeExcerpt(finding, sources);
+        if (excerpt) section.push('<h4>Code</h4>', htmlExcerpt(excerpt));
+        const details = detailsText(finding.details);
+        if (details) section.push('<h4>Details</h4>', typeof finding.details === 'string' ? htmlText(details) : `<pre>${escapeHtml(details)}</pre>`);
+        section.push('</section>');
+        parts.push(section.join('\n'));
+    });
+
+    const proxies = proxyRows(report);
+    if (proxies.length > 0) parts.push('<h2>Proxies</h2>', htmlTable(['Proxy', 'Pattern', 'Implementation', 'Admin', 'Beacon'], proxies.map(row => row.map(escapeHtml))));
+
+    for (const analysis of report.bytecode_analysis || []) {
+        parts.push(`<h2>Bytecode Analysis: ${escapeHtml(analysis.contract_id)}</h2>`, `<ul class="facts">${bytecodeFacts(analysis).map(fact => `<li>${escapeHtml(fact)}</li>`).join('')}</ul>`);
+        for (const [label, headers, rows] of bytecodeTables(analysis)) parts.push(`<h4>${label}</h4>`, htmlTable(headers, rows.map(row => row.map(escapeHtml))));
+    }
+
+    if (report.cross_contract_interactions) parts.push('<h2>Cross-Contract Interactions</h2>', htmlText(report.cross_contract_interactions));
+
+    if (report.reaudit) {
+        parts.push(`<h2>Re-audit (previous report: <code>${escapeHtml(report.reaudit.previous_report)}</code>)</h2>`);
+        if (report.reaudit.error) parts.push(htmlText(`The previous report could not be compared: ${report.reaudit.error}`));
+        else parts.push(...htmlDiffSections(report.reaudit));
+    }
+
+    if (pocTests.length > 0) {
+        parts.push('<h2>Proof-of-Concept Tests</h2>');
+        for (const test of pocTests) {
+            const status = test.passed ? '<span class="passed">passed</span>' : '<span class="failed">failed</span>';
+            parts.push(`<h3><code>${escapeHtml(test.file)}</code> (${status})${test.contract_id ? ` &middot; ${escapeHtml(test.contract_id)}` : ''}</h3>`, `<pre>${escapeHtml(test.code)}</pre>`);
+        }
+    }
+
+    const tools = toolRows(report, toolVersions);
+    parts.push('<h2>Tools</h2>', tools.length > 0 ? htmlTable(['Tool', 'Version'], tools.map(({ tool, version }) => [escapeHtml(tool), escapeHtml(version || 'unknown')])) : '<p>No tools were used.</p>');
+
+    if (report.usage?.consumed) {
+        parts.push('<h2>Resource Usage</h2>', htmlTable(['Resource', 'Consumed', 'Limit'], usageRows(report.usage).map(row => row.map(escapeHtml))));
+    }
+    return htmlDocument(`Audit Report: ${target}`, parts.join('\n'));
+}
+
+/**
+ * Renders a payload in one of RENDER_FORMATS.
+ * @throws {Error} For unknown formats.
+ */
+export function renderReport(payload, format, context = {}) {
+    if (format === 'markdown') return renderMarkdown(payload, context);
+    if (format === 'html') return renderHtml(payload, context);
+    if (format === 'sarif') return `${JSON.stringify(exportSarif(payload, context), null, 2)}\n`;
+    throw new Error(`Unknown report format '${format}'. Expected one of: ${RENDER_FORMATS.join(', ')}.`);
+}
@@ -0,0 +1,270 @@
+// src/report-schema.js
+
+// Bump the minor version for backwards-compatible additions, the major version for breaking changes.
+export const REPORT_SCHEMA_VERSION = '1.8.0';
+
+export const SEVERITY_LEVELS = ['Critical', 'High', 'Medium', 'Low', 'Informational', 'Optimization'];
+
+// Proxy patterns recognized by proxy-detection.js. Kept here so the schema has no runtime dependencies.
+export const PROXY_KINDS = ['transparent', 'eip1967', 'beacon', 'eip1822', 'minimal', 'zos', 'custom'];
+
+// Outcomes of the bytecode comparison in source-verification.js.
+export const VERIFICATION_STATUSES = ['full', 'partial', 'mismatch', 'unchecked'];
+
+/**
+ * JSON Schema (draft-07) for the report object passed to finalizeAuditReport.
+ * Only the keywords supported by validateAgainstSchema below may be used here.
+ */
+export const auditReportSchema = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `urn:hcs-ai-auditor:audit-report:${REPORT_SCHEMA_VERSION}`,
+    title: 'Audit Report',
+    type: 'object',
+    required: ['score', 'summary', 'findings', 'tools_used'],
+    properties: {
+        schema_version: { type: 'string' },
+        contract_id: { type: 'string', pattern: '^0\\.0\\.\\d+$' },
+        // Every contract covered by a multi-contract (system-level) audit.
+        contract_ids: { type: 'array', items: { type: 'string', pattern: '^0\\.0\\.\\d+$' } },
+        cross_contract_interactions: { type: 'string', minLength: 1 },
+        score: { type: 'number', minimum: 0, maximum: 100 },
+        // Filled in by the agent (see finding-normalizer.js): `score` is then computed, the model's own score is kept here.
+        model_score: { type: 'number', minimum: 0, maximum: 100 },
+        scoring_version: { type: 'integer' },
+        summary: { type: 'string', minLength: 1 },
+        findings: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['title', 'severity', 'description', 'recommendation', 'confirmation'],
+                properties: {
+                    title: { type: 'string', minLength: 1 },
+                    severity: { type: 'string', enum: SEVERITY_LEVELS },
+                    description: { type: 'string', minLength: 1 },
+                    recommendation: { type: 'string', minLength: 1 },
+                    confirmation: { type: 'string' },
+                    details: { type: ['string', 'object', 'array'] },
+                    contract_id: { type: 'string', pattern: '^0\\.0\\.\\d+$' },
+                    // Slither detector ID (e.g. 'reentrancy-eth') the finding is based on, if any.
+                    detector: { type: 'string', minLength: 1 },
+                    location: {
+                        type: 'object',
+                        required: ['file'],
+                        properties: {
+                            file: { type: 'string', minLength: 1 },
+                            lines: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 1 } },
+                        },
+                    },
+                    // Filled in by the agent (see finding-normalizer.js).
+                    id: { type: 'string' },
+                    class_id: { type: 'string' },
+                    category: { type: 'string' },
+                    sources: { type: 'array', items: { type: 'string' } },
+                    model_severity: { type: 'string', enum: SEVERITY_LEVELS },
+                    tool_impact: { type: 'string' },
+                    tool_confidence: { type: 'string' },
+                    merged_titles: { type: 'array', items: { type: 'string' } },
+                    // 'low' for findings about contracts known only from their bytecode (see bytecode-analyzer.js).
+                    confidence: { type: 'string', enum: ['low', 'medium', 'high'] },
+                },
+            },
+        },
+        tools_used: { type: 'array', items: { type: 'string', minLength: 1 } },
+        // Filled in by the agent for re-audits: the diff against the previous report (see report-diff.js).
+        reaudit: {
+            type: 'object',
+            required: ['previous_report'],
+            properties: {
+                previous_report: { type: 'string' },
+                error: { type: 'string' },
+                diff_version: { type: 'integer' },
+                summary: { type: 'string' },
+                score_delta: { type: ['number', 'null'] },
+                counts: { type: 'object' },
+                findings: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['status', 'title'],
+                        properties: {
+                            status: { type: 'string', enum: ['new', 'resolved', 'changed_severity', 'unchanged'] },
+                            title: { type: 'string' },
+                        },
+                    },
+                },
+                source_changes: { type: 'object' },
+            },
+        },
+        // Filled in by the agent: proxies among the audited contracts and what they delegate to (see proxy-detection.js).
+        proxies: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['contract_id', 'kind'],
+                properties: {
+                    contract_id: { type: 'string', pattern: '^0\\.0\\.\\d+$' },
+                    kind: { type: 'string', enum: PROXY_KINDS },
+                    implementation: { type: ['object', 'null'], properties: { address: { type: 'string' }, contract_id: { type: ['string', 'null'] } } },
+                    admin: { type: ['object', 'null'], properties: { address: { type: 'string' }, contract_id: { type: ['string', 'null'] } } },
+                    beacon: { type: ['object', 'null'], properties: { address: { type: 'string' }, contract_id: { type: ['string', 'null'] } } },
+                    evidence: { type: 'array', items: { type: 'string' } },
+                },
+            },
+        },
+        // Filled in by the agent: whether each verified source recompiles to the deployed bytecode (see source-verification.js).
+        source_verification: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['contract_id', 'status'],
+                properties: {
+                    contract_id: { type: 'string', pattern: '^0\\.0\\.\\d+$' },
+                    status: { type: 'string', enum: VERIFICATION_STATUSES },
+                    compiler: { type: 'string' },
+                    target: { type: 'string' },
+                    detail: { type: 'string' },
+                },
+            },
+        },
+        // Filled in by the agent when contracts without a verified source were analyzed from their bytecode.
+        analysis_mode: { type: 'string', enum: ['bytecode', 'mixed'] },
+        bytecode_analysis: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['contract_id', 'functions'],
+                properties: {
+                    contract_id: { type: 'string', pattern: '^0\\.0\\.\\d+$' },
+                    compiler: { type: ['string', 'null'] },
+                    functions: { type: 'array', items: { type: 'object', required: ['selector'] } },
+                    dangerous_opcodes: { type: 'array', items: { type: 'object', required: ['opcode', 'count'] } },
+                    system_contracts: { type: 'array', items: { type: 'object' } },
+                    system_calls: { type: 'array', items: { type: 'string' } },
+                },
+            },
+        },
+        // Filled in by the agent when required compilers were not available offline (see solc-cache.js).
+        missing_compilers: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['contract_id', 'version'],
+                properties: {
+                    contract_id: { type: 'string' },
+                    version: { type: 'string' },
+                },
+            },
+        },
+        // Filled in by the agent, not the model: resources consumed by the audit and their limits.
+        usage: {
+            type: 'object',
+            properties: {
+                limits: { type: 'object' },
+                consumed: { type: 'object' },
+            },
+        },
+    },
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, expected) {
+    const actual = typeOf(value);
+    return actual === expected || (expected === 'number' && actual === 'integer');
+}
+
+/**
+ * Validates a value against the subset of JSON Schema used by this project:
+ * type, required, properties, additionalProperties (boolean), items, enum,
+ * minimum, maximum, minLength, minItems and pattern.
+ * @returns {{path: string, message: string}[]} Violations, as JSON Pointer paths. Empty when valid.
+ */
+export function validateAgainstSchema(value, schema, pointer = '') {
+    const errors = [];
+    const at = pointer || '/';
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ path: at, message: `must be of type ${types.join(' or ')}, got ${typeOf(value)}` });
+            return errors; // Further checks are meaningless on the wrong type
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path: at, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}` });
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path: at, message: `must be >= ${schema.minimum}, got ${value}` });
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path: at, message: `must be <= ${schema.maximum}, got ${value}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push({ path: at, message: `must be at least ${schema.minLength} character(s) long` });
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push({ path: at, message: `must match pattern ${schema.pattern}, got ${JSON.stringify(value)}` });
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path: at, message: `must contain at least ${schema.minItems} item(s)` });
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${pointer}/${index}`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push({ path: `${pointer}/${key}`, message: 'is required' });
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) errors.push(...validateAgainstSchema(value[key], propertySchema, `${pointer}/${key}`));
+        }
+        if (schema.additionalProperties === false) {
+            for (const key of Object.keys(value)) {
+                if (!schema.properties?.[key]) errors.push({ path: `${pointer}/${key}`, message: 'is not an allowed property' });
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Rules that depend on the request rather than the report alone: with several contracts,
+// findings must be attributed and the cross-contract interactions described.
+function validateContractAttribution(report, contractIds) {
+    const errors = [];
+    if (contractIds.length < 2 || typeOf(report) !== 'object') return errors;
+    if (report.cross_contract_interactions === undefined) {
+        errors.push({ path: '/cross_contract_interactions', message: 'is required when several contracts are audited' });
+    }
+    (Array.isArray(report.findings) ? report.findings : []).forEach((finding, index) => {
+        if (typeOf(finding) !== 'object') return;
+        if (finding.contract_id === undefined) {
+            errors.push({ path: `/findings/${index}/contract_id`, message: 'is required when several contracts are audited' });
+        } else if (!contractIds.includes(finding.contract_id)) {
+            errors.push({ path: `/findings/${index}/contract_id`, message: `must be one of the audited contracts (${contractIds.join(', ')}), got ${JSON.stringify(finding.contract_id)}` });
+        }
+    });
+    return errors;
+}
+
+/**
+ * Validates a finalizeAuditReport payload against the current report schema.
+ * @param {any} report
+ * @param {object} [options]
+ * @param {string[]} [options.contractIds] - Contracts covered by the audit; with two or more, attribution rules apply.
+ * @returns {{valid: boolean, schemaVersion: string, errors: {path: string, message: string}[]}}
+ */
+export function validateAuditReport(report, { contractIds = [] } = {}) {
+    const errors = [...validateAgainstSchema(report, auditReportSchema), ...validateContractAttribution(report, contractIds)];
+    return { valid: errors.length === 0, schemaVersion: REPORT_SCHEMA_VERSION, errors };
+}
+
+export function formatSchemaErrors(errors) {
+    return errors.map(error => `${error.path}: ${error.message}`);
+}
@@ -0,0 +1,233 @@
+// src/sarif-export.js
+import crypto from 'crypto';
+import { SEVERITY_LEVELS } from './report-schema.js';
+import { sameFile } from './finding-normalizer.js';
+import { calculateRelativePath } from './utils.js';
+import { toolVersionKey } from './analyzers.js';
+
+/*
+ * SARIF 2.1.0 export of a final payload, for code-scanning dashboards (e.g. GitHub code scanning).
+ *
+ * One report becomes one run:
+ *   - every finding is a result, located in the fetched source tree with the same relative paths
+ *     the tools see (calculateRelativePath); multi-contract audits prefix them with the contract's
+ *     namespace (c0_0_123/...), as in the Forge project layout
+ *   - findings are grouped into rules by class_id (SWC-107, HAI-1, ...); a rule carries the highest
+ *     severity of its findings and their recommendations
+ *   - findings without a location point at the main file of their contract, without a region
+ *   - re-audits (report.reaudit) set each result's baselineState
+ */
+
+export const SARIF_VERSION = '2.1.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SOURCE_ROOT = 'SRCROOT';
+const FINGERPRINT_KEY = 'hcsAiFinding/v1';
+
+// Re-audit statuses (see report-diff.js) -> SARIF baselineState.
+const BASELINE_STATES = {
+    new: 'new',
+    unchanged: 'unchanged',
+    changed_severity: 'updated',
+};
+
+const SARIF_LEVELS = {
+    Critical: 'error',
+    High: 'error',
+    Medium: 'warning',
+    Low: 'note',
+    Informational: 'note',
+    Optimization: 'note',
+};
+
+// 'security-severity' drives the severity shown by GitHub code scanning (>= 9 critical, >= 7 high, >= 4 medium).
+const SECURITY_SEVERITY = {
+    Critical: '9.5',
+    High: '8.0',
+    Medium: '5.5',
+    Low: '3.0',
+    Informational: '1.0',
+    Optimization: '0.0',
+};
+
+function highestSeverity(findings) {
+    return SEVERITY_LEVELS.find(severity => findings.some(finding => finding.severity === severity)) || 'Informational';
+}
+
+function distinctText(values) {
+    return [...new Set(values.filter(value => typeof value === 'string' && value.trim()))].join('\n\n');
+}
+
+/**
+ * Maps files named by findings to artifact URIs in the fetched source tree.
+ * @returns {{ uriFor: (file: string, contractId?: string) => string|null, mainUriFor: (contractId?: string) => string|null, artifacts: object[] }}
+ */
+function createArtifactIndex(sources = {}) {
+    const entries = Object.entries(sources).filter(([, source]) => source?.files?.length);
+    const prefixed = entries.length > 1;
+    const artifacts = [];
+    const indexes = new Map(); // uri -> artifact index
+
+    function register(uri) {
+        if (!indexes.has(uri)) {
+            indexes.set(uri, artifacts.length);
+            artifacts.push({ location: { uri, uriBaseId: SOURCE_ROOT } });
+        }
+        return uri;
+    }
+
+    function uriOf(contractKey, source, filePath) {
+        const relative = calculateRelativePath(filePath, '[SARIF]');
+        return register(prefixed ? `${source.namespace || contractKey}/${relative}` : relative);
+    }
+
+    function candidates(contractId) {
+        const own = entries.filter(([key]) => key === contractId);
+        return own.length > 0 ? own : entries;
+    }
+
+    return {
+        artifacts,
+        indexOf: uri => indexes.get(uri),
+
+        uriFor(file, contractId) {
+            for (const [key, source] of candidates(contractId)) {
+                const match = source.files.find(candidate => sameFile(candidate.path, file)
+                    || sameFile(calculateRelativePath(candidate.path, '[SARIF]'), file));
+                if (match) return uriOf(key, source, match.path);
+            }
+            // Not among the fetched files (e.g. a path the model made up): keep it, normalized.
+            return file ? register(calculateRelativePath(file, '[SARIF]')) : null;
+        },
+
+        mainUriFor(contractId) {
+            const [key, source] = candidates(contractId)[0] || [];
+            const main = source?.files.find(candidate => source.mainFilePath && candidate.path.includes(source.mainFilePath));
+            return main ? uriOf(key, source, main.path) : null;
+        },
+    };
+}
+
+function physicalLocation(finding, artifactIndex) {
+    const uri = finding.location?.file
+        ? artifactIndex.uriFor(finding.location.file, finding.contract_id)
+        : artifactIndex.mainUriFor(finding.contract_id);
+    if (!uri) return null;
+    const location = { artifactLocation: { uri, uriBaseId: SOURCE_ROOT, index: artifactIndex.indexOf(uri) } };
+    const [startLine, endLine = startLine] = finding.location?.lines || [];
+    if (finding.location?.file && startLine) location.region = endLine > startLine ? { startLine, endLine } : { startLine };
+    return location;
+}
+
+function ruleFor(classId, findings) {
+    const severity = highestSeverity(findings);
+    const category = findings[0].category || classId;
+    const recommendations = distinctText(findings.map(finding => finding.recommendation));
+    const rule = {
+        id: classId,
+        name: category.replace(/[^A-Za-z0-9]+/g, ' ').trim().split(' ').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(''),
+        shortDescription: { text: category },
+        fullDescription: { text: `${category} (${classId})` },
+        defaultConfiguration: { level: SARIF_LEVELS[severity] },
+        help: { text: recommendations || category, markdown: recommendations ? `**Recommendation**\n\n${recommendations}` : category },
+        properties: {
+            severity,
+            'security-severity': SECURITY_SEVERITY[severity],
+            tags: ['security', 'smart-contract', classId, ...new Set(findings.map(finding => finding.detector).filter(Boolean))],
+        },
+    };
+    if (classId.startsWith('SWC-')) rule.helpUri = `https://swcregistry.io/docs/${classId}`;
+    return rule;
+}
+
+function fingerprint(finding, uri) {
+    const title = String(finding.title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([finding.contract_id || null, finding.class_id || null, uri, title]))
+        .digest('hex');
+}
+
+function resultFor(finding, ruleIndex, artifactIndex, baselineStates) {
+    const location = physicalLocation(finding, artifactIndex);
+    const properties = {
+        id: finding.id,
+        severity: finding.severity,
+        model_severity: finding.model_severity,
+        contract_id: finding.contract_id,
+        recommendation: finding.recommendation,
+        confirmation: finding.confirmation || undefined,
+        sources: finding.sources,
+        detector: finding.detector,
+        tool_impact: finding.tool_impact,
+        tool_confidence: finding.tool_confidence,
+        confidence: finding.confidence,
+    };
+    return {
+        ruleId: finding.class_id,
+        ruleIndex,
+        level: SARIF_LEVELS[finding.severity] || 'warning',
+        message: { text: `${finding.title}: ${finding.description}` },
+        locations: location ? [{ physicalLocation: location }] : [],
+        partialFingerprints: { [FINGERPRINT_KEY]: fingerprint(finding, location?.artifactLocation.uri || null) },
+        ...(baselineStates.has(finding.id) ? { baselineState: baselineStates.get(finding.id) } : {}),
+        properties: JSON.parse(JSON.stringify(properties)), // drops undefined fields
+    };
+}
+
+/**
+ * Exports a final payload as a SARIF 2.1.0 log with a single run.
+ * @param {object} payload - { status, report } as delivered by the audit pipeline (findings normalized).
+ * @param {object} [context]
+ * @param {object} [context.sources] - fetchedSources of the audit, to resolve finding locations.
+ * @param {object} [context.toolVersions] - From getToolVersions(), for the tool extensions.
+ * @returns {object} SARIF log (serialize with JSON.stringify).
+ */
+export function exportSarif(payload, { sources = {}, toolVersions = {} } = {}) {
+    const report = payload.report || {};
+    const succeeded = payload.status === 'success';
+    const findings = succeeded ? (report.findings || []).map(finding => ({ ...finding, class_id: finding.class_id || 'HAI-0' })) : [];
+    const contractIds = (report.contract_ids || [report.contract_id]).filter(Boolean);
+    const artifactIndex = createArtifactIndex(sources);
+
+    const classIds = [...new Set(findings.map(finding => finding.class_id))];
+    const rules = classIds.map(classId => ruleFor(classId, findings.filter(finding => finding.class_id === classId)));
+    const baselineStates = new Map((report.reaudit?.findings || [])
+        .filter(entry => entry.id && BASELINE_STATES[entry.status])
+        .map(entry => [entry.id, BASELINE_STATES[entry.status]]));
+    const results = findings.map(finding => resultFor(finding, classIds.indexOf(finding.class_id), artifactIndex, baselineStates));
+
+    const extensions = (report.tools_used || []).flatMap(tool => {
+        const key = toolVersionKey(tool);
+        return key ? [{ name: tool, ...(toolVersions[key] ? { version: toolVersions[key] } : {}) }] : [];
+    });
+
+    const run = {
+        tool: {
+            driver: {
+                name: 'HCS-AI Agent',
+                ...(report.schema_version ? { version: report.schema_version } : {}),
+                rules,
+            },
+            ...(extensions.length > 0 ? { extensions } : {}),
+        },
+        automationDetails: { id: `hcs-ai-audit/${contractIds.join('+') || 'local'}/` },
+        originalUriBaseIds: { [SOURCE_ROOT]: { description: { text: 'Root of the audited source tree' } } },
+        artifacts: artifactIndex.artifacts,
+        invocations: [{
+            executionSuccessful: succeeded,
+            ...(succeeded ? {} : { toolExecutionNotifications: [{ level: 'error', message: { text: report.summary || 'The audit failed.' } }] }),
+        }],
+        results,
+        properties: JSON.parse(JSON.stringify({
+            contract_ids: contractIds,
+            proxies: report.proxies,
+            analysis_mode: report.analysis_mode,
+            source_verification: report.source_verification,
+            missing_compilers: report.missing_compilers,
+            summary: succeeded ? report.summary : undefined,
+            score: report.score,
+            model_score: report.model_score,
+            scoring_version: report.scoring_version,
+        })),
+    };
+    return { $schema: SARIF_SCHEMA, version: SARIF_VERSION, runs: [run] };
+}
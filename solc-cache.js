@@ -0,0 +1,79 @@
+// src/solc-cache.js
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from './config.js';
+import { logger } from './utils.js';
+
+/*
+ * Host cache of solc binaries, shared by every audit tool container.
+ *
+ * The cache directory (SOLC_CACHE_DIR) is mounted over solc-select's artifact directory, so a
+ * compiler installed once (before a tool run, or up front with `node src/cli.js solc-cache <version...>`)
+ * is reused by every later run. Tool runs mount it read-only; only the install container can write it. With SOLC_OFFLINE=true nothing is downloaded: a run that needs a
+ * compiler missing from the cache does not start, and the report says which versions were missing.
+ */
+
+// solc-select's artifact directory in the audit tool image (under the sandbox user's HOME).
+export const CONTAINER_SOLC_DIR = '/home/auditor/.solc-select/artifacts';
+
+const ENTRY_PATTERN = /^solc-(\d+\.\d+\.\d+)$/; // solc-<version>/solc-<version>, or a single file in older solc-select layouts
+
+export function solcCacheDir() {
+    return path.resolve(config.solcCacheDir);
+}
+
+/** Bind mount of the cache for audit tool containers (the directory is created if needed). */
+export async function solcCacheBind({ readOnly = true } = {}) {
+    await fs.mkdir(solcCacheDir(), { recursive: true });
+    return `${solcCacheDir()}:${CONTAINER_SOLC_DIR}${readOnly ? ':ro' : ''}`;
+}
+
+/**
+ * solc versions in the cache, oldest first.
+ * @returns {Promise<string[]>}
+ */
+export async function cachedSolcVersions() {
+    let entries;
+    try {
+        entries = await fs.readdir(solcCacheDir());
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    return entries
+        .map(entry => entry.match(ENTRY_PATTERN)?.[1])
+        .filter(Boolean)
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+/**
+ * Whether solc `version` can be used by a run: cached, or downloadable when not offline.
+ * @param {string} version
+ * @param {string[]} cached - From cachedSolcVersions().
+ * @returns {{ version: string, cached: boolean, unavailable?: { version: string, message: string } }}
+ */
+export function solcAvailability(version, cached) {
+    if (cached.includes(version)) return { version, cached: true };
+    if (!config.solcOffline) return { version, cached: false };
+    const message = `solc ${version} is not available offline: it is not in the compiler cache (${config.solcCacheDir}) and SOLC_OFFLINE is set. Add it with 'node src/cli.js solc-cache ${version}'.`;
+    logger.warn(`[SolcCache] ${message}`);
+    return { version, cached: false, unavailable: { version, message } };
+}
+
+/**
+ * Labels a final report that is missing tool results because required compilers were not
+ * available offline: the report gets `missing_compilers` and its summary says so.
+ * @param {object} report
+ * @param {object} missing - contractId -> { version, message }.
+ * @returns {object} A new report; unchanged when `missing` is empty.
+ */
+export function labelMissingCompilers(report, missing) {
+    const entries = Object.entries(missing);
+    if (entries.length === 0) return report;
+    const label = `Required compiler(s) not available offline: ${entries.map(([contractId, { version }]) => `solc ${version} (${contractId})`).join(', ')}; the analysis tools did not run on those contracts.`;
+    return {
+        ...report,
+        summary: report.summary.startsWith(label) ? report.summary : `${label} ${report.summary}`,
+        missing_compilers: entries.map(([contractId, { version }]) => ({ contract_id: contractId, version })),
+    };
+}
@@ -0,0 +1,226 @@
+// src/solc-versions.js
+import { logger, calculateRelativePath } from './utils.js';
+
+/*
+ * solc version resolution for sources without verification metadata: the `pragma solidity`
+ * constraints of every source file are intersected, and the newest bundled solc release that
+ * satisfies all of them is used. Compilers in the local cache and versions the pragmas name that are
+ * newer than the bundled list (solc releases since) are candidates too: they are tried, not rejected.
+ *
+ * Constraints follow the semver ranges solc accepts: comparators (=, <, <=, >, >=, ^, ~, bare
+ * versions) joined by whitespace, hyphen ranges (0.8.0 - 0.8.19), `||` alternatives and partial
+ * versions (0.8, 0.8.x, *). When no release satisfies every file, the resolution explains which
+ * files conflict instead of letting the tools run with the image's default compiler.
+ */
+
+// First and latest patch release of each solc minor version that solc-select can install (linux-amd64).
+const PATCH_RANGES = { '0.4': [10, 26], '0.5': [0, 17], '0.6': [0, 12], '0.7': [0, 6], '0.8': [0, 30] };
+
+// Bundled solc releases, oldest first.
+export const SOLC_RELEASES = Object.entries(PATCH_RANGES)
+    .flatMap(([minor, [first, latest]]) => Array.from({ length: latest - first + 1 }, (_, index) => `${minor}.${first + index}`));
+
+function parseVersion(version) {
+    return version.split('.').map(Number);
+}
+
+function compareVersions(a, b) {
+    const [left, right] = [parseVersion(a), parseVersion(b)];
+    for (let index = 0; index < 3; index++) {
+        if (left[index] !== right[index]) return left[index] - right[index];
+    }
+    return 0;
+}
+
+// A partial version (0.8, 0.8.x, *) -> the numbers that were given.
+function parsePartial(text) {
+    if (!/^(?:[0-9]+|[xX*])(?:\.(?:[0-9]+|[xX*])){0,2}$/.test(text)) return null;
+    const parts = [];
+    for (const part of text.split('.')) {
+        if (/[xX*]/.test(part)) break;
+        parts.push(Number(part));
+    }
+    return parts;
+}
+
+// Lowest version of a partial version, and the lowest version above every version it covers
+// (0.8 -> 0.8.0 and 0.9.0; 0.8.1 -> 0.8.1 and 0.8.2, exact).
+function partialBounds(parts) {
+    const lower = [0, 1, 2].map(index => parts[index] ?? 0).join('.');
+    if (parts.length === 0) return { lower, upper: null };
+    const next = [...parts];
+    next[next.length - 1] += 1;
+    return { lower, upper: [0, 1, 2].map(index => next[index] ?? 0).join('.'), exact: parts.length === 3 };
+}
+
+/** Predicate for one comparator (e.g. '^0.8.0', '<0.9', '0.8.19'), or null if it is not valid. */
+function comparator(text) {
+    const match = text.match(/^(\^|~|>=|<=|>|<|=)?\s*v?(.+)$/);
+    const parts = match && parsePartial(match[2]);
+    if (!parts) return null;
+    const operator = match[1] || '=';
+    const { lower, upper, exact } = partialBounds(parts);
+    const atLeast = bound => version => compareVersions(version, bound) >= 0;
+    const below = bound => version => bound === null || compareVersions(version, bound) < 0;
+    switch (operator) {
+        case '=':
+            return exact ? version => compareVersions(version, lower) === 0 : version => atLeast(lower)(version) && below(upper)(version);
+        case '>=':
+            return atLeast(lower);
+        case '<':
+            return version => compareVersions(version, lower) < 0;
+        case '>':
+            return exact ? version => compareVersions(version, lower) > 0 : version => upper !== null && atLeast(upper)(version);
+        case '<=':
+            return exact ? version => compareVersions(version, lower) <= 0 : below(upper);
+        case '~': {
+            // ~0.8.1 and ~0.8 -> <0.9.0, ~0 -> <1.0.0
+            const { upper: tildeUpper } = partialBounds(parts.slice(0, Math.max(1, Math.min(parts.length, 2))));
+            return version => atLeast(lower)(version) && below(tildeUpper)(version);
+        }
+        case '^': {
+            // The left-most non-zero number may not change: ^0.8.1 -> <0.9.0, ^0.0.3 -> <0.0.4
+            const significant = parts.findIndex(part => part !== 0);
+            const locked = significant === -1 ? parts : parts.slice(0, significant + 1);
+            const { upper: caretUpper } = partialBounds(locked);
+            return version => atLeast(lower)(version) && below(caretUpper)(version);
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Releases a set of pragmas may resolve to, oldest first: the bundled releases, the `available`
+ * (cached) ones and the versions the pragmas name as exact or lower bounds (=, ^, ~, >=, or the
+ * start of a hyphen range) that are newer than the bundled list.
+ * @param {string[]} pragmas - Constraints, as in 'pragma solidity <constraint>;'.
+ * @param {string[]} [available]
+ */
+export function candidateReleases(pragmas = [], available = []) {
+    const newestBundled = SOLC_RELEASES[SOLC_RELEASES.length - 1];
+    const named = pragmas.flatMap(pragma => [...String(pragma).replace(/\s+-\s+\S+/g, '').matchAll(/(\^|~|>=|<=|>|<|=)?\s*v?(\d+\.\d+\.\d+)/g)]
+        .filter(([, operator]) => !operator || ['=', '^', '~', '>='].includes(operator))
+        .map(match => match[2]));
+    const newer = [...available, ...named].filter(version => /^\d+\.\d+\.\d+$/.test(version) && compareVersions(version, newestBundled) > 0);
+    return [...new Set([...SOLC_RELEASES, ...newer])].sort(compareVersions);
+}
+
+/**
+ * Parses a pragma constraint (the text between 'pragma solidity' and ';') into a predicate over versions.
+ * @returns {((version: string) => boolean)|null} Null if the constraint is not a valid range.
+ */
+export function parsePragmaConstraint(constraint) {
+    const alternatives = String(constraint).split('||').map(range => range.trim());
+    const predicates = [];
+    for (const range of alternatives) {
+        const hyphen = range.match(/^(\S+)\s+-\s+(\S+)$/);
+        const comparators = hyphen
+            ? [comparator(`>=${hyphen[1]}`), comparator(`<=${hyphen[2]}`)]
+            // Operators may be separated from their version by spaces ('>= 0.8.0 < 0.9.0').
+            : (range || '*').replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1').split(/\s+/).map(comparator);
+        if (comparators.some(predicate => !predicate)) return null;
+        predicates.push(version => comparators.every(predicate => predicate(version)));
+    }
+    return version => predicates.some(predicate => predicate(version));
+}
+
+function stripComments(content) {
+    return content.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/[^\n]*/g, '');
+}
+
+/** The `pragma solidity` constraints of a source file, in order. */
+export function pragmaConstraints(content) {
+    return [...stripComments(String(content || '')).matchAll(/\bpragma\s+solidity\s+([^;]+);/g)].map(match => match[1].trim());
+}
+
+function releaseRange(releases) {
+    if (releases.length === 0) return 'none';
+    return releases.length === 1 ? releases[0] : `${releases[0]} - ${releases[releases.length - 1]}`;
+}
+
+/**
+ * Resolves the solc release for a set of source files from their pragmas.
+ * @param {object[]} files - Source files ({ path, content }).
+ * @param {object} [options]
+ * @param {string[]} [options.available] - Releases available locally (see solc-cache.js); the newest of them
+ *   that satisfies every pragma is preferred over newer releases that would have to be downloaded.
+ * @returns {{ version: string|null, constraints: { file: string, pragma: string, releases: string }[], ignored: { file: string, pragma: string }[], conflict?: { message: string, files: string[][] } }}
+ *   `version` is the newest candidate release (see candidateReleases()) that satisfies every pragma, or
+ *   null: without pragmas (the image's default applies) or on a conflict, which `conflict` explains.
+ *   `releases` is the range of candidate releases each pragma allows; `ignored` lists pragmas that are not valid ranges.
+ */
+export function resolvePragmaVersion(files = [], { available = [] } = {}) {
+    const parsed = [];
+    const ignored = [];
+    for (const file of files) {
+        const relativePath = calculateRelativePath(file.path, '[SolcResolver]');
+        for (const pragma of pragmaConstraints(file.content)) {
+            const predicate = parsePragmaConstraint(pragma);
+            if (!predicate) {
+                logger.warn(`[SolcResolver] Ignoring invalid pragma '${pragma}' in ${relativePath}.`);
+                ignored.push({ file: relativePath, pragma });
+                continue;
+            }
+            parsed.push({ file: relativePath, pragma, predicate });
+        }
+    }
+    const candidates = candidateReleases(parsed.map(({ pragma }) => pragma), available);
+    const constraints = parsed.map(({ predicate, ...constraint }) => ({ ...constraint, allowed: candidates.filter(predicate) }));
+    const describe = constraints.map(({ file, pragma, allowed }) => ({ file, pragma, releases: releaseRange(allowed) }));
+    if (constraints.length === 0) return { version: null, constraints: describe, ignored };
+
+    const satisfying = candidates.filter(release => constraints.every(({ allowed }) => allowed.includes(release)));
+    if (satisfying.length > 0) {
+        const local = satisfying.filter(release => available.includes(release));
+        const version = (local.length > 0 ? local : satisfying).at(-1);
+        logger.debug(`[SolcResolver] ${constraints.length} pragma(s) in ${files.length} file(s) allow ${releaseRange(satisfying)}; using ${version}.`);
+        return { version, constraints: describe, ignored };
+    }
+
+    // Explain the failure: pragmas no candidate release satisfies, else pairs of files that exclude each other.
+    const unsatisfiable = constraints.filter(({ allowed }) => allowed.length === 0);
+    const pairs = [];
+    for (let first = 0; first < constraints.length && pairs.length < 10; first++) {
+        for (let second = first + 1; second < constraints.length && pairs.length < 10; second++) {
+            const [a, b] = [constraints[first], constraints[second]];
+            if (a.allowed.length > 0 && b.allowed.length > 0 && !a.allowed.some(release => b.allowed.includes(release))) pairs.push([a.file, b.file]);
+        }
+    }
+    const message = unsatisfiable.length > 0
+        ? `No solc release from ${candidates[0]} to ${candidates[candidates.length - 1]} satisfies ${unsatisfiable.map(({ file, pragma }) => `'pragma solidity ${pragma}' in ${file}`).join(', ')}.`
+        : `The pragmas of the source files cannot be satisfied by a single solc release${pairs.length > 0 ? `: ${pairs.map(([a, b]) => `${a} and ${b}`).join('; ')} exclude each other` : ''}.`;
+    logger.warn(`[SolcResolver] ${message}`);
+    return {
+        version: null,
+        constraints: describe,
+        ignored,
+        conflict: { message, files: unsatisfiable.length > 0 ? unsatisfiable.map(({ file }) => [file]) : pairs },
+    };
+}
+
+/**
+ * Adds a finding for every contract whose sources could not be compiled because their pragmas
+ * conflict, at the end of the report.
+ * @param {object} report
+ * @param {object} conflicts - contractId -> resolvePragmaVersion() result with a `conflict`.
+ * @returns {object} A new report; unchanged when `conflicts` is empty.
+ */
+export function applyPragmaConflicts(report, conflicts) {
+    const entries = Object.entries(conflicts);
+    if (entries.length === 0) return report;
+    return {
+        ...report,
+        findings: [
+            ...report.findings,
+            ...entries.map(([contractId, resolution]) => ({
+                title: 'Solidity version pragmas cannot be satisfied',
+                severity: 'Informational',
+                contract_id: contractId,
+                description: `${resolution.conflict.message} Pragmas: ${resolution.constraints.map(({ file, pragma, releases }) => `${file}: ${pragma} (${releases})`).join('; ')}. The analysis tools could not compile these sources, so findings that depend on them are missing.`,
+                recommendation: 'Align the version pragmas of the contract and its dependencies on a range that a released compiler satisfies, and verify the contract with its compiler metadata.',
+                confirmation: 'Automatic resolution of the pragma constraints of every source file against the released solc versions.',
+            })),
+        ],
+    };
+}
@@ -0,0 +1,170 @@
+// src/source-verification.js
+import { compileStandardJsonInDocker } from './audit-tools.js';
+import { splitMetadata } from './bytecode-analyzer.js';
+import { logger, compilerSettingsFromMetadata, calculateRelativePath } from './utils.js';
+
+export { VERIFICATION_STATUSES } from './report-schema.js';
+
+/*
+ * Checks that verified sources are the code that is actually deployed: the fetched files are
+ * recompiled in the audit tool container with the compiler version and settings of the
+ * verification metadata, and the runtime bytecode is compared with the Mirror Node's.
+ *
+ *   full       identical, including the metadata hash
+ *   partial    identical once the CBOR metadata (which hashes comments and file names) is stripped
+ *   mismatch   different code: the audited source is not what runs on-chain
+ *   unchecked  the comparison could not be made (no metadata, compilation failed, ...); `detail` says why
+ *
+ * Immutable values are zeroed in the on-chain bytecode and linked library addresses copied into
+ * the compiled one before comparing, since neither is part of the source.
+ */
+
+function normalizeHex(bytecode) {
+    return String(bytecode || '').replace(/^0x/i, '').toLowerCase();
+}
+
+function patch(hex, start, length, replacement) {
+    return hex.slice(0, start * 2) + replacement + hex.slice((start + length) * 2);
+}
+
+function referencedRanges(references = {}) {
+    return Object.values(references).flatMap(entry => Array.isArray(entry) ? entry : Object.values(entry).flat());
+}
+
+/**
+ * Compares on-chain runtime bytecode with compiled runtime bytecode.
+ * @param {object} [options]
+ * @param {object} [options.immutableReferences] - solc's evm.deployedBytecode.immutableReferences.
+ * @param {object} [options.linkReferences] - solc's evm.deployedBytecode.linkReferences.
+ * @returns {{ status: 'full'|'partial'|'mismatch', detail?: string }}
+ */
+export function compareRuntimeBytecode(onChainBytecode, compiledBytecode, { immutableReferences = {}, linkReferences = {} } = {}) {
+    let onChain = normalizeHex(onChainBytecode);
+    let compiled = normalizeHex(compiledBytecode);
+    for (const { start, length } of referencedRanges(linkReferences)) {
+        compiled = patch(compiled, start, length, onChain.slice(start * 2, (start + length) * 2).padEnd(length * 2, '0'));
+    }
+    for (const { start, length } of referencedRanges(immutableReferences)) {
+        onChain = patch(onChain, start, length, '0'.repeat(length * 2));
+    }
+    if (onChain === compiled) return { status: 'full' };
+
+    const onChainCode = splitMetadata(Buffer.from(onChain, 'hex')).code.toString('hex');
+    const compiledCode = splitMetadata(Buffer.from(compiled, 'hex')).code.toString('hex');
+    if (onChainCode === compiledCode) return { status: 'partial', detail: 'Only the metadata hash differs.' };
+
+    let offset = 0;
+    while (offset < onChainCode.length && onChainCode[offset] === compiledCode[offset]) offset++;
+    return {
+        status: 'mismatch',
+        detail: `On-chain code is ${onChainCode.length / 2} bytes, compiled code ${compiledCode.length / 2} bytes; they first differ at byte ${Math.floor(offset / 2)}.`,
+    };
+}
+
+// metadata.settings.libraries ('file:Lib' -> address) in the standard JSON layout (file -> Lib -> address).
+function standardJsonLibraries(libraries = {}) {
+    const linked = {};
+    for (const [key, address] of Object.entries(libraries)) {
+        const separator = key.lastIndexOf(':');
+        const file = separator === -1 ? '' : key.slice(0, separator);
+        (linked[file] ||= {})[key.slice(separator + 1)] = address;
+    }
+    return linked;
+}
+
+/**
+ * Builds the solc standard JSON input that reproduces a verified compilation.
+ * @param {object[]} files - Fetched source files.
+ * @param {object} metadata - Solidity metadata (metadata.json) of the verified contract.
+ * @returns {{ input: object, solcVersion: string, target: { file: string, name: string } }}
+ * @throws {Error} If the metadata is incomplete or names a source that was not fetched.
+ */
+export function standardJsonInput(files, metadata) {
+    const solcVersion = compilerSettingsFromMetadata(metadata)?.version;
+    const [target] = Object.entries(metadata?.settings?.compilationTarget || {});
+    if (!solcVersion || !target) throw new Error('The verification metadata names no compiler version or compilation target.');
+
+    const sources = {};
+    for (const sourceName of Object.keys(metadata.sources || {})) {
+        const file = files.find(candidate => calculateRelativePath(candidate.path, '[Verify]') === sourceName)
+            || files.find(candidate => candidate.path.endsWith(`/${sourceName}`));
+        if (!file) throw new Error(`Source '${sourceName}' of the verification metadata was not among the fetched files.`);
+        sources[sourceName] = { content: file.content };
+    }
+
+    const { compilationTarget, libraries, ...settings } = metadata.settings;
+    const [file, name] = target;
+    return {
+        solcVersion,
+        target: { file, name },
+        input: {
+            language: metadata.language || 'Solidity',
+            sources,
+            settings: {
+                ...settings,
+                ...(libraries && Object.keys(libraries).length > 0 ? { libraries: standardJsonLibraries(libraries) } : {}),
+                outputSelection: { [file]: { [name]: ['evm.deployedBytecode.object', 'evm.deployedBytecode.immutableReferences', 'evm.deployedBytecode.linkReferences'] } },
+            },
+        },
+    };
+}
+
+/**
+ * Recompiles verified sources and compares them with the deployed runtime bytecode.
+ * @param {object} options
+ * @param {object[]} options.files
+ * @param {object} [options.metadata] - From fetchVerifiedSource().
+ * @param {string} [options.runtimeBytecode] - From fetchVerifiedSource().
+ * @returns {Promise<{ status: string, compiler?: string, target?: string, detail?: string, metrics: { containerTimeMs: number } }>}
+ */
+export async function verifyDeployedBytecode({ files, metadata, runtimeBytecode }) {
+    const unchecked = (detail, extra = {}) => ({ status: 'unchecked', ...extra, detail, metrics: { containerTimeMs: 0 } });
+    if (!runtimeBytecode) return unchecked('The Mirror Node returned no runtime bytecode.');
+    if (!metadata) return unchecked('The verification service returned no compiler metadata.');
+
+    let build;
+    try {
+        build = standardJsonInput(files, metadata);
+    } catch (error) {
+        return unchecked(error.message);
+    }
+    const facts = { compiler: `solc ${build.solcVersion}`, target: `${build.target.file}:${build.target.name}` };
+    const compilation = await compileStandardJsonInDocker({ input: build.input, solcVersion: build.solcVersion });
+    if (!compilation.success) {
+        logger.warn(`[Verify] Recompiling ${facts.target} failed: ${compilation.error}`);
+        return { ...unchecked(`Recompilation failed: ${compilation.error.slice(0, 500)}`, facts), metrics: compilation.metrics };
+    }
+
+    const deployed = compilation.output.contracts?.[build.target.file]?.[build.target.name]?.evm?.deployedBytecode;
+    if (!deployed?.object) return { ...unchecked('The compiler produced no runtime bytecode for the compilation target.', facts), metrics: compilation.metrics };
+    const comparison = compareRuntimeBytecode(runtimeBytecode, deployed.object, deployed);
+    logger.info(`[Verify] ${facts.target} (${facts.compiler}): ${comparison.status} match.`);
+    return { ...comparison, ...facts, metrics: compilation.metrics };
+}
+
+/**
+ * Adds the verification results to a final report: `source_verification` lists one entry per
+ * contract, and every mismatch becomes a Medium finding at the top of the report.
+ * @param {object} report
+ * @param {object} verifications - contractId -> verifyDeployedBytecode() result (without metrics).
+ * @returns {object} A new report; unchanged when `verifications` is empty.
+ */
+export function applySourceVerification(report, verifications) {
+    const entries = Object.entries(verifications);
+    if (entries.length === 0) return report;
+    const mismatches = entries
+        .filter(([, verification]) => verification.status === 'mismatch')
+        .map(([contractId, verification]) => ({
+            title: 'Verified source does not match the deployed bytecode',
+            severity: 'Medium',
+            contract_id: contractId,
+            description: `Recompiling the verified source of ${contractId} (${verification.target}) with ${verification.compiler} and the settings of its verification metadata produced runtime bytecode that differs from the bytecode deployed on-chain. ${verification.detail} The other findings describe the verified source, which is not the code that runs.`,
+            recommendation: 'Do not rely on this audit for this contract until its deployed bytecode is reproduced from source: re-verify the contract with its exact sources and compiler settings, or audit the deployed bytecode.',
+            confirmation: 'Automatic recompilation in the audit tools container, compared with the Mirror Node runtime bytecode (immutable values and library addresses excluded).',
+        }));
+    return {
+        ...report,
+        source_verification: entries.map(([contractId, verification]) => ({ contract_id: contractId, ...verification })),
+        findings: [...mismatches, ...report.findings],
+    };
+}
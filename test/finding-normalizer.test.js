@@ -0,0 +1,20 @@
+// test/finding-normalizer.test.js
+// Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { classIdForText } = await import('../finding-normalizer.js');
+
+test('classIdForText does not classify by incidental keywords', () => {
+    assert.equal(classIdForText('Integer overflow inside unchecked block'), 'SWC-101');
+    assert.notEqual(classIdForText('Gas griefing via unbounded return data'), 'HAI-8');
+    assert.notEqual(classIdForText('Pragma experimental ABIEncoderV2 is enabled'), 'SWC-103');
+    assert.notEqual(classIdForText('Misleading comment', 'The pragma comment above the contract is out of date.'), 'SWC-103');
+});
+
+test('classIdForText still recognizes the narrowed classes', () => {
+    assert.equal(classIdForText('Unchecked low-level call'), 'SWC-104');
+    assert.equal(classIdForText('Ignored return value of transfer()'), 'SWC-104');
+    assert.equal(classIdForText('Floating pragma'), 'SWC-103');
+    assert.equal(classIdForText('Gas optimization: cache array length'), 'HAI-8');
+});
@@ -0,0 +1,51 @@
+// test/llm-providers.test.js
+// Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.GOOGLE_API_KEY ||= 'test-key';
+const { createLLMProvider, geminiMessageParts } = await import('../llm-providers.js');
+
+test('geminiMessageParts never mixes function responses with text', () => {
+    const parts = geminiMessageParts({
+        text: 'Step 3/30\nBUDGET WARNING: nearly used up',
+        functionResponses: [
+            { name: 'getSourceCode', response: { success: true } },
+            { name: 'runAuditToolInDocker', response: { success: false, error: 'boom' } },
+        ],
+    });
+    assert.equal(parts.length, 2);
+    assert.ok(parts.every(part => part.functionResponse && !('text' in part)));
+    assert.deepEqual(parts[0].functionResponse.response, { success: true });
+    assert.equal(parts[1].functionResponse.response.agent_note, 'Step 3/30\nBUDGET WARNING: nearly used up');
+    assert.deepEqual(geminiMessageParts('Please audit 0.0.1.'), [{ text: 'Please audit 0.0.1.' }]);
+});
+
+test('the Gemini provider sends function responses and step text through the SDK', async () => {
+    const requests = [];
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (url, options) => {
+        requests.push(JSON.parse(options.body));
+        const parts = requests.length === 1
+            ? [{ functionCall: { name: 'getSourceCode', args: { contractId: '0.0.1' } } }]
+            : [{ text: 'done' }];
+        return new Response(JSON.stringify({
+            candidates: [{ content: { role: 'model', parts }, finishReason: 'STOP' }],
+            usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5 },
+        }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    };
+    try {
+        const provider = createLLMProvider('gemini', { model: 'gemini-test', systemInstruction: 'test', tools: [] });
+        const chat = provider.startChat();
+        const first = await chat.sendMessage('Please audit 0.0.1.');
+        assert.equal(first.functionCalls[0].name, 'getSourceCode');
+
+        const second = await chat.sendMessage({ text: 'Step 2/30', functionResponses: [{ name: 'getSourceCode', response: { success: true } }] });
+        assert.equal(second.text, 'done');
+        const sent = requests[1].contents.at(-1);
+        assert.equal(sent.role, 'function');
+        assert.deepEqual(sent.parts, [{ functionResponse: { name: 'getSourceCode', response: { success: true, agent_note: 'Step 2/30' } } }]);
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+});
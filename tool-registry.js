@@ -0,0 +1,142 @@
+// src/tool-registry.js
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { logger } from './utils.js';
+import { validateAgainstSchema, formatSchemaErrors } from './report-schema.js';
+
+/*
+ * Declarative registry of the tools the model can call.
+ *
+ * A tool plugin is a plain object:
+ *   {
+ *     name: 'runMyAnalyzer',                 // Function name exposed to the model
+ *     description: '...',                    // Shown to the model
+ *     parameters: { type: 'object', ... },   // JSON Schema of the arguments (model-facing and validated on call)
+ *     preconditions: ['sourcesFetched'],     // Optional, names from PRECONDITIONS below
+ *     allowedWhenBudgetExhausted: false,     // Optional, true only for tools that wrap the audit up
+ *     deterministic: false,                  // Optional, true if the handler does no I/O; replay.js then re-runs it
+ *     handler: async (args, context) => ({ success, ... }),
+ *   }
+ *
+ * `context` is the per-audit tool context built by the agent:
+ *   { request, state: { fetchedSources, ... }, budget, outcome }
+ * `context.state` is checkpointed between steps, so handlers must keep it JSON-serializable.
+ * A handler ends the audit by setting `context.outcome` to { type: 'report', report } or { type: 'error', message }.
+ * If the result has `metrics.containerTimeMs`, it is charged to the audit's Docker budget.
+ */
+
+export const PRECONDITIONS = {
+    sourcesFetched: {
+        check: context => Object.keys(context.state.fetchedSources || {}).length > 0,
+        message: name => `Cannot execute tool '${name}' because source file data has not been successfully fetched yet.`,
+    },
+};
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]{0,63}$/;
+
+function assertValidPlugin(plugin) {
+    if (!plugin || typeof plugin !== 'object') throw new Error('Tool plugin must be an object.');
+    if (!TOOL_NAME_PATTERN.test(plugin.name || '')) throw new Error(`Invalid tool plugin name: ${JSON.stringify(plugin.name)}`);
+    if (typeof plugin.description !== 'string' || !plugin.description) throw new Error(`Tool plugin '${plugin.name}' is missing a description.`);
+    if (typeof plugin.handler !== 'function') throw new Error(`Tool plugin '${plugin.name}' is missing a handler function.`);
+    if (plugin.parameters && plugin.parameters.type !== 'object') throw new Error(`Tool plugin '${plugin.name}' parameters must be an object schema.`);
+    for (const precondition of plugin.preconditions || []) {
+        if (!PRECONDITIONS[precondition]) throw new Error(`Tool plugin '${plugin.name}' uses unknown precondition '${precondition}'.`);
+    }
+}
+
+export function createToolRegistry(plugins = []) {
+    const registered = new Map();
+
+    const registry = {
+        register(plugin) {
+            assertValidPlugin(plugin);
+            if (registered.has(plugin.name)) throw new Error(`A tool named '${plugin.name}' is already registered.`);
+            registered.set(plugin.name, plugin);
+            logger.debug(`[ToolRegistry] Registered tool '${plugin.name}'.`);
+            return registry;
+        },
+
+        get(name) {
+            return registered.get(name) || null;
+        },
+
+        list() {
+            return [...registered.values()];
+        },
+
+        // Model-facing declarations, in the Gemini `tools` shape accepted by every LLM provider.
+        toTools() {
+            return [{
+                functionDeclarations: registry.list().map(plugin => ({
+                    name: plugin.name,
+                    description: plugin.description,
+                    parameters: plugin.parameters || { type: 'object', properties: {} },
+                })),
+            }];
+        },
+
+        /**
+         * Runs one model function call. Never throws: unknown tools, failed preconditions,
+         * invalid arguments and handler errors all become a { success: false, error } response.
+         * @returns {Promise<object>} The function response to send back to the model.
+         */
+        async dispatch(name, args, context) {
+            const plugin = registered.get(name);
+            if (!plugin) {
+                logger.error(`[ToolRegistry] Model called unknown function: ${name}`);
+                return { success: false, error: `Function ${name} not found.` };
+            }
+
+            for (const precondition of plugin.preconditions || []) {
+                if (!PRECONDITIONS[precondition].check(context)) {
+                    const message = PRECONDITIONS[precondition].message(name);
+                    logger.warn(`[ToolRegistry] ${message}`);
+                    return { success: false, error: `Host execution error: ${message}` };
+                }
+            }
+
+            const callArgs = args || {};
+            if (plugin.parameters) {
+                const violations = formatSchemaErrors(validateAgainstSchema(callArgs, plugin.parameters));
+                if (violations.length > 0) {
+                    logger.warn(`[ToolRegistry] Invalid arguments for ${name}: ${violations.join('; ')}`);
+                    return { success: false, error: `Invalid arguments for ${name}: ${violations.join('; ')}` };
+                }
+            }
+
+            try {
+                return await plugin.handler(callArgs, context);
+            } catch (hostError) {
+                logger.error(`[ToolRegistry] Error executing or preparing host function '${name}': ${hostError.message}`);
+                logger.error(hostError.stack);
+                return { success: false, error: `Host execution error: ${hostError.message}` };
+            }
+        },
+    };
+
+    plugins.forEach(plugin => registry.register(plugin));
+    return registry;
+}
+
+/**
+ * Imports third-party tool plugins. Each specifier is a package name or a path relative to the
+ * working directory; the module's default export (or its `plugins` export) is a plugin or an array of plugins.
+ * @param {string[]} specifiers
+ * @returns {Promise<object[]>}
+ */
+export async function loadToolPlugins(specifiers) {
+    const plugins = [];
+    for (const specifier of specifiers) {
+        const importTarget = specifier.startsWith('.') || path.isAbsolute(specifier)
+            ? pathToFileURL(path.resolve(specifier)).href
+            : specifier;
+        const module = await import(importTarget);
+        const exported = module.default ?? module.plugins;
+        if (!exported) throw new Error(`Tool plugin module '${specifier}' has no default or 'plugins' export.`);
+        const modulePlugins = Array.isArray(exported) ? exported : [exported];
+        logger.info(`[ToolRegistry] Loaded ${modulePlugins.length} tool plugin(s) from ${specifier}: ${modulePlugins.map(p => p.name).join(', ')}`);
+        plugins.push(...modulePlugins);
+    }
+    return plugins;
+}
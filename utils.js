@@ -23,7 +23,9 @@ export const logger = winston.createLogger({
         logFormat // Use the custom format defined above
     ),
     transports: [
-        new winston.transports.Console(),
+        new winston.transports.Console({
+            stderrLevels: config.logToStderr ? Object.keys(winston.config.npm.levels) : [],
+        }),
         // Optionally add file transport later if needed
         // new winston.transports.File({ filename: 'agent.log' })
     ],
@@ -38,25 +40,107 @@ export const logger = winston.createLogger({
     //     // new winston.transports.File({ filename: 'rejections.log' })
     // ]
 });
+
+// Path of a fetched source file inside the tool containers' project root (also used for SARIF artifact URIs).
+export function calculateRelativePath(fullPath, logPrefix = "[PathHelper]") {
+    if (!fullPath || typeof fullPath !== 'string') {
+        logger.warn(`${logPrefix} Invalid input path: ${fullPath}`);
+        return path.basename(fullPath || 'unknown_file'); // Fallback
+    }
+
+    // Local sources (see local-sources.js) are already relative to the project root: keep their directories.
+    if (!path.isAbsolute(fullPath) && !fullPath.split('/').includes('..')) {
+        return path.posix.normalize(fullPath);
+    }
+
+    // Pattern 1: Look for '/sources/' and take everything after it
+    const sourcesIndex = fullPath.indexOf('/sources/');
+    if (sourcesIndex !== -1) {
+        let relative = fullPath.substring(sourcesIndex + '/sources/'.length);
+        // Remove potential leading 'project_/' often found after '/sources/'
+        if (relative.startsWith('project_/')) {
+            relative = relative.substring('project_/'.length);
+        }
+        logger.debug(`${logPrefix} Path matched '/sources/': Original='${fullPath}' -> Relative='${relative}'`);
+        return relative;
+    }
+
+    // Pattern 2: Look for an EVM address-like segment (e.g., /0x.../) and take everything after it
+    // Regex matches '/0x' followed by 40 hex characters followed by '/'
+    const evmPathMatch = fullPath.match(/\/0x[a-fA-F0-9]{40}\/(.+)$/);
+    if (evmPathMatch && evmPathMatch[1]) {
+        let relative = evmPathMatch[1];
+         // Remove potential leading 'sources/' or 'project_/' after the EVM address part
+         if (relative.startsWith('sources/')) {
+             relative = relative.substring('sources/'.length);
+         }
+         if (relative.startsWith('project_/')) {
+             relative = relative.substring('project_/'.length);
+         }
+        logger.debug(`${logPrefix} Path matched EVM address pattern: Original='${fullPath}' -> Relative='${relative}'`);
+        return relative;
+    }
+
+    // Pattern 3: Fallback - Look for 'project_/' anywhere
+    const projectIndex = fullPath.indexOf('/project_/');
+     if (projectIndex !== -1) {
+         let relative = fullPath.substring(projectIndex + '/project_/'.length);
+         logger.debug(`${logPrefix} Path matched '/project_/': Original='${fullPath}' -> Relative='${relative}'`);
+         return relative;
+     }
+
+    // Ultimate Fallback: Use basename
+    logger.warn(`${logPrefix} Could not determine structured relative path for '${fullPath}'. Using basename.`);
+    return path.basename(fullPath);
+}
+
 /**
- * Queries the Hedera Mirror Node REST API for contract details.
- * @param {string} contractIdOrAddress - The contract ID (0.0.X) or EVM address (0x...).
- * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+ * Base URL of the public Mirror Node REST API for the configured network, or null if unsupported.
  */
-async function queryMirrorNodeContract(contractIdOrAddress) {
-    // Determine the correct Mirror Node base URL based on network
-    let mirrorNodeUrl;
+export function mirrorNodeBaseUrl() {
     switch (config.hederaNetwork.toLowerCase()) {
         case 'mainnet':
-            mirrorNodeUrl = 'https://mainnet-public.mirrornode.hedera.com';
-            break;
+            return 'https://mainnet-public.mirrornode.hedera.com';
         case 'testnet':
-            mirrorNodeUrl = 'https://testnet.mirrornode.hedera.com';
-            break;
+            return 'https://testnet.mirrornode.hedera.com';
         // Add previewnet if needed
         default:
-            logger.error(`[MirrorQuery] Unsupported Hedera network for Mirror Node: ${config.hederaNetwork}`);
-            return { success: false, error: `Unsupported network: ${config.hederaNetwork}` };
+            return null;
+    }
+}
+
+/**
+ * Compiler settings of a verified contract, from its Solidity metadata (metadata.json).
+ * @param {object} [metadata]
+ * @returns {{ version: string, optimizer: { runs: number }|null, evmVersion: string|null, viaIR: boolean, remappings: string[], target: { file: string, name: string }|null }|null}
+ *   Null when the metadata names no exact compiler version.
+ */
+export function compilerSettingsFromMetadata(metadata) {
+    const version = metadata?.compiler?.version?.match(/^v?(\d+\.\d+\.\d+)/)?.[1];
+    if (!version) return null;
+    const settings = metadata.settings || {};
+    const [target] = Object.entries(settings.compilationTarget || {});
+    return {
+        version,
+        optimizer: settings.optimizer?.enabled ? { runs: Number.isInteger(settings.optimizer.runs) ? settings.optimizer.runs : 200 } : null,
+        evmVersion: /^[a-z]+$/i.test(settings.evmVersion || '') ? settings.evmVersion : null,
+        viaIR: settings.viaIR === true,
+        remappings: (settings.remappings || []).filter(remapping => typeof remapping === 'string' && remapping.includes('=')),
+        target: target ? { file: target[0], name: target[1] } : null,
+    };
+}
+
+/**
+ * Queries the Hedera Mirror Node REST API for contract details.
+ * @param {string} contractIdOrAddress - The contract ID (0.0.X) or EVM address (0x...).
+ * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+ */
+export async function queryMirrorNodeContract(contractIdOrAddress) {
+    // Determine the correct Mirror Node base URL based on network
+    const mirrorNodeUrl = mirrorNodeBaseUrl();
+    if (!mirrorNodeUrl) {
+        logger.error(`[MirrorQuery] Unsupported Hedera network for Mirror Node: ${config.hederaNetwork}`);
+        return { success: false, error: `Unsupported network: ${config.hederaNetwork}` };
     }
 
     const apiUrl = `${mirrorNodeUrl}/api/v1/contracts/${contractIdOrAddress}`;
@@ -92,7 +176,11 @@ async function queryMirrorNodeContract(contractIdOrAddress) {
  * Fetches verified source code files from the verification service.
  * Concatenates Solidity file contents.
  * @param {string} contractId - The contract ID (e.g., "0.0.12345").
- * @returns {Promise<{success: boolean, sourceCode?: string, mainFileName?: string, error?: string}>}
+ * @returns {Promise<{success: boolean, sourceCode?: string, mainFileName?: string, error?: string, runtimeBytecode?: string, metadata?: object, compiler?: object}>}
+ *   `runtimeBytecode` is the Mirror Node's bytecode (for a bytecode-only analysis of unverified contracts, or to
+ *   check verified sources against it), `metadata` the compiler metadata the sources were verified with, and
+ *   `compiler` the settings taken from it (see compilerSettingsFromMetadata). With metadata, the main file is
+ *   its compilation target.
  */
 export async function fetchVerifiedSource(contractId) {
     logger.debug(`[Fetcher] Attempting to fetch source for contract ID: ${contractId} (Type: ${typeof contractId})`);
@@ -109,6 +197,7 @@ export async function fetchVerifiedSource(contractId) {
     const mirrorResult = await queryMirrorNodeContract(contractId);
     let evmAddressForApi;
     let evmAddress;
+    const runtimeBytecode = mirrorResult.success && mirrorResult.data?.runtime_bytecode !== '0x' ? mirrorResult.data?.runtime_bytecode : undefined;
 
     if (mirrorResult.success && mirrorResult.data?.evm_address) {
         evmAddressForApi = mirrorResult.data.evm_address;
@@ -155,7 +244,7 @@ export async function fetchVerifiedSource(contractId) {
 
             if (response.status === 404 || errorData?.message?.includes("Files have not been found")) {
                 logger.warn(`[Fetcher] Source code not found for ${contractId} via API (Status ${response.status}).`);
-                return { success: false, error: `Verified source code not found for contract ${contractId}.` };
+                return { success: false, error: `Verified source code not found for contract ${contractId}.`, runtimeBytecode };
             } else {
                 logger.error(`[Fetcher] API request failed for ${contractId}. Status: ${response.status}. Response: ${errorText}`);
                 return { success: false, error: `API error fetching source code (Status ${response.status}).` };
@@ -187,10 +276,26 @@ export async function fetchVerifiedSource(contractId) {
              return { success: false, error: `Unexpected API response format for ${contractId}.` };
         }
 
-        // --- Determine Main File Name (heuristic) ---
+        // Compiler version and settings the verification service compiled the sources with.
+        let metadata;
+        const metadataFile = data.files.find(file => typeof file?.path === 'string' && file.path.endsWith('metadata.json'));
+        try {
+            metadata = metadataFile ? JSON.parse(metadataFile.content) : undefined;
+        } catch (parseError) {
+            logger.warn(`[Fetcher] Could not parse metadata.json for ${contractId}: ${parseError.message}`);
+        }
+        const compiler = compilerSettingsFromMetadata(metadata);
+
+        // --- Determine Main File Name (compilation target, else heuristic) ---
         let mainSolFile = null;
         let mainSolFilePath = null; // Store the full path for Slither target
-        for (const file of solFiles) {
+        const targetFile = compiler?.target && solFiles.find(file => file.path.endsWith(`/${compiler.target.file}`) || file.path === compiler.target.file);
+        if (targetFile) {
+            mainSolFilePath = compiler.target.file;
+            mainSolFile = path.basename(mainSolFilePath);
+            logger.info(`[Fetcher] Main file of ${contractId} from the compilation target: ${compiler.target.file}:${compiler.target.name} (solc ${compiler.version}).`);
+        }
+        for (const file of targetFile ? [] : solFiles) {
              // Try to create a cleaner relative path for guessing
              let relativePath = file.path;
              const sourcesIndex = relativePath.indexOf('/sources/');
@@ -215,7 +320,7 @@ export async function fetchVerifiedSource(contractId) {
         logger.info(`[Fetcher] Successfully fetched ${solFiles.length} .sol file(s) for ${contractId}. Main file guessed: ${mainSolFile} (Path: ${mainSolFilePath})`);
 
         logger.info(`[Fetcher] Successfully fetched and combined ${solFiles.length} .sol file(s) for ${contractId}. Main file guessed: ${mainSolFile}`);
-        return { success: true, files: solFiles, mainFileName: mainSolFilePath }; // Return main file *path*
+        return { success: true, files: solFiles, mainFileName: mainSolFilePath, runtimeBytecode, metadata, ...(compiler ? { compiler } : {}) }; // Return main file *path*
 
     } catch (error) {
         // Catch network errors (fetch failed) or JSON parsing errors for success response